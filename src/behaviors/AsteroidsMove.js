@@ -20,6 +20,13 @@ const DefaultSettings = {
   /* Hold to turn right, when `UseKeyboard` is true */
   RightKey: 'RIGHT',
 
+  /* Whether use axes of `Input` system to control, instead of keyboard */
+  UseAxes: false,
+  /* Push forward(positive) or backward(negative), when `UseAxes` is true */
+  ThrustAxis: 'thrust',
+  /* Turn left(negative) or right(positive), when `UseAxes` is true */
+  TurnAxis: 'turn',
+
   /* The force to move forward */
   ForwardForce: 10,
   /* The force to move backward */
@@ -52,6 +59,10 @@ class AsteroidsMove extends Behavior {
     this.LeftKey = 'LEFT';
     this.RightKey = 'RIGHT';
 
+    this.UseAxes = false;
+    this.ThrustAxis = 'thrust';
+    this.TurnAxis = 'turn';
+
     this.ForwardForce = 10;
     this.BackwardForce = 8;
 
@@ -77,7 +88,20 @@ class AsteroidsMove extends Behavior {
     this.entity.coll.damping = this.Damping;
   }
   fixedUpdate(_, dt) {
-    if (this.UseKeyboard) {
+    if (this.UseAxes) {
+      const input = this.entity.game.sysInput;
+      const thrust = input.axis(this.ThrustAxis);
+
+      this.entity.coll.force.set(0);
+      if (thrust > 0) {
+        this.pushForward(thrust);
+      }
+      else if (thrust < 0) {
+        this.pushBackward(-thrust);
+      }
+      this.turning = input.axis(this.TurnAxis);
+    }
+    else if (this.UseKeyboard) {
       this.entity.coll.force.set(0);
       this.turning = 0;
       if (keyboard.down(this.ForwardKey)) this.pushForward();
@@ -98,17 +122,17 @@ class AsteroidsMove extends Behavior {
   }
 
   // Actions
-  // Move forward
-  pushForward() {
+  // Move forward, with optional strength(0-1)
+  pushForward(strength = 1) {
     this.entity.coll.force
       .copy(this.dir)
-      .multiply(this.ForwardForce)
+      .multiply(this.ForwardForce * strength)
   }
-  // Move backward
-  pushBackward() {
+  // Move backward, with optional strength(0-1)
+  pushBackward(strength = 1) {
     this.entity.coll.force
       .copy(this.dir)
-      .multiply(-this.BackwardForce)
+      .multiply(-this.BackwardForce * strength)
   }
   // Turn left
   turnLeft() {
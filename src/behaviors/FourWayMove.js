@@ -20,6 +20,13 @@ const DefaultSettings = {
   UpKey: 'UP',
   /* Hold to move down, when `useKeyboard` is true */
   DownKey: 'DOWN',
+
+  /* Whether use axes of `Input` system to control, instead of keyboard */
+  UseAxes: false,
+  /* Horizontal axis action, when `UseAxes` is true */
+  AxisX: 'moveX',
+  /* Vertical axis action, when `UseAxes` is true */
+  AxisY: 'moveY',
 };
 
 class FourWayMove extends Behavior {
@@ -42,7 +49,11 @@ class FourWayMove extends Behavior {
     this.entity.canFixedTick = true;
   }
   fixedUpdate(_, dt) {
-    if (this.UseKeyboard) {
+    if (this.UseAxes) {
+      const input = this.entity.game.sysInput;
+      this.dir.set(input.axis(this.AxisX), input.axis(this.AxisY));
+    }
+    else if (this.UseKeyboard) {
       this.dir.set(0);
       if (keyboard.down(this.LeftKey)) this.dir.x -= 1;
       if (keyboard.down(this.RightKey)) this.dir.x += 1;
@@ -50,7 +61,10 @@ class FourWayMove extends Behavior {
       if (keyboard.down(this.DownKey)) this.dir.y += 1;
     }
 
-    this.dir.normalize();
+    // Keep analog speed but never move faster diagonally
+    if (this.dir.squaredLength() > 1) {
+      this.dir.normalize();
+    }
 
     this.entity.position.x += this.dir.x * this.Speed * dt;
     this.entity.position.y += this.dir.y * this.Speed * dt;
@@ -42,6 +42,21 @@ export default class Behavior {
    * @param  {Number} sec Delta time in seconds
    */
   fixedUpdate(dt, sec) {} /* eslint no-unused-vars:0 */
+  /**
+   * Get state of this behavior for `Entity#serialize`, nothing is
+   * saved when `undefined` is returned(default).
+   * @memberof Behavior#
+   * @return {Object} Plain data that can be saved as JSON
+   */
+  serialize() {
+    return undefined;
+  }
+  /**
+   * Restore state saved by `serialize`.
+   * @memberof Behavior#
+   * @param  {Object} data Saved state
+   */
+  deserialize(data) {} /* eslint no-unused-vars:0 */
 }
 
 /**
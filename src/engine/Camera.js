@@ -257,6 +257,30 @@ export default class Camera {
     }
   }
 
+  /**
+   * Convert a point from screen(game view) space into world space.
+   * @memberof Camera#
+   * @method screenToWorld
+   * @param {Number} x          X coordinate in screen space
+   * @param {Number} y          Y coordinate in screen space
+   * @param {Vector} [out]      Vector to save the result to
+   * @return {Vector} Point in world space
+   */
+  screenToWorld(x, y, out = Vector.create()) {
+    // Use container transform when available, so shake offset is included
+    const pivot = this.container ? this.container.pivot : this.position;
+    const rotation = this.container ? -this.container.rotation : this.rotation;
+
+    const dx = x - engine.width * this.anchor.x;
+    const dy = y - engine.height * this.anchor.y;
+    const cos = Math.cos(rotation), sin = Math.sin(rotation);
+
+    return out.set(
+      (dx * cos - dy * sin) / this.zoom.x + pivot.x,
+      (dx * sin + dy * cos) / this.zoom.y + pivot.y
+    );
+  }
+
   /**
    * Shake camera
    * @memberof Camera#
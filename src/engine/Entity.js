@@ -3,6 +3,7 @@ import EventEmitter from 'engine/EventEmitter';
 import MiniSignal from 'engine/MiniSignal';
 import Behavior from 'engine/Behavior';
 import { merge } from 'engine/utils/object';
+import { removeItems } from 'engine/utils/array';
 
 /**
  * Base object that may contain a graphic element(as `gfx`)
@@ -10,6 +11,18 @@ import { merge } from 'engine/utils/object';
  *
  * The `gfx` and `coll` share the same postion.
  *
+ * An entity can be attached to another one, its `position` and
+ * `rotation` then follow the parent with `localPosition` and
+ * `localRotation` as the offset. Attached entities are removed
+ * together with their parent.
+ *
+ * @example <caption>Turret on a tank</caption>
+ * const turret = game.spawnEntity(Turret, 0, 0, 'actors');
+ * turret.attachTo(tank, { x: 0, y: -6 });
+ *
+ * // Aim the turret, relative to the tank
+ * turret.localRotation = Math.PI * 0.25;
+ *
  * @class Entity
  */
 export default class Entity {
@@ -37,6 +50,14 @@ export default class Entity {
      */
     this.canFixedTick = false;
 
+    /**
+     * Want this actor to be saved by `Game#serialize`? Entity type should
+     * be registered(`Entity.register`) or spawned from a prefab.
+     * @type {boolean}
+     * @default false
+     */
+    this.canSerialize = false;
+
 
     //
     // Properties
@@ -61,11 +82,11 @@ export default class Entity {
     this.layer = null;
 
     /**
-     * Real tag field
-     * @type {string}
+     * Tags of this entity.
+     * @type {Array<string>}
      * @private
      */
-    this._tag = null;
+    this._tags = [];
 
     /**
      * Whether this actor is removed from game.
@@ -86,6 +107,13 @@ export default class Entity {
      */
     this.CTOR = Entity;
 
+    /**
+     * Name of the prefab this entity is spawned from.
+     * @type {string}
+     * @default null
+     */
+    this.prefab = null;
+
     /**
      * Behavior list
      * @type {Array}
@@ -141,6 +169,37 @@ export default class Entity {
      */
     this.onRotationChange = new MiniSignal();
 
+    /**
+     * Entity this one is attached to, `position` and `rotation`
+     * are updated from it by the game each step.
+     * @type {Entity}
+     * @default null
+     * @readonly
+     */
+    this.parent = null;
+
+    /**
+     * Entities attached to this one.
+     * @type {Array<Entity>}
+     * @readonly
+     */
+    this.children = [];
+
+    /**
+     * Position relative to the parent, rotates with the parent.
+     * Only used while attached.
+     * @memberof Entity#
+     * @type {Vector}
+     */
+    this.localPosition = new Vector(0, 0);
+
+    /**
+     * Rotation relative to the parent. Only used while attached.
+     * @memberof Entity#
+     * @type {Number}
+     */
+    this.localRotation = 0;
+
     // Apply settings
     this.setup(settings);
   }
@@ -152,24 +211,69 @@ export default class Entity {
   }
 
   /**
-   * Get tag of this Entity
+   * First tag of this Entity, setting it replaces all the tags.
    * @type {string}
    */
-  get tag() { return this._tag; }
+  get tag() { return (this._tags.length > 0) ? this._tags[0] : null; }
+  set tag(t) {
+    this.tags = (t === null || t === undefined) ? [] : [t];
+  }
+
   /**
-   * Set tag of this Entity
-   * @type {string}
-   * @param {String} t Tag to set
+   * Tags of this Entity, setting it replaces all the tags. Do not
+   * modify the list directly, use `addTag` and `removeTag` instead.
+   * @type {Array<string>}
    */
-  set tag(t) {
+  get tags() { return this._tags; }
+  set tags(list) {
     if (this.game) {
-      this.game.changeEntityTag(this, t);
+      this.game.setEntityTags(this, list);
     }
     else {
-      this._tag = t;
+      this._tags = list.slice();
     }
   }
 
+  /**
+   * Whether this entity has a tag.
+   * @memberof Entity#
+   * @param  {String} t Tag to check
+   * @return {Boolean}
+   */
+  hasTag(t) {
+    return this._tags.indexOf(t) >= 0;
+  }
+  /**
+   * Add a tag to this entity.
+   * @memberof Entity#
+   * @param  {String} t Tag to add
+   * @return {Entity}   Self for chaining
+   */
+  addTag(t) {
+    if (this.game) {
+      this.game.addEntityTag(this, t);
+    }
+    else if (!this.hasTag(t)) {
+      this._tags.push(t);
+    }
+    return this;
+  }
+  /**
+   * Remove a tag from this entity.
+   * @memberof Entity#
+   * @param  {String} t Tag to remove
+   * @return {Entity}   Self for chaining
+   */
+  removeTag(t) {
+    if (this.game) {
+      this.game.removeEntityTag(this, t);
+    }
+    else if (this.hasTag(t)) {
+      removeItems(this._tags, this._tags.indexOf(t), 1);
+    }
+    return this;
+  }
+
   /**
    * Poolable entity initialization (called immediately after picking from the pool)
    * @memberof Entity#
@@ -195,13 +299,185 @@ export default class Entity {
     }
   }
 
+  /**
+   * Attach this entity to another one. Current world transform is kept
+   * when no offset is given, otherwise this entity is moved to the
+   * offset and faces the same direction as the parent.
+   * @memberof Entity#
+   * @param  {Entity} parent    Entity to attach to
+   * @param  {Vector} [offset]  Position relative to the parent
+   * @return {Entity}           Self for chaining
+   */
+  attachTo(parent, offset) {
+    let p;
+    for (p = parent; p; p = p.parent) {
+      if (p === this) {
+        console.log('[WARNING]: Cannot attach an entity to itself or its children!');
+        return this;
+      }
+    }
+
+    this.detach();
+
+    if (offset) {
+      this.localPosition.set(offset.x, offset.y);
+      this.localRotation = 0;
+    }
+    else {
+      this.localPosition.copy(this.position).subtract(parent.position);
+      if (parent.rotation) {
+        this.localPosition.rotate(-parent.rotation);
+      }
+      this.localRotation = this.rotation - parent.rotation;
+    }
+
+    this.parent = parent;
+    parent.children.push(this);
+
+    this.updateTransform();
+
+    return this;
+  }
+  /**
+   * Detach this entity from its parent, current world transform is kept.
+   * @memberof Entity#
+   * @return {Entity} Self for chaining
+   */
+  detach() {
+    if (this.parent) {
+      const idx = this.parent.children.indexOf(this);
+      if (idx !== -1) {
+        removeItems(this.parent.children, idx, 1);
+      }
+      this.parent = null;
+    }
+    return this;
+  }
+  /**
+   * Update world transform of this entity from its parent, and
+   * then of all its children. Called by the game each step, call it
+   * manually when the transform is needed immediately after moving
+   * the parent.
+   * @memberof Entity#
+   */
+  updateTransform() {
+    const parent = this.parent;
+    if (parent) {
+      this.position.copy(this.localPosition);
+      if (parent.rotation) {
+        this.position.rotate(parent.rotation);
+      }
+      this.position.add(parent.position.x, parent.position.y);
+
+      const rotation = parent.rotation + this.localRotation;
+      if (rotation !== this.rotation) {
+        this.rotation = rotation;
+      }
+    }
+
+    for (let i = 0; i < this.children.length; i++) {
+      this.children[i].updateTransform();
+    }
+  }
+
   /**
    * Setup this entity with settings(deeply merge is used by default)
    * @param {Object} settings Settings
    * @return {Entity} Self for chaining
    */
   setup(settings) {
+    // Tags are set through the game to keep its indexes
+    let tags = null;
+    if (settings && (settings.hasOwnProperty('tag') || settings.hasOwnProperty('tags'))) {
+      settings = Object.assign({}, settings);
+      tags = settings.hasOwnProperty('tags') ? settings.tags : (settings.tag ? [settings.tag] : []);
+      delete settings.tag;
+      delete settings.tags;
+    }
+
     merge(this, settings);
+
+    if (tags) {
+      this.tags = tags;
+    }
+
+    return this;
+  }
+
+  /**
+   * Get state of this entity as plain data for `Game#serialize`. Override
+   * to save more, and restore them in `deserialize`.
+   * @example
+   * serialize() {
+   *   const data = super.serialize();
+   *   data.ammo = this.ammo;
+   *   return data;
+   * }
+   *
+   * @memberof Entity#
+   * @return {Object} Plain data that can be saved as JSON
+   */
+  serialize() {
+    const data = {
+      id: this.id,
+      type: typeOf(this.CTOR),
+      prefab: this.prefab,
+      name: this.name,
+      layer: this.layer,
+      tags: this._tags.slice(),
+      x: this.position.x,
+      y: this.position.y,
+      rotation: this.rotation,
+      parent: this.parent ? this.parent.id : null,
+      behaviors: {},
+    };
+
+    if (this.coll) {
+      data.velocity = {
+        x: this.coll.velocity.x,
+        y: this.coll.velocity.y,
+      };
+    }
+
+    let i, state;
+    for (i = 0; i < this.behaviors.length; i++) {
+      state = this.behaviors[i].serialize();
+      if (state !== undefined) {
+        data.behaviors[this.behaviors[i].type] = state;
+      }
+    }
+
+    return data;
+  }
+  /**
+   * Restore state saved by `serialize`, called by `Game#deserialize`
+   * after this entity is spawned again. Missing behaviors are added.
+   * @memberof Entity#
+   * @param  {Object} data Saved state
+   * @return {Entity}      Self for chaining
+   */
+  deserialize(data) {
+    this.position.set(data.x, data.y);
+    this.rotation = data.rotation;
+
+    if (this.coll && data.velocity) {
+      this.coll.velocity.set(data.velocity.x, data.velocity.y);
+    }
+
+    let type, bhv;
+    for (type in data.behaviors) {
+      bhv = this[`bhv${type}`];
+      if (!bhv) {
+        if (!Behavior.types[type]) {
+          console.log(`[WARNING]: Behavior type "${type}" does not exist!`);
+          continue;
+        }
+        this.behave(type);
+        bhv = this[`bhv${type}`];
+      }
+      bhv.deserialize(data.behaviors[type]);
+    }
+
     return this;
   }
 
@@ -236,6 +512,10 @@ export default class Entity {
 
     bhv.init(this, settings);
 
+    if (this.game) {
+      this.game.onEntityBehaviorAdd(this, bhv.type);
+    }
+
     return this;
   }
   /**
@@ -291,9 +571,28 @@ export default class Entity {
     this[c.key] = c;
     c.attach(this);
 
+    if (this.game) {
+      this.game.onEntityComponentAdd(this, c.key);
+    }
+
     return this;
   }
 }
+/**
+ * Find the registered type of an entity class.
+ * @param  {Function} ctor  Entity class
+ * @return {String}         Type, `null` if not registered
+ * @private
+ */
+function typeOf(ctor) {
+  for (let type in Entity.types) {
+    if (Entity.types[type] === ctor) {
+      return type;
+    }
+  }
+  return null;
+}
+
 /**
  * ID of next Entity instance
  * @type {Number}
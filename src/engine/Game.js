@@ -2,6 +2,64 @@ import core from 'engine/core';
 import EventEmitter from 'engine/EventEmitter';
 import { removeItems } from 'engine/utils/array';
 import Entity from 'engine/Entity';
+import { resolve as resolvePrefab, apply as applyPrefab } from 'engine/prefab';
+import storage from 'engine/storage';
+
+/**
+ * Temp lists of a single query condition.
+ * @type {Array<String>}
+ * @private
+ */
+const ONE_TAG = [''];
+const ONE_KEY = [''];
+const ONE_BEHAVIOR = [''];
+const EMPTY = [];
+
+/**
+ * Get a query condition as a list.
+ * @param  {String|Array<String>} value Condition
+ * @param  {Array<String>} temp         List to use for a single name
+ * @return {Array<String>}              List of names
+ * @private
+ */
+function asList(value, temp) {
+  if (typeof(value) === 'string') {
+    temp[0] = value;
+    return temp;
+  }
+  return value || EMPTY;
+}
+
+/**
+ * Add an entity to an index.
+ * @param {Object} index  Index to add to
+ * @param {String} key    Key of the list
+ * @param {Entity} ent    Entity to add
+ * @private
+ */
+function addToIndex(index, key, ent) {
+  if (!index.hasOwnProperty(key)) {
+    index[key] = [];
+  }
+  if (index[key].indexOf(ent) < 0) {
+    index[key].push(ent);
+  }
+}
+
+/**
+ * Remove an entity from an index.
+ * @param {Object} index  Index to remove from
+ * @param {String} key    Key of the list
+ * @param {Entity} ent    Entity to remove
+ * @private
+ */
+function removeFromIndex(index, key, ent) {
+  const list = index[key];
+  const idx = list ? list.indexOf(ent) : -1;
+  if (idx >= 0) {
+    removeItems(list, idx, 1);
+  }
+}
 
 /**
  * Game is the main hub for a game. A game made with LesserPanda
@@ -31,6 +89,23 @@ export default class Game extends EventEmitter {
      */
     this.timeScale = 1;
 
+    /**
+     * Whether games below this one in the stack of `core` are still
+     * drawn, like a pause menu over the gameplay.
+     * @type {Boolean}
+     * @default false
+     */
+    this.isOverlay = false;
+
+    /**
+     * Whether the screen is cleared before drawing this game, `core`
+     * turns it off when games below this one are drawn.
+     * @type {Boolean}
+     * @default true
+     * @protected
+     */
+    this.clearBeforeRender = true;
+
     /**
      * Map of added systems
      * @property {Object} systems
@@ -59,6 +134,20 @@ export default class Game extends EventEmitter {
      * @type {Object}
      */
     this.taggedEntities = {};
+    /**
+     * Entities that have a component, by key of the component. Only
+     * keys ever queried are indexed.
+     * @type {Object}
+     * @private
+     */
+    this.componentIndex = {};
+    /**
+     * Entities that have a behavior, by type of the behavior. Only
+     * types ever queried are indexed.
+     * @type {Object}
+     * @private
+     */
+    this.behaviorIndex = {};
 
     /**
      * Caches update informations
@@ -175,6 +264,9 @@ export default class Game extends EventEmitter {
       }
     }
 
+    // Attached entities follow their parents before drawing
+    this.updateTransforms();
+
     // Update systems
     for (i = 0; i < this.systemOrder.length; i++) {
       sys = this.systemOrder[i];
@@ -215,8 +307,40 @@ export default class Game extends EventEmitter {
       this.systems[sys] && this.systems[sys].fixedUpdate(delta, deltaSec);
     }
 
+    // Attached entities follow their parents moved by physics
+    this.updateTransforms();
+
     this.emit('fixedUpdate', delta, deltaSec);
   }
+  /**
+   * Update world transform of attached entities.
+   * @method updateTransforms
+   * @memberof Game#
+   * @private
+   */
+  updateTransforms() {
+    let i, ent;
+    for (i = 0; i < this.entities.length; i++) {
+      ent = this.entities[i];
+      if (!ent.isRemoved && !ent.parent && ent.children.length > 0) {
+        ent.updateTransform();
+      }
+    }
+  }
+
+  /**
+   * Draw this game without updating it, called by `core` for games
+   * below an overlay game.
+   * @method render
+   * @memberof Game#
+   */
+  render() {
+    let i, sys;
+    for (i = 0; i < this.systemOrder.length; i++) {
+      sys = this.systemOrder[i];
+      this.systems[sys] && this.systems[sys].render();
+    }
+  }
 
   /**
    * Freeze is called when this scene is deactivated(switched to another one)
@@ -300,6 +424,64 @@ export default class Game extends EventEmitter {
    * @return {Entity}           Entity instance
    */
   spawnEntity(type, x, y, layer, settings) {
+    const ent = this.createEntity(type, x, y, layer, settings);
+    if (!ent) {
+      return undefined;
+    }
+
+    return this.addEntity(ent);
+  }
+  /**
+   * Spawn an entity from a prefab, see `engine/prefab` for the format.
+   * @example
+   * // Stronger orc with a name
+   * game.spawnPrefab('orc', 100, 40, {
+   *   settings: { name: 'boss' },
+   *   behaviors: { Health: { hp: 100 } },
+   * });
+   *
+   * @method spawnPrefab
+   * @memberof Game#
+   * @param  {String} name        Name of the prefab
+   * @param  {Number} x           X coordinate
+   * @param  {Number} y           Y coordinate
+   * @param  {Object} [overrides] Fields of the prefab to override
+   * @return {Entity}             Entity instance
+   */
+  spawnPrefab(name, x, y, overrides) {
+    const def = resolvePrefab(name, overrides);
+    if (!def) {
+      return undefined;
+    }
+
+    const settings = Object.assign({}, def.settings);
+    if (def.tags) {
+      settings.tags = def.tags;
+    }
+
+    const ent = this.createEntity(def.type || Entity, x, y, def.layer, settings);
+    if (!ent) {
+      return undefined;
+    }
+
+    // Components and behaviors are ready before systems know the entity
+    applyPrefab(ent, def);
+    ent.prefab = name;
+
+    return this.addEntity(ent);
+  }
+  /**
+   * Create an entity instance(or pick from its pool) for this game.
+   * @memberof Game#
+   * @param  {Class|String} type  Entity class or registered type
+   * @param  {Number} x           X coordinate
+   * @param  {Number} y           Y coordinate
+   * @param  {String} layer       Name of the layer to added to
+   * @param  {Object} settings    Instance settings
+   * @return {Entity}             Entity instance
+   * @private
+   */
+  createEntity(type, x, y, layer, settings) {
     let ctor = type;
     if (typeof(type) === 'string') {
       ctor = Entity.types[type];
@@ -321,6 +503,16 @@ export default class Game extends EventEmitter {
     ent.layer = layer;
     ent.game = this;
 
+    return ent;
+  }
+  /**
+   * Add a created entity into game world and notify the systems.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   * @return {Entity}     Entity instance
+   * @private
+   */
+  addEntity(ent) {
     // Add to list
     this.entities.push(ent);
 
@@ -329,16 +521,24 @@ export default class Game extends EventEmitter {
       this.namedEntities[ent.name] = ent;
     }
 
-    // Add to tag list
-    if (ent._tag) {
-      if (!this.taggedEntities.hasOwnProperty(ent._tag)) {
-        this.taggedEntities[ent._tag] = [];
+    // Add to indexes
+    let i, k;
+    for (i = 0; i < ent.tags.length; i++) {
+      addToIndex(this.taggedEntities, ent.tags[i], ent);
+    }
+    for (k in this.componentIndex) {
+      if (ent[k]) {
+        addToIndex(this.componentIndex, k, ent);
+      }
+    }
+    for (k in this.behaviorIndex) {
+      if (ent[`bhv${k}`]) {
+        addToIndex(this.behaviorIndex, k, ent);
       }
-      this.taggedEntities[ent._tag].push(ent);
     }
 
     // Notify systems
-    let i, sys;
+    let sys;
     for (i = 0; i < this.systemOrder.length; i++) {
       sys = this.systemOrder[i];
       this.systems[sys] && this.systems[sys].onEntitySpawn(ent);
@@ -350,7 +550,8 @@ export default class Game extends EventEmitter {
     return ent;
   }
   /**
-   * Remove an entity instance from this game
+   * Remove an entity instance from this game, entities attached to it
+   * are removed too.
    * @memberof Game#
    * @param  {Entity} ent Entity instance
    */
@@ -358,58 +559,386 @@ export default class Game extends EventEmitter {
     // Mark as removed
     ent.isRemoved = true;
 
+    // Remove attached entities and detach from parent
+    let i, k;
+    for (i = ent.children.length - 1; i >= 0; i--) {
+      this.removeEntity(ent.children[i]);
+    }
+    ent.detach();
+
     // Remove from name list
     if (ent.name) {
       delete this.namedEntities[ent.name];
     }
 
-    // Remove from tag list
-    if (ent._tag && this.taggedEntities.hasOwnProperty(ent._tag)) {
-      let idx = this.taggedEntities[ent._tag].indexOf(ent);
-
-      if (idx !== -1) {
-        removeItems(this.taggedEntities[ent._tag], idx, 1);
-      }
+    // Remove from indexes
+    for (i = 0; i < ent.tags.length; i++) {
+      removeFromIndex(this.taggedEntities, ent.tags[i], ent);
+    }
+    for (k in this.componentIndex) {
+      removeFromIndex(this.componentIndex, k, ent);
+    }
+    for (k in this.behaviorIndex) {
+      removeFromIndex(this.behaviorIndex, k, ent);
     }
 
     // Notify systems
-    let i, sys;
+    let sys;
     for (i = 0; i < this.systemOrder.length; i++) {
       sys = this.systemOrder[i];
       this.systems[sys] && this.systems[sys].onEntityRemove(ent);
     }
   }
   /**
-   * Change tag of an entity instance
+   * Change tag of an entity instance, all its tags are replaced.
    * @memberof Game#
    * @param  {Entity} ent Entity instance
    * @param {String} tag  Tag to change to
    */
   changeEntityTag(ent, tag) {
-    // Remove from tag list
-    if (ent._tag && this.taggedEntities.hasOwnProperty(tag)) {
-      let idx = this.taggedEntities[tag].indexOf(ent);
+    this.setEntityTags(ent, (tag === null || tag === undefined) ? [] : [tag]);
+  }
+  /**
+   * Replace tags of an entity instance.
+   * @memberof Game#
+   * @param  {Entity} ent         Entity instance
+   * @param {Array<String>} tags  Tags to change to
+   */
+  setEntityTags(ent, tags) {
+    let i;
+    for (i = 0; i < ent._tags.length; i++) {
+      removeFromIndex(this.taggedEntities, ent._tags[i], ent);
+    }
 
-      if (idx !== -1) {
-        removeItems(this.taggedEntities[tag], idx, 1);
+    ent._tags = [];
+    for (i = 0; i < tags.length; i++) {
+      if (ent._tags.indexOf(tags[i]) < 0) {
+        ent._tags.push(tags[i]);
+        // Removed entities are indexed again when spawned
+        if (!ent.isRemoved) {
+          addToIndex(this.taggedEntities, tags[i], ent);
+        }
       }
     }
 
-    // Add to new tag group
-    if (!this.taggedEntities.hasOwnProperty(tag)) {
-      this.taggedEntities[tag] = [];
+    this.notifyTagChange(ent);
+  }
+  /**
+   * Add a tag to an entity instance.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   * @param {String} tag  Tag to add
+   */
+  addEntityTag(ent, tag) {
+    if (ent.hasTag(tag)) {
+      return;
+    }
+
+    ent._tags.push(tag);
+    if (!ent.isRemoved) {
+      addToIndex(this.taggedEntities, tag, ent);
+    }
+
+    this.notifyTagChange(ent);
+  }
+  /**
+   * Remove a tag from an entity instance.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   * @param {String} tag  Tag to remove
+   */
+  removeEntityTag(ent, tag) {
+    if (!ent.hasTag(tag)) {
+      return;
+    }
+
+    removeItems(ent._tags, ent._tags.indexOf(tag), 1);
+    removeFromIndex(this.taggedEntities, tag, ent);
+
+    this.notifyTagChange(ent);
+  }
+  /**
+   * Notify systems that tags of an entity changed.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   * @private
+   */
+  notifyTagChange(ent) {
+    // Not spawned yet
+    if (ent.isRemoved || this.entities.indexOf(ent) < 0) {
+      return;
     }
-    this.taggedEntities[tag].push(ent);
 
-    // Notify systems
     let i, sys;
     for (i = 0; i < this.systemOrder.length; i++) {
       sys = this.systemOrder[i];
-      this.systems[sys] && this.systems[sys].onEntityTagChange(ent, tag);
+      this.systems[sys] && this.systems[sys].onEntityTagChange(ent, ent.tag);
+    }
+  }
+  /**
+   * Called by `Entity#addComponent` to keep the indexes.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   * @param {String} key  Key of the component
+   * @private
+   */
+  onEntityComponentAdd(ent, key) {
+    if (!ent.isRemoved && this.componentIndex.hasOwnProperty(key)) {
+      addToIndex(this.componentIndex, key, ent);
+    }
+  }
+  /**
+   * Called by `Entity#behave` to keep the indexes.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   * @param {String} type Type of the behavior
+   * @private
+   */
+  onEntityBehaviorAdd(ent, type) {
+    if (!ent.isRemoved && this.behaviorIndex.hasOwnProperty(type)) {
+      addToIndex(this.behaviorIndex, type, ent);
+    }
+  }
+  /**
+   * Find entities matching all the conditions. Indexes of components and
+   * behaviors are built on first query and kept up to date after, so
+   * querying each step is cheap.
+   *
+   * @example
+   * // Enemies that can be hit
+   * const targets = game.query({
+   *   tags: ['enemy'],
+   *   has: ['coll', 'gfx'],
+   *   behavior: 'Health',
+   * });
+   *
+   * // Reuse the result list
+   * game.query({ tags: 'bullet' }, this.bullets);
+   *
+   * @memberof Game#
+   * @param  {Object} q                               Conditions
+   * @param  {String|Array<String>} [q.tags]          Tags the entities have
+   * @param  {String|Array<String>} [q.has]           Keys of components(like `coll`) the entities have
+   * @param  {String|Array<String>} [q.behavior]      Types of behaviors the entities have
+   * @param  {Array<Entity>} [out]                    List to save result to, cleared first
+   * @return {Array<Entity>} Entities found
+   */
+  query(q, out = []) {
+    out.length = 0;
+
+    const tags = asList(q.tags, ONE_TAG);
+    const has = asList(q.has, ONE_KEY);
+    const behaviors = asList(q.behavior, ONE_BEHAVIOR);
+
+    // Start from the shortest list
+    let i, list = null, l;
+    for (i = 0; i < tags.length; i++) {
+      l = this.taggedEntities[tags[i]];
+      if (!l) {
+        return out;
+      }
+      if (!list || l.length < list.length) {
+        list = l;
+      }
+    }
+    for (i = 0; i < has.length; i++) {
+      l = this.getIndex(this.componentIndex, has[i], has[i]);
+      if (!list || l.length < list.length) {
+        list = l;
+      }
+    }
+    for (i = 0; i < behaviors.length; i++) {
+      l = this.getIndex(this.behaviorIndex, behaviors[i], `bhv${behaviors[i]}`);
+      if (!list || l.length < list.length) {
+        list = l;
+      }
+    }
+    if (!list) {
+      list = this.entities;
+    }
+
+    let j, ent, match;
+    for (i = 0; i < list.length; i++) {
+      ent = list[i];
+      if (ent.isRemoved) {
+        continue;
+      }
+
+      match = true;
+      for (j = 0; match && j < tags.length; j++) {
+        match = ent.hasTag(tags[j]);
+      }
+      for (j = 0; match && j < has.length; j++) {
+        match = !!ent[has[j]];
+      }
+      for (j = 0; match && j < behaviors.length; j++) {
+        match = !!ent[`bhv${behaviors[j]}`];
+      }
+
+      if (match) {
+        out.push(ent);
+      }
     }
 
-    // Change entity tag value
-    ent._tag = tag;
+    return out;
+  }
+  /**
+   * Get an index of components or behaviors, build it if not exist.
+   * @memberof Game#
+   * @param  {Object} index Index to get from
+   * @param  {String} key   Key of the index
+   * @param  {String} field Field of entities to check
+   * @return {Array<Entity>} Indexed entities
+   * @private
+   */
+  getIndex(index, key, field) {
+    if (!index.hasOwnProperty(key)) {
+      index[key] = [];
+      for (let i = 0; i < this.entities.length; i++) {
+        if (!this.entities[i].isRemoved && this.entities[i][field]) {
+          index[key].push(this.entities[i]);
+        }
+      }
+    }
+    return index[key];
+  }
+  /**
+   * Save state of this game as plain data that can be saved as JSON:
+   * entities with `canSerialize` set(see `Entity#serialize`) and
+   * systems(named timers and tweens for example).
+   * @memberof Game#
+   * @return {Object} Snapshot of this game
+   */
+  serialize() {
+    const data = {
+      entities: [],
+      systems: {},
+    };
+
+    let i, ent, state;
+    for (i = 0; i < this.entities.length; i++) {
+      ent = this.entities[i];
+      if (ent.isRemoved || !ent.canSerialize) {
+        continue;
+      }
+
+      state = ent.serialize();
+      if (!state.prefab && !state.type && ent.CTOR !== Entity) {
+        console.log(`[WARNING]: Entity "${ent.name || ent.id}" can not be saved, its class is not registered!`);
+        continue;
+      }
+      data.entities.push(state);
+    }
+
+    let sys;
+    for (i = 0; i < this.systemOrder.length; i++) {
+      sys = this.systemOrder[i];
+      state = this.systems[sys] && this.systems[sys].serialize();
+      if (state !== undefined) {
+        data.systems[sys] = state;
+      }
+    }
+
+    return data;
+  }
+  /**
+   * Restore a snapshot from `serialize`. Entities with `canSerialize` set
+   * (and entities attached to them) are removed and the saved ones are
+   * spawned again(by their prefab or type), then systems are restored.
+   * @memberof Game#
+   * @param  {Object} data Snapshot to restore
+   */
+  deserialize(data) {
+    let i, ent;
+    for (i = 0; i < this.entities.length; i++) {
+      ent = this.entities[i];
+      if (!ent.isRemoved && ent.canSerialize) {
+        this.removeEntity(ent);
+      }
+    }
+
+    // Spawn entities again, saved IDs are mapped to the new ones
+    const spawned = {};
+    let d;
+    for (i = 0; i < data.entities.length; i++) {
+      d = data.entities[i];
+      if (d.prefab) {
+        ent = this.spawnPrefab(d.prefab, d.x, d.y, {
+          layer: d.layer,
+          tags: d.tags,
+          settings: { name: d.name },
+        });
+      }
+      else {
+        ent = this.spawnEntity(d.type || Entity, d.x, d.y, d.layer, {
+          name: d.name,
+          tags: d.tags,
+        });
+      }
+
+      if (ent) {
+        ent.deserialize(d);
+        spawned[d.id] = ent;
+      }
+    }
+
+    // Attach after all are in place, so local transforms are the same
+    for (i = 0; i < data.entities.length; i++) {
+      d = data.entities[i];
+      if (d.parent !== null && spawned[d.id] && spawned[d.parent]) {
+        spawned[d.id].attachTo(spawned[d.parent]);
+      }
+    }
+
+    let sys;
+    for (sys in data.systems) {
+      this.systems[sys] && this.systems[sys].deserialize(data.systems[sys], spawned);
+    }
+  }
+  /**
+   * Save a snapshot of this game to a store.
+   * @example
+   * import { persistent } from 'engine/storage';
+   *
+   * // Save to local storage directly
+   * game.saveSnapshot('quicksave');
+   *
+   * // Or save with other persistent data
+   * persistent.addObject('quicksave', null);
+   * game.saveSnapshot('quicksave', persistent);
+   *
+   * @memberof Game#
+   * @param  {String} key               Key to save as
+   * @param  {Storage|Data} [store]     Store to save to, `storage` by default, `PersistentData` is saved after set
+   * @return {Object} The snapshot
+   */
+  saveSnapshot(key, store = storage) {
+    const data = this.serialize();
+
+    store.set(key, data);
+    if (typeof(store.save) === 'function') {
+      store.save();
+    }
+
+    return data;
+  }
+  /**
+   * Load a snapshot from a store and restore it.
+   * @memberof Game#
+   * @param  {String} key             Key of the snapshot
+   * @param  {Storage|Data} [store]   Store to load from, `storage` by default
+   * @return {Boolean} Whether a snapshot is found and restored
+   */
+  loadSnapshot(key, store = storage) {
+    const data = store.get(key);
+    if (!data || !Array.isArray(data.entities)) {
+      console.log(`[WARNING]: Snapshot "${key}" is not found!`);
+      return false;
+    }
+
+    this.deserialize(data);
+
+    return true;
   }
   /**
    * Find an entity with specific name.
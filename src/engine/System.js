@@ -45,6 +45,13 @@ export default class System {
    * @param {Number} dtSec  Delta time in second
    */
   fixedUpdate(dt, dtSec) {} /* eslint no-unused-vars:0 */
+  /**
+   * Callback that will be invoked when owner game is drawn without
+   * updating(below an overlay game).
+   * @method render
+   * @memberof System#
+   */
+  render() {}
   /**
    * Callback that will be invoked when owner game is freeze.
    * @method freeze
@@ -75,6 +82,26 @@ export default class System {
    */
   onEntityTagChange(ent, tag) {} /* eslint no-unused-vars:0 */
 
+  /**
+   * Get state of this system for `Game#serialize`, nothing is saved
+   * when `undefined` is returned(default).
+   * @method serialize
+   * @memberof System#
+   * @return {Object} Plain data that can be saved as JSON
+   */
+  serialize() {
+    return undefined;
+  }
+  /**
+   * Restore state saved by `serialize`, called by `Game#deserialize`
+   * after entities are restored.
+   * @method deserialize
+   * @memberof System#
+   * @param {Object} data     Saved state
+   * @param {Object} spawned  Restored entities by their saved `id`
+   */
+  deserialize(data, spawned) {} /* eslint no-unused-vars:0 */
+
   /**
    * Callback that will be invoked when owner game will pause.
    * @method onPause
@@ -7,16 +7,32 @@
  * @module engine/anime
  *
  * @requires engine/system
+ * @requires engine/Entity
  * @requires engine/utils/array
  * @requires engine/anime/tween
  * @requires engine/anime/action
  */
 import System from 'engine/System';
+import Entity from 'engine/Entity';
 import { removeItems } from 'engine/utils/array';
 
 import Tween from './tween';
 import { ActionPlayer } from './action';
 
+/**
+ * Find the restored target entity of a saved tween.
+ * @private
+ * @param  {Object} saved   Saved tween
+ * @param  {Object} spawned Restored entities by their saved `id`
+ * @return {Entity}         The entity, `undefined` if target was not an entity, `null` if not restored
+ */
+function restoredTarget(saved, spawned) {
+  if (saved.target === null || saved.target === undefined) {
+    return undefined;
+  }
+  return spawned[saved.target] || null;
+}
+
 /**
  * Anime sub-system.
  * @class
@@ -53,6 +69,20 @@ class Anime extends System {
      * @type {Array}
      */
     this.deactiveTags = [];
+
+    /**
+     * Functions to create named tweens that are saved but not alive
+     * while restoring, by tween name. Called with the restored target
+     * entity(if it was one) and tag, and should return the new tween
+     * with the same actions.
+     * @example
+     * game.sysAnime.factories.pulse = (target, tag) => game.sysAnime.tween(target, tag)
+     *   .to({ 'gfx.alpha': 0 }, 500)
+     *   .to({ 'gfx.alpha': 1 }, 500)
+     *   .repeat(10);
+     * @type {Object}
+     */
+    this.factories = {};
   }
 
   /**
@@ -121,6 +151,110 @@ class Anime extends System {
     return this;
   }
 
+  /**
+   * Save named tweens(`Tween#name`) and paused tags.
+   * @memberof SystemAnime#
+   * @method serialize
+   * @return {object} State of this system
+   */
+  serialize() {
+    let key, i, t, tweens = [];
+    for (key in this.anims) {
+      for (i = 0; i < this.anims[key].length; i++) {
+        t = this.anims[key][i];
+        if (t instanceof Tween && t.name && !t.isRemoved) {
+          tweens.push(Object.assign(t.serialize(), {
+            name: t.name,
+            tag: key,
+            target: (t.context instanceof Entity && t.context.canSerialize) ? t.context.id : null,
+          }));
+        }
+      }
+    }
+
+    return {
+      deactiveTags: this.deactiveTags.slice(),
+      tweens: tweens,
+    };
+  }
+
+  /**
+   * Restore named tweens from `serialize` result. Actions can not be
+   * saved, so tweens are restored to the existing ones with the same
+   * name, or created by `factories` when there is none. Named tweens not
+   * in the data are stopped. Target entities of the tweens are replaced
+   * by the restored ones.
+   * @memberof SystemAnime#
+   * @method deserialize
+   * @param {object} data     State to restore
+   * @param {object} spawned  Restored entities by their saved `id`
+   */
+  deserialize(data, spawned = {}) {
+    const restored = [];
+    let key, i, j, t, saved, target;
+    for (key in this.anims) {
+      for (i = 0; i < this.anims[key].length; i++) {
+        t = this.anims[key][i];
+        if (!(t instanceof Tween) || !t.name || t.isRemoved) {continue;}
+
+        saved = null;
+        for (j = 0; j < data.tweens.length; j++) {
+          if (data.tweens[j].name === t.name && data.tweens[j].tag === key && restored.indexOf(data.tweens[j]) < 0) {
+            saved = data.tweens[j];
+            break;
+          }
+        }
+
+        // Stop when the target is not restored
+        target = saved && restoredTarget(saved, spawned);
+        if (target === null) {
+          saved = null;
+        }
+
+        if (saved) {
+          if (target) {
+            t.retarget(target);
+          }
+          t.deserialize(saved);
+          restored.push(saved);
+        }
+        else {
+          t.stop();
+        }
+      }
+    }
+
+    // Create the ones not alive
+    for (i = 0; i < data.tweens.length; i++) {
+      saved = data.tweens[i];
+      if (restored.indexOf(saved) >= 0) {continue;}
+
+      if (!this.factories[saved.name]) {
+        console.log(`[WARNING]: Tween "${saved.name}" can not be restored, add a factory to "Anime#factories"!`);
+        continue;
+      }
+
+      target = restoredTarget(saved, spawned);
+      if (target === null) {continue;}
+
+      t = this.factories[saved.name](target, saved.tag);
+      if (t) {
+        t.name = saved.name;
+        t.deserialize(saved);
+      }
+    }
+
+    // Paused tags
+    for (key in this.anims) {
+      if (data.deactiveTags.indexOf(key) >= 0) {
+        this.pauseAnimesTagged(key);
+      }
+      else {
+        this.resumeAnimesTagged(key);
+      }
+    }
+  }
+
   /**
    * Create a tween for an object.
    * @method tween
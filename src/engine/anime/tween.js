@@ -30,6 +30,14 @@ export default class Tween extends EventEmitter {
 
     this.context = context;
 
+    /**
+     * Name of this tween, named tweens are saved and restored by
+     * `Game#serialize` and `Game#deserialize`.
+     * @type {string}
+     * @default null
+     */
+    this.name = null;
+
     /**
      * List of actions.
      * @type {array}
@@ -104,6 +112,7 @@ export default class Tween extends EventEmitter {
     this.removeAllListeners();
 
     this.context = context;
+    this.name = null;
 
     this.actions.length = 0;
     this.index = -1;
@@ -162,7 +171,7 @@ export default class Tween extends EventEmitter {
       pair = getTargetAndKey(this.context, keys[i]);
       props.push(pair[0], pair[1], properties[keys[i]]);
     }
-    this.actions.push([props, duration, easingFn, interpolationFn]);
+    this.actions.push([props, duration, easingFn, interpolationFn, properties]);
 
     return this;
   }
@@ -225,6 +234,97 @@ export default class Tween extends EventEmitter {
     return this;
   }
 
+  /**
+   * Change the object this tween applies to, targets of the properties
+   * are found again from the new one.
+   * @memberof Tween#
+   * @method retarget
+   * @param  {object} context New object to apply this tween to
+   * @return {Tween}  Tween itself for chaining.
+   */
+  retarget(context) {
+    this.context = context;
+
+    let i, j, props, keys, pair;
+    for (i = 0; i < this.actions.length; i++) {
+      props = this.actions[i][0];
+      if (!Array.isArray(props)) {continue;}
+
+      keys = Object.keys(this.actions[i][4]);
+      for (j = 0; j < keys.length; j++) {
+        pair = getTargetAndKey(context, keys[j]);
+        props[j * 3] = pair[0];
+        props[j * 3 + 1] = pair[1];
+      }
+    }
+
+    // Property contexts of the running action
+    if (this.currentAction === ACTION_TYPES.ANIMATE) {
+      for (i = 0; i < this.propCtx.length; i++) {
+        this.propCtx[i] = this.current[0][i * 3];
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Get playing state of this tween as plain data. Target and actions
+   * are not included, the tween should be created with the same actions
+   * before restoring.
+   * @memberof Tween#
+   * @method serialize
+   * @return {object} State of this tween
+   */
+  serialize() {
+    const animating = (this.currentAction === ACTION_TYPES.ANIMATE);
+    return {
+      index: this.index,
+      delta: this.delta,
+      progress: this.progress,
+      isPaused: this.isPaused,
+      counters: this.actions.map((a) => (a[0] === ACTION_TYPES.REPEAT) ? (a.counter || 0) : 0),
+      before: animating ? this.before.slice() : [],
+      change: animating ? this.change.slice() : [],
+    };
+  }
+
+  /**
+   * Restore playing state of this tween from `serialize` result.
+   * @memberof Tween#
+   * @method deserialize
+   * @param  {object} data State to restore
+   * @return {Tween}  Tween itself for chaining.
+   */
+  deserialize(data) {
+    let i;
+    for (i = 0; i < this.actions.length && i < data.counters.length; i++) {
+      if (this.actions[i][0] === ACTION_TYPES.REPEAT) {
+        this.actions[i].counter = data.counters[i];
+      }
+    }
+
+    // Start the saved action again, with saved values
+    this.index = data.index - 1;
+    this.current = null;
+    this.currentAction = null;
+    if (data.index >= 0) {
+      this._next();
+    }
+    if (this.currentAction === ACTION_TYPES.ANIMATE) {
+      for (i = 0; i < this.before.length && i < data.before.length; i++) {
+        this.before[i] = data.before[i];
+        this.change[i] = data.change[i];
+      }
+    }
+
+    this.delta = data.delta;
+    this.progress = data.progress;
+    this.isPaused = data.isPaused;
+
+    return this;
+  }
+
   /**
    * Do next action.
    * @private
@@ -69,6 +69,13 @@ Object.assign(core, {
    * @type {function}
    */
   resizeFunc: null,
+  /**
+   * How game content is placed inside the view by current resize function,
+   * only `scale-inner` and `scale-outer` modes will change it.
+   * @memberof module:engine/core
+   * @type {object}
+   */
+  contentTransform: { left: 0, top: 0, scale: 1 },
 
   /**
    * Map of registered games.
@@ -84,6 +91,14 @@ Object.assign(core, {
    * @type {Game}
    */
   game: null,
+  /**
+   * Games in the stack from bottom to top, the top one is `core.game`.
+   * Only the top game updates, games below it are still drawn when
+   * games above them are overlays(`Game#isOverlay`).
+   * @memberof module:engine/core
+   * @type {Array<Game>}
+   */
+  stack: [],
 
   /**
    * Map that contains pause state of all kinds of reasons.
@@ -107,30 +122,68 @@ Object.assign(core, {
   rotatePromptVisible: false,
 
   /**
-   * Switch to a game.
+   * Switch to a game, all the games in the stack are removed.
    * @memberof module:engine/core
    * @param {Game} gameCtor               Game class to be set
    * @param {Boolean} [newInstance=false] Whether create new instance for this game.
    * @param {Object} [param={}]           Parameters to pass to the game(to `Game#awake`)
+   * @param {Transition} [transition]     Transition to play while switching
    */
-  setGame: function(gameCtor, newInstance = false, param = {}) {
-    if (!gameCtor.id) {
-      gameCtor.id = nextGameIdx++;
-    }
-
-    let pair = core.games[gameCtor.id];
-
-    if (!pair) {
-      pair = { ctor: gameCtor, inst: null, param: param };
-    }
-    pair.param = param;
-    core.games[gameCtor.id] = pair;
-
-    if (newInstance) {
-      pair.inst = null;
-    }
-
-    nextGame = pair;
+  setGame: function(gameCtor, newInstance = false, param = {}, transition = null) {
+    queueOp('set', getPair(gameCtor, newInstance), param, transition);
+  },
+  /**
+   * Push a game on top of current one, which stops updating until the
+   * pushed game is popped.
+   *
+   * @example
+   * import core from 'engine/core';
+   * import Fade from 'engine/transition/Fade';
+   *
+   * class PauseMenu extends Game {
+   *   constructor() {
+   *     super();
+   *     // Gameplay below is still drawn
+   *     this.isOverlay = true;
+   *   }
+   * }
+   *
+   * core.pushGame(PauseMenu);
+   * // And back to the gameplay
+   * core.popGame();
+   *
+   * // Fade to the shop and back
+   * core.pushGame(Shop, false, {}, Fade({ duration: 300 }));
+   * core.popGame({}, Fade({ duration: 300 }));
+   *
+   * @memberof module:engine/core
+   * @param {Game} gameCtor               Game class to push
+   * @param {Boolean} [newInstance=false] Whether create new instance for this game.
+   * @param {Object} [param={}]           Parameters to pass to the game(to `Game#awake`)
+   * @param {Transition} [transition]     Transition to play while switching
+   */
+  pushGame: function(gameCtor, newInstance = false, param = {}, transition = null) {
+    queueOp('push', getPair(gameCtor, newInstance), param, transition);
+  },
+  /**
+   * Remove the top game from the stack, and go back to the one below.
+   * @memberof module:engine/core
+   * @param {Object} [param={}]       Parameters to pass to the game below(to `Game#awake`)
+   * @param {Transition} [transition] Transition to play while switching
+   */
+  popGame: function(param = {}, transition = null) {
+    queueOp('pop', null, param, transition);
+  },
+  /**
+   * Replace the top game of the stack with another one.
+   * @memberof module:engine/core
+   * @param {Game} gameCtor               Game class to be set
+   * @param {Boolean} [newInstance=false] Whether create new instance for this game.
+   * @param {Object} [param={}]           Parameters to pass to the game(to `Game#awake`)
+   * @param {Transition} [transition]     Transition to play while switching
+   */
+  replaceGame: function(gameCtor, newInstance = false, param = {}, transition = null) {
+    queueOp('replace', getPair(gameCtor, newInstance), param, transition);
   },
   /**
    * Main entry.
@@ -282,9 +335,168 @@ if (config.gfx && config.gfx.resolution) {
 }
 
 // - Private properties and methods
-let nextGame = null;
+let pendingOps = [];
+let transition = null;
+let lastTimestamp = 0;
 let loopId = 0;
 let resizeFunc = _letterBoxResize;
+/**
+ * Get the registered pair of a game class.
+ * @param  {Game} gameCtor      Game class
+ * @param  {Boolean} newInstance Whether create new instance for this game
+ * @return {Object}             Pair of the class and its instance
+ * @private
+ */
+function getPair(gameCtor, newInstance) {
+  if (!gameCtor.id) {
+    gameCtor.id = nextGameIdx++;
+  }
+
+  let pair = core.games[gameCtor.id];
+
+  if (!pair) {
+    pair = { ctor: gameCtor, inst: null };
+  }
+  core.games[gameCtor.id] = pair;
+
+  if (newInstance) {
+    pair.inst = null;
+  }
+
+  return pair;
+}
+/**
+ * Queue a change of the stack, applied in next frame.
+ * @param {String} type         `set`, `push`, `pop` or `replace`
+ * @param {Object} pair         Pair of the game to switch to
+ * @param {Object} param        Parameters to pass to the game
+ * @param {Transition} trans    Transition to play while switching
+ * @private
+ */
+function queueOp(type, pair, param, trans) {
+  pendingOps.push({ type: type, pair: pair, param: param, transition: trans });
+}
+/**
+ * Apply a change of the stack.
+ * @param {Object} op Change to apply
+ * @private
+ */
+function applyOp(op) {
+  if (op.type === 'pop' && core.stack.length < 2) {
+    console.log('[WARNING]: No game to pop back to!');
+    return;
+  }
+
+  let i, next = null;
+
+  // Freeze current game before switching
+  if (core.game) {
+    core.off('pause', core.game.pause, core.game);
+    core.off('resume', core.game.resume, core.game);
+    core.game.freeze();
+  }
+  core.game = null;
+
+  // Remove games from the stack
+  if (op.type === 'set') {
+    for (i = 0; i < core.stack.length; i++) {
+      core.off('resize', core.stack[i].resize, core.stack[i]);
+    }
+    core.stack.length = 0;
+  }
+  else if (op.type !== 'push' && core.stack.length > 0) {
+    next = core.stack.pop();
+    core.off('resize', next.resize, next);
+  }
+
+  if (op.pair) {
+    // Create instance of game if not exist
+    if (!op.pair.inst) {op.pair.inst = new op.pair.ctor();}
+    next = op.pair.inst;
+
+    // Move to the top if already in the stack
+    i = core.stack.indexOf(next);
+    if (i >= 0) {
+      core.stack.splice(i, 1);
+    }
+    else {
+      core.on('resize', next.resize, next);
+    }
+    core.stack.push(next);
+  }
+  else {
+    next = core.stack[core.stack.length - 1];
+  }
+
+  // Awake the game
+  core.game = next;
+  core.on('pause', core.game.pause, core.game);
+  core.on('resume', core.game.resume, core.game);
+  core.game.awake(op.param);
+
+  // Resize container of the game
+  resizeFunc();
+}
+/**
+ * Play current transition and apply queued changes of the stack.
+ * @param {Number} delta Delta time in millisecond
+ * @private
+ */
+function updateStack(delta) {
+  if (transition) {
+    transition.update(delta);
+    if (transition.isFinished) {
+      transition = null;
+    }
+  }
+
+  let op;
+  while (pendingOps.length > 0) {
+    op = pendingOps[0];
+
+    if (transition) {
+      // Switch when the transition covers the screen, other
+      // changes wait until it finished
+      if (transition !== op.transition || !transition.isCovered) {
+        break;
+      }
+
+      pendingOps.shift();
+      applyOp(op);
+      transition.switched(core.game);
+    }
+    else if (op.transition) {
+      transition = op.transition;
+      transition.start(core.game);
+    }
+    else {
+      pendingOps.shift();
+      applyOp(op);
+    }
+  }
+}
+/**
+ * Draw games below the top one that are not covered.
+ * @private
+ */
+function drawStack() {
+  const top = core.stack.length - 1;
+  if (top < 0) {
+    return;
+  }
+
+  // Lowest game that is visible
+  let base = top;
+  while (base > 0 && core.stack[base].isOverlay) {
+    base--;
+  }
+
+  for (let i = base; i < top; i++) {
+    core.stack[i].clearBeforeRender = (i === base);
+    core.stack[i].render();
+  }
+  core.stack[top].clearBeforeRender = (base === top);
+}
 /**
  * @private
  */
@@ -298,41 +510,27 @@ function startLoop() {
 function loop(timestamp) {
   loopId = requestAnimationFrame(loop);
 
+  const delta = (lastTimestamp > 0) ? timestamp - lastTimestamp : 0;
+  lastTimestamp = timestamp;
+
   // Do not update anything when paused
   if (!core.paused) {
     // Switch to new game
-    if (nextGame) {
-      let pair = nextGame;
-      nextGame = null;
-
-      // Freeze current game before switching
-      if (core.game) {
-        core.off('pause', core.game.pause, core.game);
-        core.off('resume', core.game.resume, core.game);
-        core.off('resize', core.game.resize, core.game);
-        core.game.freeze();
-      }
-      core.game = null;
-
-      // Create instance of game if not exist
-      if (!pair.inst) {pair.inst = new pair.ctor();}
-
-      // Awake the game
-      core.game = pair.inst;
-      core.on('pause', core.game.pause, core.game);
-      core.on('resume', core.game.resume, core.game);
-      core.on('resize', core.game.resize, core.game);
-      core.game.awake(pair.param);
+    updateStack(delta);
 
-      // Resize container of the game
-      resizeFunc();
-    }
+    // Draw games below
+    drawStack();
 
     // Update current game
     if (core.game) {
       core.game.run(timestamp);
     }
 
+    // Draw transition on top
+    if (transition) {
+      transition.draw(core.game);
+    }
+
     // Tick
     core.emit('tick');
   }
@@ -572,7 +770,7 @@ function resizeRotatePrompt() {
 // Resize functions
 let windowSize = { x: 1, y: 1 };
 let scaledWidth, scaledHeight;
-let result, container;
+let result;
 /**
  * @private
  */
@@ -631,13 +829,10 @@ function _scaleInnerResize() {
   core.view.style.width = core.containerView.style.width = `${window.innerWidth}px`;
   core.view.style.height = core.containerView.style.height = `${window.innerHeight}px`;
 
-  // Resize container of current game
-  if (core.game) {
-    container = core.game.stage;
-    result = innerBoxResize(core.viewSize, core.size);
-    container.scale.set(result.scale);
-    container.position.set(result.left, result.top);
-  }
+  // Resize containers of all the games in the stack
+  result = innerBoxResize(core.viewSize, core.size);
+  Object.assign(core.contentTransform, result);
+  _transformGames();
 
   // Broadcast resize events
   core.emit('resize', core.viewSize.x, core.viewSize.y);
@@ -656,13 +851,10 @@ function _scaleOuterResize() {
   core.view.style.width = core.containerView.style.width = `${window.innerWidth}px`;
   core.view.style.height = core.containerView.style.height = `${window.innerHeight}px`;
 
-  // Resize container of current game
-  if (core.game) {
-    container = core.game.stage;
-    result = outerBoxResize(core.viewSize, core.size);
-    container.scale.set(result.scale);
-    container.position.set(result.left, result.top);
-  }
+  // Resize containers of all the games in the stack
+  result = outerBoxResize(core.viewSize, core.size);
+  Object.assign(core.contentTransform, result);
+  _transformGames();
 
   // Broadcast resize events
   core.emit('resize', core.viewSize.x, core.viewSize.y);
@@ -673,6 +865,24 @@ function _scaleOuterResize() {
   }
 }
 
+/**
+ * Apply `core.contentTransform` to the root node of every game in the
+ * stack, games below the top one are still rendered.
+ * @private
+ */
+function _transformGames() {
+  const t = core.contentTransform;
+
+  let i, gfx;
+  for (i = 0; i < core.stack.length; i++) {
+    gfx = core.stack[i].systems.Gfx;
+    if (!gfx) {continue;}
+
+    gfx.root.scale.set(t.scale);
+    gfx.root.position.set(t.left, t.top);
+  }
+}
+
 // CSS helpers
 /**
  * Alien an element to the center.
@@ -1,6 +1,8 @@
 import Node from './core/Node';
 import Sprite from './core/sprites/Sprite';
 import Texture from './core/textures/Texture';
+import RenderTexture from './core/textures/RenderTexture';
+import Vector from 'engine/Vector';
 import { textureFromData } from './utils';
 import { filmstrip } from './utils';
 
@@ -8,16 +10,81 @@ const TILESETS = {};
 const POOL = [];
 
 /**
- * Tilemap node
+ * Node used to draw tiles of a chunk.
+ * @type {Node}
+ * @private
  */
-class BackgroundMap extends Node {
+const DRAW_NODE = new Node();
+
+/**
+ * Temp vectors used for culling.
+ * @type {Vector}
+ * @private
+ */
+const VIEW_MIN = Vector.create();
+const VIEW_MAX = Vector.create();
+const CORNER = Vector.create();
+
+/**
+ * Bits of a tile used as flip flags.
+ * @type {Number}
+ * @private
+ */
+const FLAG_MASK = 0xE0000000;
+
+/**
+ * Apply flip flags of a tile to its sprite.
+ * @param {Sprite} sprite Sprite of the tile(anchor at center)
+ * @param {Number} tile   Tile with flags
+ * @private
+ */
+function setFlips(sprite, tile) {
+  const h = (tile & 0x80000000) ? -1 : 1;
+  const v = (tile & 0x40000000) ? -1 : 1;
+
+  // Diagonal flip is applied first, same as Tiled
+  if (tile & 0x20000000) {
+    sprite.rotation = Math.PI * 0.5;
+    sprite.scale.set(v, -h);
+  }
+  else {
+    sprite.rotation = 0;
+    sprite.scale.set(h, v);
+  }
+}
+
+/**
+ * Tilemap node. The map is split into chunks, each chunk is drawn
+ * into a `RenderTexture` once and redrawn only when its tiles change.
+ * Only the chunks inside the view(the camera) are rendered.
+ *
+ * Tiles are 1-based indices across all the tilesets(global IDs like
+ * Tiled uses), 0 means empty. The highest 3 bits are flip flags, see
+ * `BackgroundMap.FLIPPED_HORIZONTALLY` and the other flags.
+ *
+ * @example
+ * import BackgroundMap from 'engine/gfx/BackgroundMap';
+ * import { BackgroundMap as BackgroundMapClass } from 'engine/gfx/BackgroundMap';
+ *
+ * // Two tilesets, tiles of the second one start from 65
+ * const map = BackgroundMap(16, data, [
+ *   { texture: 'ground.png', firstgid: 1 },
+ *   { texture: 'water.png', firstgid: 65 },
+ * ]);
+ * // Water animation, 4 frames per second
+ * map.addAnimation(65, [65, 66, 67, 68], 4);
+ * // Flipped tile
+ * map.setTile(2, 3, 5 | BackgroundMapClass.FLIPPED_HORIZONTALLY);
+ */
+export class BackgroundMap extends Node {
   /**
    * @constructor
-   * @param  {Number} tilesize  Size of a single tile(in pixel)
-   * @param  {Array} data       Map ata
-   * @param  {Texture} tileset  Tileset texture
+   * @param  {Number} tilesize        Size of a single tile(in pixel)
+   * @param  {Array} data             Map ata
+   * @param  {Texture|Array} tileset  Tileset texture, or list of tilesets(`{ texture, firstgid }`)
+   * @param  {Number} [chunkSize]     Size of a chunk(in tile)
    */
-  constructor(tilesize, data, tileset) {
+  constructor(tilesize, data, tileset, chunkSize = BackgroundMap.chunkSize) {
     super();
 
     if (!Number.isFinite(tilesize) || tilesize <= 0) {
@@ -28,16 +95,66 @@ class BackgroundMap extends Node {
       console.log('Invalid data format!');
       return;
     }
-    if (!tileset || !(tileset instanceof Texture)) {
+    const tilesets = Array.isArray(tileset) ? tileset : [tileset];
+    if (tilesets.length === 0 || !tilesets.every((t) => t && ((t instanceof Texture) || (t.texture instanceof Texture)))) {
       console.log('Invalid tileset!');
       return;
     }
 
     this.tilesize = tilesize;
     this.data = data;
-    this.tileset = tileset;
+    this.tileset = tilesets[0].texture || tilesets[0];
     this.tilesetTextures = null;
-    this.tileSprites = null;
+
+    /**
+     * Tilesets of this map, sorted by `firstgid`. Each tileset is
+     * `{ firstgid, texture, textures }`.
+     * @type {Array<Object>}
+     * @readonly
+     */
+    this.tilesets = tilesets.slice();
+    /**
+     * Tile animations, see `addAnimation`.
+     * @type {Object}
+     * @readonly
+     */
+    this.animations = {};
+
+    /**
+     * Size of a chunk(in tile).
+     * @type {Number}
+     * @readonly
+     */
+    this.chunkSize = Math.max(1, Math.floor(chunkSize));
+    /**
+     * Chunks of this map, in rows and columns. Each chunk is
+     * `{ r, q, sprite, dirty, animated }`.
+     * @type {Array<Array>}
+     * @readonly
+     */
+    this.chunks = null;
+    /**
+     * Whether to render only the chunks inside the view. The view is
+     * the renderer screen transformed back into this map, so it
+     * follows `Camera` (position, zoom and rotation) automatically.
+     * @type {Boolean}
+     * @default true
+     */
+    this.culling = true;
+    /**
+     * Chunks this far(in chunk) outside the view keep their textures,
+     * textures of the others are released and redrawn when they come
+     * into view again.
+     * @type {Number}
+     * @default 1
+     */
+    this.chunkMargin = 1;
+    /**
+     * Released chunk textures kept for reuse, extra ones are destroyed.
+     * @type {Array<RenderTexture>}
+     * @private
+     */
+    this.texturePool = [];
 
     this._width = data[0].length;
     this._height = data.length;
@@ -61,6 +178,26 @@ class BackgroundMap extends Node {
     return this._height;
   }
 
+  /**
+   * Gfx system this map is rendered with, the map requests animating
+   * from it when it has animated tiles.
+   * @type {SystemGfx}
+   */
+  get system() {
+    return super.system;
+  }
+  set system(value) {
+    if (this._system && this._system !== value) {
+      this._system.cancelAnimate(this);
+    }
+
+    super.system = value;
+
+    if (value && this.animations && Object.keys(this.animations).length > 0) {
+      value.requestAnimate(this);
+    }
+  }
+
   /**
    * Get the tile with its row and column
    * @param  {Number} r Row
@@ -84,7 +221,8 @@ class BackgroundMap extends Node {
   }
 
   /**
-   * Set the tile at (row, column)
+   * Set the tile at (row, column), only the chunk contains this tile
+   * will be redrawn.
    * @param {Number} r    Row
    * @param {Number} q    Column
    * @param {Number} tile Tile index to set
@@ -92,14 +230,7 @@ class BackgroundMap extends Node {
   setTile(r, q, tile) {
     if (q >= 0 && q < this._width && r >= 0 && r < this._height) {
       this.data[r][q] = tile;
-
-      if (tile > 0) {
-        this.tileSprites[r][q].visible = true;
-        this.tileSprites[r][q].texture = this.tilesetTextures[tile - 1];
-      }
-      else {
-        this.tileSprites[r][q].visible = false;
-      }
+      this.invalidate(r, q);
     }
   }
   /**
@@ -113,34 +244,183 @@ class BackgroundMap extends Node {
     const r = Math.floor(y / this.tilesize);
     if (q >= 0 && q < this._width && r >= 0 && r < this._height) {
       this.data[r][q] = tile;
+      this.invalidate(r, q);
+    }
+  }
+
+  /**
+   * Add an animation to a tile. All the tiles with this index are
+   * animated together, flip flags are kept.
+   * @param {Number} tile           Tile index to animate
+   * @param {Array<Number>} frames  Tile indices of each frame
+   * @param {Number|Array<Number>} [speed=10] Frames per second, or duration of each frame(in ms)
+   * @return {BackgroundMap}        Self for chaining
+   */
+  addAnimation(tile, frames, speed = 10) {
+    this.animations[tile] = {
+      frames: frames,
+      durations: Array.isArray(speed) ? speed : frames.map(() => 1000 / speed),
+      frame: 0,
+      time: 0,
+      changed: false,
+    };
+
+    this.invalidateAll();
+    if (this.system) {
+      this.system.requestAnimate(this);
+    }
+
+    return this;
+  }
+  /**
+   * Remove the animation of a tile.
+   * @param {Number} tile     Tile index
+   * @return {BackgroundMap}  Self for chaining
+   */
+  removeAnimation(tile) {
+    if (!this.animations.hasOwnProperty(tile)) {
+      return this;
+    }
+
+    delete this.animations[tile];
+
+    this.invalidateAll();
+    if (this.system && Object.keys(this.animations).length === 0) {
+      this.system.cancelAnimate(this);
+    }
+
+    return this;
+  }
 
-      if (tile > 0) {
-        this.tileSprites[r][q].visible = true;
-        this.tileSprites[r][q].texture = this.tilesetTextures[tile - 1];
+  /**
+   * Update tile animations, chunks with changed tiles are marked as
+   * dirty. Called by the gfx system.
+   * @param {Number} delta Delta time(in ms)
+   * @private
+   */
+  update(delta) {
+    let gid, anim, changed = false;
+    for (gid in this.animations) {
+      anim = this.animations[gid];
+      anim.time += delta;
+      anim.changed = false;
+
+      while (anim.time >= anim.durations[anim.frame]) {
+        // Ignore frames without duration
+        if (!(anim.durations[anim.frame] > 0)) {
+          anim.time = 0;
+          break;
+        }
+
+        anim.time -= anim.durations[anim.frame];
+        anim.frame = (anim.frame + 1) % anim.frames.length;
+        anim.changed = true;
       }
-      else {
-        this.tileSprites[r][q].visible = false;
+
+      changed = changed || anim.changed;
+    }
+
+    if (!changed || !this.chunks) {
+      return;
+    }
+
+    let r, q, i, chunk;
+    for (r = 0; r < this.chunks.length; r++) {
+      for (q = 0; q < this.chunks[r].length; q++) {
+        chunk = this.chunks[r][q];
+        for (i = 0; i < chunk.animated.length; i++) {
+          anim = this.animations[chunk.animated[i]];
+          if (anim && anim.changed) {
+            chunk.dirty = true;
+            break;
+          }
+        }
       }
     }
   }
 
   /**
-   * Parse the tileset of this map
+   * Parse the tilesets of this map
    * @private
    */
   parseTileset() {
-    let tileList;
+    let i, texture, tileList, uid, firstgid = 1;
+    for (i = 0; i < this.tilesets.length; i++) {
+      texture = this.tilesets[i].texture || this.tilesets[i];
+
+      uid = texture.baseTexture.uid;
+      if (TILESETS.hasOwnProperty(uid) && Array.isArray(TILESETS[uid])) {
+        tileList = TILESETS[uid];
+      }
+      else {
+        tileList = filmstrip(texture, this.tilesize, this.tilesize);
+        TILESETS[uid] = tileList;
+      }
 
-    let uid = this.tileset.baseTexture.uid;
-    if (TILESETS.hasOwnProperty(uid) && Array.isArray(TILESETS[uid])) {
-      tileList = TILESETS[uid];
+      // Tilesets without `firstgid` follow the previous one
+      if (Number.isFinite(this.tilesets[i].firstgid)) {
+        firstgid = this.tilesets[i].firstgid;
+      }
+
+      this.tilesets[i] = {
+        firstgid: firstgid,
+        texture: texture,
+        textures: tileList,
+      };
+
+      firstgid += tileList.length;
     }
-    else {
-      tileList = filmstrip(this.tileset, this.tilesize, this.tilesize);
-      TILESETS[uid] = tileList;
+
+    this.tilesets.sort((a, b) => a.firstgid - b.firstgid);
+
+    this.tilesetTextures = this.tilesets[0].textures;
+  }
+
+  /**
+   * Get texture of a tile.
+   * @param  {Number} tile  Tile index(flip flags are ignored)
+   * @return {Texture}      Texture of the tile, or undefined if not exist
+   */
+  getTileTexture(tile) {
+    const gid = tile & ~FLAG_MASK;
+
+    let i;
+    for (i = this.tilesets.length - 1; i >= 0; i--) {
+      if (this.tilesets[i].firstgid <= gid) {
+        return this.tilesets[i].textures[gid - this.tilesets[i].firstgid];
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Mark the chunk contains a tile as dirty, so it will be redrawn
+   * before next rendering. Call this after modifying `data` directly.
+   * @param {Number} r  Row of the tile
+   * @param {Number} q  Column of the tile
+   */
+  invalidate(r, q) {
+    const row = this.chunks && this.chunks[Math.floor(r / this.chunkSize)];
+    const chunk = row && row[Math.floor(q / this.chunkSize)];
+    if (chunk) {
+      chunk.dirty = true;
+    }
+  }
+  /**
+   * Mark all the chunks as dirty, the whole map will be redrawn.
+   */
+  invalidateAll() {
+    if (!this.chunks) {
+      return;
     }
 
-    this.tilesetTextures = tileList;
+    let r, q;
+    for (r = 0; r < this.chunks.length; r++) {
+      for (q = 0; q < this.chunks[r].length; q++) {
+        this.chunks[r][q].dirty = true;
+      }
+    }
   }
 
   /**
@@ -149,66 +429,328 @@ class BackgroundMap extends Node {
    */
   drawTiles() {
     // Draw nothing if tileset is invalid
-    if (!this.tileset || !this.tilesetTextures || this.tilesetTextures.length === 0) {
+    if (!this.tilesets || !this.tilesetTextures || this.tilesetTextures.length === 0) {
       return;
     }
 
-    // Create sprites to draw the map
-    this.createTileSprites();
+    // Create sprites to draw the chunks, textures are created when
+    // they are going to be rendered
+    const size = this.chunkSize * this.tilesize;
+    const rows = Math.ceil(this._height / this.chunkSize);
+    const cols = Math.ceil(this._width / this.chunkSize);
+
+    this.chunks = new Array(rows);
+
+    let q, r, row, sprite;
+    for (r = 0; r < rows; r++) {
+      row = new Array(cols);
 
-    // Update texture of each tile
-    let q, r, tile, idx;
-    for (r = 0; r < this._height; r++) {
-      for (q = 0; q < this._width; q++) {
-        idx = this.data[r][q] - 1;
-        tile = this.tileSprites[r][q];
+      for (q = 0; q < cols; q++) {
+        sprite = new Sprite(Texture.EMPTY);
+        sprite.position.set(q * size, r * size);
+        sprite.renderable = false;
+        this.addChild(sprite);
 
-        if (idx < 0) {
-          tile.visible = false;
+        row[q] = {
+          r: r,
+          q: q,
+          sprite: sprite,
+          dirty: true,
+          animated: [],
+        };
+      }
+
+      this.chunks[r] = row;
+    }
+  }
+
+  /**
+   * Update chunks before rendering: set chunks inside the view
+   * renderable and redraw the dirty ones.
+   * @param {CanvasRenderer|WebGLRenderer} renderer Renderer
+   * @private
+   */
+  updateChunks(renderer) {
+    if (!this.chunks) {
+      return;
+    }
+
+    const size = this.chunkSize * this.tilesize;
+
+    let top = 0, bottom = this.chunks.length - 1;
+    let left = 0, right = this.chunks[0].length - 1;
+
+    if (this.culling) {
+      this.getViewBounds(renderer, VIEW_MIN, VIEW_MAX);
+      left = Math.max(left, Math.floor(VIEW_MIN.x / size));
+      top = Math.max(top, Math.floor(VIEW_MIN.y / size));
+      right = Math.min(right, Math.floor(VIEW_MAX.x / size));
+      bottom = Math.min(bottom, Math.floor(VIEW_MAX.y / size));
+    }
+
+    const m = this.chunkMargin;
+
+    let r, q, chunk, inView;
+    for (r = 0; r < this.chunks.length; r++) {
+      for (q = 0; q < this.chunks[r].length; q++) {
+        chunk = this.chunks[r][q];
+        inView = (r >= top && r <= bottom && q >= left && q <= right);
+
+        if (inView && chunk.dirty) {
+          this.drawChunk(chunk, renderer);
         }
-        else {
-          tile.visible = true;
-          tile.texture = this.tilesetTextures[idx];
+        else if (r < top - m || r > bottom + m || q < left - m || q > right + m) {
+          this.releaseChunk(chunk);
         }
+
+        chunk.sprite.renderable = inView;
       }
     }
   }
 
   /**
-   * Create sprites for drawing
+   * Release texture of a chunk far away from the view, the chunk is
+   * marked as dirty and will be redrawn on demand.
+   * @param {Object} chunk Chunk to release
+   * @private
+   */
+  releaseChunk(chunk) {
+    const texture = chunk.sprite.texture;
+    if (!(texture instanceof RenderTexture)) {
+      return;
+    }
+
+    chunk.sprite.texture = Texture.EMPTY;
+    chunk.dirty = true;
+
+    // Only full size textures can be reused by other chunks
+    const size = this.chunkSize * this.tilesize;
+    if (texture.width === size && texture.height === size && this.texturePool.length < BackgroundMap.texturePoolSize) {
+      this.texturePool.push(texture);
+    }
+    else {
+      texture.destroy(true);
+    }
+  }
+
+  /**
+   * Calculate bounds of the view in local space of this map.
+   * @param {CanvasRenderer|WebGLRenderer} renderer Renderer
+   * @param {Vector} min Top-left of the bounds
+   * @param {Vector} max Bottom-right of the bounds
+   * @private
+   */
+  getViewBounds(renderer, min, max) {
+    const w = renderer.width / renderer.resolution;
+    const h = renderer.height / renderer.resolution;
+    const wt = this.worldTransform;
+
+    min.set(Infinity, Infinity);
+    max.set(-Infinity, -Infinity);
+
+    let i;
+    for (i = 0; i < 4; i++) {
+      CORNER.set((i & 1) ? w : 0, (i & 2) ? h : 0);
+      wt.applyInverse(CORNER, CORNER);
+
+      min.x = Math.min(min.x, CORNER.x);
+      min.y = Math.min(min.y, CORNER.y);
+      max.x = Math.max(max.x, CORNER.x);
+      max.y = Math.max(max.y, CORNER.y);
+    }
+  }
+
+  /**
+   * Draw tiles of a chunk into its texture.
+   * @param {Object} chunk  Chunk to draw
+   * @param {CanvasRenderer|WebGLRenderer} renderer Renderer
    * @private
    */
-  createTileSprites() {
-    this.tileSprites = new Array(this._height);
+  drawChunk(chunk, renderer) {
+    const ts = this.tilesize;
+    const r0 = chunk.r * this.chunkSize;
+    const q0 = chunk.q * this.chunkSize;
+    const r1 = Math.min(r0 + this.chunkSize, this._height);
+    const q1 = Math.min(q0 + this.chunkSize, this._width);
 
-    // Insert tiles to fit map size
-    let q, r, tile, row;
-    for (r = 0; r < this._height; r++) {
-      row = new Array(this._width);
+    let target = chunk.sprite.texture;
+    if (!(target instanceof RenderTexture)) {
+      const full = (r1 - r0 === this.chunkSize && q1 - q0 === this.chunkSize);
+      target = (full && this.texturePool.pop()) || new RenderTexture(renderer, (q1 - q0) * ts, (r1 - r0) * ts);
+      chunk.sprite.texture = target;
+    }
+
+    chunk.animated.length = 0;
+
+    // Add sprites of the tiles
+    let q, r, value, gid, anim, texture, tile;
+    for (r = r0; r < r1; r++) {
+      for (q = q0; q < q1; q++) {
+        value = this.data[r][q];
+        gid = value & ~FLAG_MASK;
+        if (gid <= 0) {
+          continue;
+        }
+
+        // Current frame of animated tiles
+        anim = this.animations[gid];
+        if (anim) {
+          if (chunk.animated.indexOf(gid) < 0) {
+            chunk.animated.push(gid);
+          }
+          gid = anim.frames[anim.frame];
+        }
+
+        texture = this.getTileTexture(gid);
+        if (!texture) {
+          continue;
+        }
 
-      for (q = 0; q < this._width; q++) {
         tile = POOL.pop();
         if (!tile) {
           tile = new Sprite();
         }
-        tile.position.set(q * this.tilesize, r * this.tilesize);
-        this.addChild(tile);
-
-        row[q] = tile;
+        tile.texture = texture;
+        tile.anchor.set(0.5, 0.5);
+        tile.position.set((q - q0 + 0.5) * ts, (r - r0 + 0.5) * ts);
+        setFlips(tile, value);
+        DRAW_NODE.addChild(tile);
       }
+    }
+
+    // Render into the texture, keep current state of the renderer
+    if (renderer.gl) {
+      renderer.currentRenderer.flush();
+
+      const cachedTarget = renderer.currentRenderTarget;
+      const stack = renderer.filterManager.filterStack;
 
-      this.tileSprites[r] = row;
+      target.render(DRAW_NODE, null, true, true);
+
+      renderer.setRenderTarget(cachedTarget);
+      renderer.filterManager.filterStack = stack;
+    }
+    else {
+      target.render(DRAW_NODE, null, true);
+    }
+
+    // Put the tile sprites back to the pool
+    while (DRAW_NODE.children.length > 0) {
+      POOL.push(DRAW_NODE.removeChildAt(DRAW_NODE.children.length - 1));
+    }
+
+    chunk.dirty = false;
+  }
+
+  /**
+   * Renders the map using the WebGL renderer
+   * @param {WebGLRenderer} renderer The renderer
+   */
+  renderWebGL(renderer) {
+    if (this.visible && this.worldAlpha > 0 && this.renderable) {
+      this.updateChunks(renderer);
+    }
+
+    super.renderWebGL(renderer);
+  }
+  /**
+   * Renders the map using the Canvas renderer
+   * @param {CanvasRenderer} renderer The renderer
+   */
+  renderCanvas(renderer) {
+    if (this.visible && this.alpha > 0 && this.renderable) {
+      this.updateChunks(renderer);
     }
+
+    super.renderCanvas(renderer);
+  }
+
+  /**
+   * Destroy this map and textures of its chunks
+   * @param {Boolean} destroyChildren Whether to destroy children too
+   */
+  destroy(destroyChildren) {
+    let r, q, texture;
+    if (this.chunks) {
+      for (r = 0; r < this.chunks.length; r++) {
+        for (q = 0; q < this.chunks[r].length; q++) {
+          texture = this.chunks[r][q].sprite.texture;
+          if (texture instanceof RenderTexture) {
+            texture.destroy(true);
+          }
+        }
+      }
+      this.chunks = null;
+    }
+    for (r = 0; r < this.texturePool.length; r++) {
+      this.texturePool[r].destroy(true);
+    }
+    this.texturePool.length = 0;
+
+    super.destroy(destroyChildren);
   }
 }
 
+/**
+ * Flag of horizontally flipped tiles.
+ * @type {Number}
+ */
+BackgroundMap.FLIPPED_HORIZONTALLY = 0x80000000;
+/**
+ * Flag of vertically flipped tiles.
+ * @type {Number}
+ */
+BackgroundMap.FLIPPED_VERTICALLY = 0x40000000;
+/**
+ * Flag of diagonally flipped tiles(x and y axes swapped).
+ * @type {Number}
+ */
+BackgroundMap.FLIPPED_DIAGONALLY = 0x20000000;
+/**
+ * Flags of tiles rotated 90 degrees clockwise.
+ * @type {Number}
+ */
+BackgroundMap.ROTATED_90 = (0x20000000 | 0x80000000) >>> 0;
+/**
+ * Flags of tiles rotated 180 degrees.
+ * @type {Number}
+ */
+BackgroundMap.ROTATED_180 = (0x80000000 | 0x40000000) >>> 0;
+/**
+ * Flags of tiles rotated 270 degrees clockwise.
+ * @type {Number}
+ */
+BackgroundMap.ROTATED_270 = (0x20000000 | 0x40000000) >>> 0;
+
+/**
+ * Default size of chunks(in tile).
+ * @type {Number}
+ * @default 16
+ */
+BackgroundMap.chunkSize = 16;
+/**
+ * How many released chunk textures a map keeps for reuse.
+ * @type {Number}
+ * @default 8
+ */
+BackgroundMap.texturePoolSize = 8;
+
 /**
  * BackgroundMap factory
- * @param  {Number} tilesize Size of a single tile
- * @param  {Array}  data     Map data
- * @param  {Texture} tileset Tileset texture
- * @return {BackgroundMap}   BackgroundMap instance
+ * @param  {Number} tilesize        Size of a single tile
+ * @param  {Array}  data            Map data
+ * @param  {Texture|Array} tileset  Tileset texture, or list of tilesets(`{ texture, firstgid }`)
+ * @param  {Number} [chunkSize]     Size of a chunk(in tile), default is `BackgroundMap.chunkSize`
+ * @return {BackgroundMap}          BackgroundMap instance
  */
-export default function(tilesize = 8, data = [[]], tileset = null) {
-  return new BackgroundMap(tilesize, data, textureFromData(tileset));
+export default function(tilesize = 8, data = [[]], tileset = null, chunkSize) {
+  // List of tilesets
+  if (Array.isArray(tileset) && tileset.length > 0 && tileset[0].hasOwnProperty('texture')) {
+    tileset = tileset.map((t) => Object.assign({}, t, { texture: textureFromData(t.texture) }));
+  }
+  else {
+    tileset = textureFromData(tileset);
+  }
+
+  return new BackgroundMap(tilesize, data, tileset, chunkSize);
 };
@@ -33,7 +33,7 @@ export default class Polygon {
     }
 
     // if this is an array of points, convert it to a flat array of numbers
-    if ((FieldX in points[0]) && (FieldY in points[0])) {
+    if (typeof(points[0]) === 'object' && (FieldX in points[0]) && (FieldY in points[0])) {
       var p = [];
       for (var i = 0, il = points.length; i < il; i++) {
         p.push(points[i].x, points[i].y);
@@ -7,12 +7,20 @@ import CanvasRenderer from './core/renderers/canvas/CanvasRenderer';
 import { isWebGLSupported } from './core/utils';
 import { SCALE_MODES } from './const';
 import Node from './Node';
+import Sprite from './Sprite';
+import AnimatedSprite from './AnimatedSprite';
+import TilingSprite from './TilingSprite';
+import Graphics from './Graphics';
+import Text from './Text';
+import BitmapText from './BitmapText';
+import { gfxTypes } from 'engine/prefab';
 import config from 'game/config';
 
 // General asset middlewares (including texture support)
 import loader from 'engine/loader';
 import { Resource } from 'engine/loader';
 import { blobMiddlewareFactory } from 'engine/loader/middlewares/parsing/blob';
+import { prefabMiddlewareFactory } from 'engine/loader/middlewares/parsing/prefab';
 import textureParser from './loaders/textureParser';
 import spritesheetParser from './loaders/spritesheetParser';
 import bitmapFontParser from './loaders/bitmapFontParser';
@@ -26,6 +34,19 @@ loader.use(textureParser());
 loader.use(spritesheetParser());
 // - parse any spritesheet data into multiple textures
 loader.use(bitmapFontParser());
+// - define prefabs of JSON files
+loader.use(prefabMiddlewareFactory());
+
+// Gfx factories prefabs can use
+Object.assign(gfxTypes, {
+  Node,
+  Sprite,
+  AnimatedSprite,
+  TilingSprite,
+  Graphics,
+  Text,
+  BitmapText,
+});
 
 // System
 let sharedRenderer = null;
@@ -167,7 +188,24 @@ class Gfx extends System {
    * Update callback
    */
   update() {
+    this.render();
+  }
+  /**
+   * Render callback, draws the root.
+   */
+  render() {
+    const clear = this.renderer.clearBeforeRender;
+
+    // Keep what games below have drawn
+    if (this.game && !this.game.clearBeforeRender) {
+      this.renderer.clearBeforeRender = false;
+    }
+    else if (this.renderer.backgroundColor !== this._backgroundColor) {
+      this.renderer.backgroundColor = this._backgroundColor;
+    }
+
     this.renderer.render(this.root);
+    this.renderer.clearBeforeRender = clear;
   }
   /**
    * Fixed update callback
@@ -0,0 +1,264 @@
+/**
+ * Version of replay format, replays of other versions can not be played.
+ * @type {Number}
+ * @private
+ */
+const VERSION = 1;
+
+/**
+ * Find or add an item into a name table.
+ * @private
+ * @param  {Array<String>} table  Name table
+ * @param  {String} name          Name to find
+ * @return {Number}               Index of the name
+ */
+function indexOf(table, name) {
+  let idx = table.indexOf(name);
+  if (idx < 0) {
+    idx = table.push(name) - 1;
+  }
+  return idx;
+}
+
+/**
+ * Whether two frames contain the same states.
+ * @private
+ * @param  {Array} a First frame
+ * @param  {Array} b Second frame
+ * @return {Boolean} Same or not
+ */
+function sameFrame(a, b) {
+  for (let i = 1; i < 5; i++) {
+    if (a[i].length !== b[i].length) {
+      return false;
+    }
+    for (let j = 0; j < a[i].length; j++) {
+      if (a[i][j] !== b[i][j]) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Recorded action states of `Input`, one frame per fixed step.
+ *
+ * Action and axis names are saved once in name tables, and steps with
+ * the same states are merged into a single frame(`[count, down, pressed,
+ * released, axes]`), so the JSON stays small.
+ *
+ * @class Replay
+ */
+export default class Replay {
+  /**
+   * @constructor
+   * @param {Object|String} [data] Saved replay(object or JSON) to load
+   */
+  constructor(data) {
+    /**
+     * Format version.
+     * @type {Number}
+     * @readonly
+     */
+    this.version = VERSION;
+    /**
+     * Fixed update FPS of the game while recording.
+     * @type {Number}
+     */
+    this.fps = 60;
+    /**
+     * State of `engine/rnd` when recording starts.
+     * @type {String}
+     */
+    this.seed = '';
+    /**
+     * Names of the recorded actions.
+     * @type {Array<String>}
+     */
+    this.actions = [];
+    /**
+     * Names of the recorded axis actions.
+     * @type {Array<String>}
+     */
+    this.axes = [];
+    /**
+     * Merged frames.
+     * @type {Array<Array>}
+     */
+    this.frames = [];
+    /**
+     * How many steps are recorded.
+     * @type {Number}
+     */
+    this.length = 0;
+
+    /**
+     * Reading position: index of the frame
+     * @type {Number}
+     * @private
+     */
+    this._frameIdx = 0;
+    /**
+     * Reading position: steps already read from current frame
+     * @type {Number}
+     * @private
+     */
+    this._stepIdx = 0;
+
+    if (data) {
+      this.load(data);
+    }
+  }
+
+  /**
+   * Load a saved replay. Throws when the data is invalid or
+   * recorded with an unsupported version.
+   * @memberof Replay#
+   * @method load
+   * @param  {Object|String} data Saved replay(object or JSON)
+   * @return {Replay} Self for chaining
+   */
+  load(data) {
+    if (typeof(data) === 'string') {
+      data = JSON.parse(data);
+    }
+    if (!data || !Array.isArray(data.frames)) {
+      throw new Error('Invalid replay data!');
+    }
+    if (data.version !== VERSION) {
+      throw new Error(`Replay version "${data.version}" is not supported, only version "${VERSION}" can be played!`);
+    }
+
+    this.fps = data.fps;
+    this.seed = data.seed;
+    this.actions = data.actions;
+    this.axes = data.axes;
+    this.frames = data.frames;
+    this.length = 0;
+    for (let i = 0; i < this.frames.length; i++) {
+      this.length += this.frames[i][0];
+    }
+
+    return this.rewind();
+  }
+
+  /**
+   * Append states of a step.
+   * @memberof Replay#
+   * @method record
+   * @param {Array<String>} down      Actions held down
+   * @param {Array<String>} pressed   Actions just pressed
+   * @param {Array<String>} released  Actions just released
+   * @param {Object} axes             Axis values(`{ action: value }`)
+   * @return {Replay} Self for chaining
+   */
+  record(down, pressed, released, axes) {
+    let i, k, frame = [1, [], [], [], []];
+
+    for (i = 0; i < down.length; i++) {
+      frame[1].push(indexOf(this.actions, down[i]));
+    }
+    for (i = 0; i < pressed.length; i++) {
+      frame[2].push(indexOf(this.actions, pressed[i]));
+    }
+    for (i = 0; i < released.length; i++) {
+      frame[3].push(indexOf(this.actions, released[i]));
+    }
+    for (k in axes) {
+      // Axes that are not moved are not saved
+      if (axes[k] !== 0) {
+        frame[4].push(indexOf(this.axes, k), axes[k]);
+      }
+    }
+
+    // Merge into last frame if nothing changed
+    const last = this.frames[this.frames.length - 1];
+    if (last && sameFrame(last, frame)) {
+      last[0] += 1;
+    }
+    else {
+      this.frames.push(frame);
+    }
+    this.length += 1;
+
+    return this;
+  }
+
+  /**
+   * Move reading position back to the first step.
+   * @memberof Replay#
+   * @method rewind
+   * @return {Replay} Self for chaining
+   */
+  rewind() {
+    this._frameIdx = 0;
+    this._stepIdx = 0;
+
+    return this;
+  }
+  /**
+   * Read states of next step.
+   * @memberof Replay#
+   * @method next
+   * @param  {Object} out   Object to save states to(`{ down, pressed, released, axes }`)
+   * @return {Object|null}  States, or null when reaching the end
+   */
+  next(out) {
+    const frame = this.frames[this._frameIdx];
+    if (!frame) {
+      return null;
+    }
+
+    let i;
+    out.down.length = out.pressed.length = out.released.length = 0;
+    for (i = 0; i < frame[1].length; i++) {
+      out.down.push(this.actions[frame[1][i]]);
+    }
+    for (i = 0; i < frame[2].length; i++) {
+      out.pressed.push(this.actions[frame[2][i]]);
+    }
+    for (i = 0; i < frame[3].length; i++) {
+      out.released.push(this.actions[frame[3][i]]);
+    }
+    for (i in out.axes) {
+      out.axes[i] = 0;
+    }
+    for (i = 0; i < frame[4].length; i += 2) {
+      out.axes[this.axes[frame[4][i]]] = frame[4][i + 1];
+    }
+
+    // Move to next step
+    this._stepIdx += 1;
+    if (this._stepIdx >= frame[0]) {
+      this._frameIdx += 1;
+      this._stepIdx = 0;
+    }
+
+    return out;
+  }
+
+  /**
+   * Data to be saved as JSON.
+   * @memberof Replay#
+   * @method toJSON
+   * @return {Object} Replay data
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      fps: this.fps,
+      seed: this.seed,
+      actions: this.actions,
+      axes: this.axes,
+      frames: this.frames,
+    };
+  }
+}
+
+/**
+ * Current replay format version.
+ * @type {Number}
+ * @static
+ */
+Replay.VERSION = VERSION;
@@ -0,0 +1,315 @@
+import EventEmitter from 'engine/EventEmitter';
+
+/**
+ * Default polling source, reads pads from the browser Gamepad API.
+ * @private
+ * @return {Array} List of gamepad(like) objects
+ */
+function navigatorSource() {
+  if (typeof(navigator) !== 'undefined' && navigator.getGamepads) {
+    return navigator.getGamepads();
+  }
+  return [];
+}
+
+/**
+ * Gamepad support based on polling. Buttons and sticks of all the
+ * connected pads are checked each time `poll` is called, and changes
+ * are emitted as events using the same key-name style as `Keyboard`.
+ *
+ * Polling source is a function that returns a list of gamepad(like)
+ * objects (`{ id, connected, buttons: [{ pressed, value }], axes: [] }`),
+ * so it can be replaced by a fake pad when no browser is available.
+ *
+ * @class Gamepad
+ * @extends {EventEmitter}
+ *
+ * @emits connect
+ * @emits disconnect
+ * @emits buttondown
+ * @emits buttonup
+ */
+export class Gamepad extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Function} [source] Polling source, default reads from `navigator.getGamepads`
+   */
+  constructor(source) {
+    super();
+
+    /**
+     * Function that returns the list of gamepads to poll.
+     * @type {Function}
+     */
+    this.source = source || navigatorSource;
+
+    /**
+     * Sticks with a magnitude below this value are treated as centered.
+     * @type {Number}
+     * @default 0.25
+     */
+    this.deadzone = 0.25;
+    /**
+     * Stick value(after deadzone applied) required to press
+     * the stick direction buttons (`PAD_LSTICK_LEFT` .etc).
+     * @type {Number}
+     * @default 0.5
+     */
+    this.stickThreshold = 0.5;
+    /**
+     * Analog buttons(triggers) with value above this are pressed.
+     * @type {Number}
+     * @default 0.5
+     */
+    this.buttonThreshold = 0.5;
+
+    /**
+     * Polled states of pads, indexed same as the source.
+     * @type {Array<Object>}
+     * @private
+     */
+    this._pads = [];
+  }
+
+  /**
+   * Check if a button is pressed down.
+   * @method down
+   * @memberof Gamepad#
+   * @param {String} button       Name of the button
+   * @param {Number} [index=-1]   Index of the pad, -1 to check all pads
+   * @return {Boolean}  Whether this button is pressed down
+   */
+  down(button, index = -1) {
+    let i, pad;
+    for (i = 0; i < this._pads.length; i++) {
+      pad = this._pads[i];
+      if (!pad || (index >= 0 && index !== i)) {
+        continue;
+      }
+      if (pad.down[button]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get value of an analog axis, with deadzone applied.
+   * @method axis
+   * @memberof Gamepad#
+   * @param {String} name         Name of the axis (`LSTICK_X`, `LSTICK_Y`, `RSTICK_X`, `RSTICK_Y`)
+   * @param {Number} [index=-1]   Index of the pad, -1 to use the first connected one
+   * @return {Number} Axis value between -1 and 1
+   */
+  axis(name, index = -1) {
+    let i, pad = (index >= 0) ? this._pads[index] : null;
+    for (i = 0; !pad && index < 0 && i < this._pads.length; i++) {
+      pad = this._pads[i];
+    }
+    if (!pad || !pad.axes.hasOwnProperty(name)) {
+      return 0;
+    }
+    return pad.axes[name];
+  }
+
+  /**
+   * Whether a pad is connected.
+   * @method connected
+   * @memberof Gamepad#
+   * @param {Number} [index=-1] Index of the pad, -1 for any pad
+   * @return {Boolean} Connected or not
+   */
+  connected(index = -1) {
+    if (index >= 0) {
+      return !!this._pads[index];
+    }
+    for (let i = 0; i < this._pads.length; i++) {
+      if (this._pads[i]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Poll the source and emit events for the changes since last poll.
+   * @method poll
+   * @memberof Gamepad#
+   */
+  poll() {
+    const list = this.source() || [];
+    const count = Math.max(list.length, this._pads.length);
+
+    let i, raw, pad;
+    for (i = 0; i < count; i++) {
+      raw = list[i];
+      pad = this._pads[i];
+
+      // Disconnected
+      if (!raw || raw.connected === false) {
+        if (pad) {
+          this._releaseAll(pad, i);
+          this._pads[i] = null;
+          this.emit('disconnect', i, pad.id);
+        }
+        continue;
+      }
+
+      // Connected
+      if (!pad) {
+        pad = this._pads[i] = {
+          id: raw.id,
+          down: {},
+          axes: {},
+        };
+        this.emit('connect', i, pad.id);
+      }
+
+      this._updatePad(pad, raw, i);
+    }
+  }
+
+  /**
+   * @method _updatePad
+   * @memberof Gamepad#
+   * @param {Object} pad    Saved pad state
+   * @param {Object} raw    Gamepad object from the source
+   * @param {Number} index  Index of this pad
+   * @private
+   */
+  _updatePad(pad, raw, index) {
+    let i, btn, name, pressed;
+
+    // Buttons
+    for (i = 0; i < raw.buttons.length; i++) {
+      name = Gamepad.buttons[i];
+      if (!name) {
+        continue;
+      }
+
+      btn = raw.buttons[i];
+      if (typeof(btn) === 'number') {
+        pressed = btn > this.buttonThreshold;
+      }
+      else {
+        pressed = !!btn.pressed || btn.value > this.buttonThreshold;
+      }
+
+      this._setButton(pad, index, name, pressed);
+    }
+
+    // Sticks
+    this._updateStick(pad, index, 'LSTICK', raw.axes[0] || 0, raw.axes[1] || 0);
+    this._updateStick(pad, index, 'RSTICK', raw.axes[2] || 0, raw.axes[3] || 0);
+  }
+
+  /**
+   * @method _updateStick
+   * @memberof Gamepad#
+   * @param {Object} pad    Saved pad state
+   * @param {Number} index  Index of this pad
+   * @param {String} stick  Name of the stick
+   * @param {Number} x      Raw x-axis value
+   * @param {Number} y      Raw y-axis value
+   * @private
+   */
+  _updateStick(pad, index, stick, x, y) {
+    // Radial deadzone, rescaled so values still start from 0
+    const len = Math.sqrt(x * x + y * y);
+    if (len < this.deadzone) {
+      x = y = 0;
+    }
+    else {
+      const scale = Math.min(1, (len - this.deadzone) / (1 - this.deadzone)) / len;
+      x *= scale;
+      y *= scale;
+    }
+
+    pad.axes[`${stick}_X`] = x;
+    pad.axes[`${stick}_Y`] = y;
+
+    this._setButton(pad, index, `PAD_${stick}_LEFT`, x <= -this.stickThreshold);
+    this._setButton(pad, index, `PAD_${stick}_RIGHT`, x >= this.stickThreshold);
+    this._setButton(pad, index, `PAD_${stick}_UP`, y <= -this.stickThreshold);
+    this._setButton(pad, index, `PAD_${stick}_DOWN`, y >= this.stickThreshold);
+  }
+
+  /**
+   * @method _setButton
+   * @memberof Gamepad#
+   * @param {Object} pad      Saved pad state
+   * @param {Number} index    Index of this pad
+   * @param {String} name     Name of the button
+   * @param {Boolean} pressed Whether the button is pressed now
+   * @private
+   */
+  _setButton(pad, index, name, pressed) {
+    if (!!pad.down[name] === pressed) {
+      return;
+    }
+
+    pad.down[name] = pressed;
+    this.emit(pressed ? 'buttondown' : 'buttonup', name, index);
+  }
+
+  /**
+   * @method _releaseAll
+   * @memberof Gamepad#
+   * @param {Object} pad    Saved pad state
+   * @param {Number} index  Index of this pad
+   * @private
+   */
+  _releaseAll(pad, index) {
+    for (let name in pad.down) {
+      this._setButton(pad, index, name, false);
+    }
+    for (let name in pad.axes) {
+      pad.axes[name] = 0;
+    }
+  }
+}
+
+Object.assign(Gamepad, {
+  /**
+   * Names of buttons of the "standard" gamepad mapping.
+   * @memberof Gamepad#
+   * @type {object}
+   */
+  buttons: {
+    0: 'PAD_A',
+    1: 'PAD_B',
+    2: 'PAD_X',
+    3: 'PAD_Y',
+    4: 'PAD_LB',
+    5: 'PAD_RB',
+    6: 'PAD_LT',
+    7: 'PAD_RT',
+    8: 'PAD_SELECT',
+    9: 'PAD_START',
+    10: 'PAD_L3',
+    11: 'PAD_R3',
+    12: 'PAD_UP',
+    13: 'PAD_DOWN',
+    14: 'PAD_LEFT',
+    15: 'PAD_RIGHT',
+    16: 'PAD_HOME',
+  },
+});
+
+/**
+ * Gamepad events and states support.
+ * An instance of `Gamepad` is exported as the default value of
+ * `engine/input/gamepad` module, `Input` polls it each fixed step.
+ *
+ * @see Gamepad
+ *
+ * @exports engine/input/gamepad
+ * @requires module:engine/EventEmitter
+ *
+ * @example
+ * const gamepad = require('engine/input/gamepad');
+ * gamepad.on('connect', (index, id) => {
+ *   console.log(`pad "${id}" connected at ${index}`);
+ * });
+ */
+export default new Gamepad();
@@ -1,9 +1,61 @@
 import System from 'engine/System';
 import keyboard from './keyboard';
+import gamepad from './gamepad';
+import pointer, { Pointer } from './pointer';
+import storage from 'engine/storage';
+import rnd from 'engine/rnd';
+import Replay from './Replay';
+import Vector from 'engine/Vector';
 import { removeItems } from 'engine/utils/array';
+import { clamp } from 'engine/utils/math';
+
+/**
+ * Version of exported binding profiles, profiles of other
+ * versions will be refused.
+ * @type {Number}
+ * @private
+ */
+const PROFILE_VERSION = 1;
+
+/**
+ * Keys that can be combined with others while listening for a new binding.
+ * @type {Array<String>}
+ * @private
+ */
+const MODIFIERS = ['CTRL', 'SHIFT', 'ALT'];
 
 /**
  * Input system which provides key bindings.
+ *
+ * Gamepad buttons(`PAD_A`, `PAD_LSTICK_LEFT` .etc) can be bound to actions
+ * the same way as keys, pads are polled each fixed step.
+ *
+ * Pointer buttons and gestures(`MOUSE_LEFT`, `TOUCH`, `TAP`, `SWIPE_LEFT` .etc)
+ * are also supported, see {@link Pointer} for the full list.
+ *
+ * Keys joined with `+` are bound as a chord(`CTRL+S`), which is
+ * pressed when all of its keys are held down.
+ *
+ * Analog actions are bound with `bindAxis` and read by `axis`.
+ *
+ * Bindings can be changed by players at runtime with `listen`, and saved
+ * to(or loaded from) `engine/storage` using `saveBindings`/`loadBindings`.
+ *
+ * Presses are buffered, so `pressedWithin` can tell whether an action
+ * was pressed in the last few milliseconds, and `mark`/`markedWithin`
+ * do the same for game states(coyote time .etc). Sequences of actions
+ * can be registered as combos, which are pressed like other actions.
+ *
+ * Action states of each fixed step can be recorded into a {@link Replay}
+ * and played back later, live input is ignored while playing.
+ *
+ * @example
+ * input
+ *   .bind('CTRL+S', 'save')
+ *   .bindAxis('moveX', 'LEFT', 'RIGHT')
+ *   .bindAxis('moveX', 'LSTICK_X')
+ *   .bindAxis('moveX', () => joystick.x);
+ *
  * @class Input
  */
 class Input extends System {
@@ -20,6 +72,143 @@ class Input extends System {
     this.actions = {};
     this.lastPressed = {};
     this.lastReleased = {};
+
+    /**
+     * Keys(or buttons) that are currently held down.
+     * @type {Object}
+     */
+    this.keysDown = {};
+    /**
+     * Bound chords, split into key lists.
+     * @type {Object}
+     * @private
+     */
+    this.chords = {};
+    /**
+     * Whether each chord is currently held down.
+     * @type {Object}
+     * @private
+     */
+    this.chordStates = {};
+    /**
+     * Axis bindings of each analog action.
+     * @type {Object}
+     */
+    this.axisBindings = {};
+
+    /**
+     * Time(ms) of current fixed step, counted from when the game
+     * awakes. Used by the input buffer and combos.
+     * @type {Number}
+     * @readonly
+     */
+    this.time = 0;
+    /**
+     * Time when each action is pressed the last time.
+     * @type {Object}
+     * @private
+     */
+    this.pressTimes = {};
+    /**
+     * Time when each mark is set the last time.
+     * @type {Object}
+     * @private
+     */
+    this.markTimes = {};
+    /**
+     * Registered combos.
+     * @type {Object}
+     * @private
+     */
+    this.combos = {};
+    /**
+     * Default max time(ms) between two steps of a combo.
+     * @type {Number}
+     * @default 250
+     */
+    this.comboWindow = 250;
+
+    /**
+     * Rebinding request waiting for next key, null when not listening.
+     * @type {Object}
+     * @private
+     */
+    this.listening = null;
+
+    /**
+     * Replay that is being recorded.
+     * @type {Replay}
+     */
+    this.recording = null;
+    /**
+     * Replay that is being played.
+     * @type {Replay}
+     */
+    this.playing = null;
+    /**
+     * States of current playback step.
+     * @type {Object}
+     * @private
+     */
+    this.playback = {
+      down: [],
+      pressed: [],
+      released: [],
+      axes: {},
+    };
+    /**
+     * Callback to invoke when playback finishes.
+     * @type {Function}
+     * @private
+     */
+    this.playbackCallback = null;
+
+    /**
+     * Gamepad to poll, replace it before the game awakes to
+     * use another polling source.
+     * @type {Gamepad}
+     */
+    this.gamepad = gamepad;
+    /**
+     * Pointer(mouse and touch) source.
+     * @type {Pointer}
+     */
+    this.pointer = pointer;
+    /**
+     * Camera used to convert pointer position into world space.
+     * @type {Camera}
+     */
+    this.camera = null;
+
+    /**
+     * Pointer position in world space.
+     * @type {Vector}
+     * @private
+     */
+    this._pointerWorld = Vector.create();
+  }
+
+  /**
+   * Position of the pointer in game coordinates.
+   * @memberof Input#
+   * @type {Vector}
+   * @readonly
+   */
+  get pointerPosition() {
+    return this.pointer.position;
+  }
+  /**
+   * Position of the pointer in world space, transformed by `camera`
+   * when there is one.
+   * @memberof Input#
+   * @type {Vector}
+   * @readonly
+   */
+  get pointerWorld() {
+    if (this.camera) {
+      return this.camera.screenToWorld(this.pointer.position.x, this.pointer.position.y, this._pointerWorld);
+    }
+    return this._pointerWorld.copy(this.pointer.position);
   }
 
   /**
@@ -42,6 +231,12 @@ class Input extends System {
       this.keyList.push(key);
     }
 
+    // Chord of several keys
+    if (key.length > 1 && key.indexOf('+') > 0 && !this.chords[key]) {
+      this.chords[key] = key.split('+');
+      this.chordStates[key] = false;
+    }
+
     this.lastPressed[action] = false;
     this.lastReleased[action] = false;
 
@@ -80,10 +275,263 @@ class Input extends System {
       }
     }
 
+    this.axisBindings = {};
+
     this.lastPressed = {};
     this.lastReleased = {};
   }
 
+  /**
+   * Bind an analog action to a source, multiple sources can be bound
+   * to the same action and the one with largest magnitude wins.
+   *
+   * Available sources:
+   * - a pair of keys(or buttons): `bindAxis('moveX', 'LEFT', 'RIGHT')`
+   * - a gamepad axis: `bindAxis('moveX', 'LSTICK_X')`
+   * - a function returns value between -1 and 1(virtual joysticks .etc):
+   *   `bindAxis('moveX', () => stick.x)`
+   *
+   * @memberof Input#
+   * @method bindAxis
+   * @param  {String} action                Action name
+   * @param  {String|Function} source       Negative key, gamepad axis or a function
+   * @param  {String} [positive]            Positive key when `source` is the negative one
+   * @return {Input}   Self for chaining
+   */
+  bindAxis(action, source, positive) {
+    let binding;
+    if (typeof(source) === 'function') {
+      binding = { func: source };
+    }
+    else if (typeof(positive) === 'string') {
+      binding = { negative: source, positive: positive };
+    }
+    else {
+      binding = { axis: source };
+    }
+
+    if (!Array.isArray(this.axisBindings[action])) {
+      this.axisBindings[action] = [];
+    }
+    this.axisBindings[action].push(binding);
+
+    return this;
+  }
+  /**
+   * Remove all the bindings of an analog action.
+   * @memberof Input#
+   * @method unbindAxis
+   * @param  {String} action Action name
+   * @return {Input}   Self for chaining
+   */
+  unbindAxis(action) {
+    delete this.axisBindings[action];
+
+    return this;
+  }
+
+  /**
+   * Get keys bound to an action.
+   * @memberof Input#
+   * @method keysOf
+   * @param  {String} action Action name
+   * @return {Array<String>} Keys(or chords) bound to this action
+   */
+  keysOf(action) {
+    let k, keys = [];
+    for (k in this.bindings) {
+      if (this.bindings[k].indexOf(action) >= 0) {
+        keys.push(k);
+      }
+    }
+    return keys;
+  }
+  /**
+   * Find other actions that share a key with an action.
+   * @memberof Input#
+   * @method conflictsOf
+   * @param  {String} action  Action name
+   * @param  {String} [key]   Only check this key, default checks all keys of the action
+   * @return {Array<String>}  Conflicting actions
+   */
+  conflictsOf(action, key) {
+    let i, j, list, result = [];
+    let keys = key ? [key] : this.keysOf(action);
+    for (i = 0; i < keys.length; i++) {
+      list = this.bindings[keys[i]];
+      if (!list) {
+        continue;
+      }
+      for (j = 0; j < list.length; j++) {
+        if (list[j] !== action && result.indexOf(list[j]) < 0) {
+          result.push(list[j]);
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Listen for the next key(or button) and bind it to an action.
+   * Modifiers held down at the same time make it a chord(`CTRL+S`).
+   * Pointer gestures are ignored, and actions are not triggered
+   * while listening.
+   *
+   * @example
+   * input.listen('jump', (key, conflicts) => {
+   *   conflicts.forEach((action) => input.unbind(key, action));
+   * });
+   *
+   * @memberof Input#
+   * @method listen
+   * @param  {String} action            Action to bind
+   * @param  {Function} [callback]      Called with the key and conflicting actions after bound
+   * @param  {Boolean} [replace=true]   Whether remove existing keys of this action
+   * @return {Input}   Self for chaining
+   */
+  listen(action, callback, replace = true) {
+    this.listening = {
+      action: action,
+      callback: callback,
+      replace: replace,
+      modifier: null,
+    };
+
+    return this;
+  }
+  /**
+   * Stop listening without binding anything.
+   * @memberof Input#
+   * @method stopListening
+   * @return {Input}   Self for chaining
+   */
+  stopListening() {
+    this.listening = null;
+
+    return this;
+  }
+
+  /**
+   * Export key and axis bindings as a profile object, which can
+   * be converted to JSON. Function axis bindings are not included.
+   * @memberof Input#
+   * @method exportBindings
+   * @return {Object} Binding profile
+   */
+  exportBindings() {
+    let k, i, b, profile = {
+      version: PROFILE_VERSION,
+      keys: {},
+      axes: {},
+    };
+
+    for (k in this.bindings) {
+      if (this.bindings[k].length > 0) {
+        profile.keys[k] = this.bindings[k].slice();
+      }
+    }
+
+    for (k in this.axisBindings) {
+      for (i = 0; i < this.axisBindings[k].length; i++) {
+        b = this.axisBindings[k][i];
+        if (b.func) {
+          continue;
+        }
+        if (!profile.axes[k]) {
+          profile.axes[k] = [];
+        }
+        profile.axes[k].push(b.axis ? { axis: b.axis } : { negative: b.negative, positive: b.positive });
+      }
+    }
+
+    return profile;
+  }
+  /**
+   * Replace current bindings with a profile. Function axis bindings
+   * will be kept.
+   * @memberof Input#
+   * @method importBindings
+   * @param  {Object|String} profile Profile object or its JSON
+   * @return {Boolean} Whether the profile is imported
+   */
+  importBindings(profile) {
+    if (typeof(profile) === 'string') {
+      try {
+        profile = JSON.parse(profile);
+      }
+      catch (e) {
+        console.log('[WARNING]: Invalid input binding profile!');
+        return false;
+      }
+    }
+    if (!profile || typeof(profile) !== 'object' || !profile.keys) {
+      console.log('[WARNING]: Invalid input binding profile!');
+      return false;
+    }
+    if (profile.version !== PROFILE_VERSION) {
+      console.log(`[WARNING]: Input binding profile version "${profile.version}" is not supported!`);
+      return false;
+    }
+
+    // Keep function bindings since they cannot be exported
+    let k, i, funcs = {};
+    for (k in this.axisBindings) {
+      for (i = 0; i < this.axisBindings[k].length; i++) {
+        if (this.axisBindings[k][i].func) {
+          (funcs[k] = funcs[k] || []).push(this.axisBindings[k][i]);
+        }
+      }
+    }
+
+    this.unbindAll();
+    this.axisBindings = funcs;
+
+    for (k in profile.keys) {
+      for (i = 0; i < profile.keys[k].length; i++) {
+        this.bind(k, profile.keys[k][i]);
+      }
+    }
+    for (k in profile.axes) {
+      for (i = 0; i < profile.axes[k].length; i++) {
+        if (profile.axes[k][i].axis) {
+          this.bindAxis(k, profile.axes[k][i].axis);
+        }
+        else {
+          this.bindAxis(k, profile.axes[k][i].negative, profile.axes[k][i].positive);
+        }
+      }
+    }
+
+    return true;
+  }
+  /**
+   * Save current bindings to `engine/storage`.
+   * @memberof Input#
+   * @method saveBindings
+   * @param  {String} [name='default'] Name of the profile
+   * @return {Input}   Self for chaining
+   */
+  saveBindings(name = 'default') {
+    storage.set(`input.${name}`, this.exportBindings());
+
+    return this;
+  }
+  /**
+   * Load bindings saved by `saveBindings`, current bindings
+   * are kept when nothing is saved.
+   * @memberof Input#
+   * @method loadBindings
+   * @param  {String} [name='default'] Name of the profile
+   * @return {Boolean} Whether bindings are loaded
+   */
+  loadBindings(name = 'default') {
+    if (!storage.supported || !storage.has(`input.${name}`)) {
+      return false;
+    }
+
+    return this.importBindings(storage.get(`input.${name}`));
+  }
+
   /**
    * Whether an action is currently pressed.
    * @memberof Input#
@@ -94,6 +542,44 @@ class Input extends System {
   state(action) {
     return !!this.actions[action];
   }
+  /**
+   * Value of an analog action.
+   * @memberof Input#
+   * @method axis
+   * @param  {String} action Action name
+   * @return {Number}        Value between -1 and 1
+   */
+  axis(action) {
+    if (this.playing) {
+      return this.playback.axes[action] || 0;
+    }
+
+    const list = this.axisBindings[action];
+    if (!list) {
+      return 0;
+    }
+
+    let i, b, v, value = 0;
+    for (i = 0; i < list.length; i++) {
+      b = list[i];
+
+      if (b.func) {
+        v = b.func();
+      }
+      else if (b.axis) {
+        v = this.gamepad.axis(b.axis);
+      }
+      else {
+        v = (this.keysDown[b.positive] ? 1 : 0) - (this.keysDown[b.negative] ? 1 : 0);
+      }
+
+      if (Math.abs(v) > Math.abs(value)) {
+        value = v;
+      }
+    }
+
+    return clamp(value, -1, 1);
+  }
   /**
    * Whether an action is just pressed.
    * @memberof Input#
@@ -115,6 +601,221 @@ class Input extends System {
     return !!this.lastReleased[action];
   }
 
+  /**
+   * Whether an action is pressed within a period of time. The press
+   * stays buffered until it is out of date or `consume`d.
+   * @example
+   * // Jump a little later if the player presses jump right before landing
+   * if (grounded && input.pressedWithin('jump', 120)) {
+   *   input.consume('jump');
+   *   jump();
+   * }
+   * @memberof Input#
+   * @method pressedWithin
+   * @param  {String} action Action name
+   * @param  {Number} time   Time(ms) to look back, 0 means current step
+   * @return {Boolean}       Pressed or not
+   */
+  pressedWithin(action, time) {
+    return this.pressTimes.hasOwnProperty(action) && this.time - this.pressTimes[action] <= time;
+  }
+  /**
+   * Remove buffered press of an action, so the same press won't
+   * be reported by `pressedWithin` again.
+   * @memberof Input#
+   * @method consume
+   * @param  {String} action Action name
+   * @return {Input}   Self for chaining
+   */
+  consume(action) {
+    delete this.pressTimes[action];
+
+    return this;
+  }
+  /**
+   * Mark a state as happened in current step, check it later
+   * with `markedWithin`.
+   * @example
+   * // Coyote time: still able to jump for a while after leaving ground
+   * if (onGround) {
+   *   input.mark('grounded');
+   * }
+   * if (input.markedWithin('grounded', 100) && input.pressed('jump')) {
+   *   jump();
+   * }
+   * @memberof Input#
+   * @method mark
+   * @param  {String} name Name of the mark
+   * @return {Input}   Self for chaining
+   */
+  mark(name) {
+    this.markTimes[name] = this.time;
+
+    return this;
+  }
+  /**
+   * Whether a state is marked within a period of time.
+   * @memberof Input#
+   * @method markedWithin
+   * @param  {String} name Name of the mark
+   * @param  {Number} time Time(ms) to look back, 0 means current step
+   * @return {Boolean}     Marked or not
+   */
+  markedWithin(name, time) {
+    return this.markTimes.hasOwnProperty(name) && this.time - this.markTimes[name] <= time;
+  }
+  /**
+   * Remove a mark.
+   * @memberof Input#
+   * @method unmark
+   * @param  {String} name Name of the mark
+   * @return {Input}   Self for chaining
+   */
+  unmark(name) {
+    delete this.markTimes[name];
+
+    return this;
+  }
+
+  /**
+   * Register a combo: a sequence of actions pressed one after another.
+   * Each step is an action, or a list of actions that should be held
+   * together(one of them just pressed). Once the whole sequence is
+   * done in time, the combo is pressed as an action, so check it
+   * with `pressed` or `pressedWithin`.
+   * @example
+   * input.addCombo('hadouken', ['down', ['down', 'forward'], ['forward', 'punch']]);
+   * if (input.pressed('hadouken')) {}
+   * @memberof Input#
+   * @method addCombo
+   * @param  {String} name                Name of the combo action
+   * @param  {Array} sequence             Steps of the combo
+   * @param  {Object} [settings]          Timing settings
+   * @param  {Number} [settings.window]   Max time(ms) between two steps, default is `comboWindow`
+   * @param  {Number} [settings.duration] Max time(ms) of the whole combo, 0 means no limit
+   * @return {Input}   Self for chaining
+   */
+  addCombo(name, sequence, settings = {}) {
+    let i, steps = [], actions = [];
+    for (i = 0; i < sequence.length; i++) {
+      steps.push(Array.isArray(sequence[i]) ? sequence[i] : [sequence[i]]);
+      actions.push.apply(actions, steps[i]);
+    }
+
+    this.combos[name] = {
+      steps: steps,
+      actions: actions,
+      window: settings.window || this.comboWindow,
+      duration: settings.duration || 0,
+      progress: 0,
+      startTime: 0,
+      lastTime: 0,
+    };
+    this.lastPressed[name] = false;
+
+    return this;
+  }
+  /**
+   * Remove a combo.
+   * @memberof Input#
+   * @method removeCombo
+   * @param  {String} name Name of the combo
+   * @return {Input}   Self for chaining
+   */
+  removeCombo(name) {
+    delete this.combos[name];
+    delete this.lastPressed[name];
+
+    return this;
+  }
+
+  /**
+   * Start recording action states of each fixed step, `engine/rnd` state
+   * is also saved so random numbers are the same while playing.
+   * @memberof Input#
+   * @method startRecording
+   * @return {Input}   Self for chaining
+   */
+  startRecording() {
+    this.recording = new Replay();
+    this.recording.fps = this.game ? this.game.desiredFPS : 60;
+    this.recording.seed = rnd.state();
+
+    return this;
+  }
+  /**
+   * Stop recording.
+   * @memberof Input#
+   * @method stopRecording
+   * @return {Replay}  The recorded replay, call `JSON.stringify` to save it
+   */
+  stopRecording() {
+    const replay = this.recording;
+    this.recording = null;
+
+    return replay;
+  }
+
+  /**
+   * Play a replay, recorded states are used instead of live input
+   * from next fixed step. Throws if the replay is recorded by a
+   * different format version or fixed update FPS.
+   * @memberof Input#
+   * @method play
+   * @param  {Replay|Object|String} replay  Replay instance or saved data
+   * @param  {Function} [callback]          Called when the playback finishes
+   * @return {Input}   Self for chaining
+   */
+  play(replay, callback) {
+    if (!(replay instanceof Replay)) {
+      replay = new Replay(replay);
+    }
+    if (this.game && replay.fps !== this.game.desiredFPS) {
+      throw new Error(`Replay is recorded at ${replay.fps} FPS but the game runs at ${this.game.desiredFPS} FPS!`);
+    }
+
+    rnd.state(replay.seed);
+
+    this.playing = replay.rewind();
+    this.playbackCallback = callback;
+
+    // Forget live states
+    this.keysDown = {};
+    this.updateChordStates();
+    this.pressTimes = {};
+    this.resetCombos();
+
+    this.resetFlags();
+    this.applyPlayback();
+
+    return this;
+  }
+  /**
+   * Stop playing and switch back to live input.
+   * @memberof Input#
+   * @method stopPlaying
+   * @return {Input}   Self for chaining
+   */
+  stopPlaying() {
+    if (!this.playing) {
+      return this;
+    }
+
+    this.playing = null;
+    for (let k in this.actions) {
+      this.actions[k] = false;
+    }
+    this.resetFlags();
+
+    const callback = this.playbackCallback;
+    this.playbackCallback = null;
+    if (callback) {
+      callback();
+    }
+
+    return this;
+  }
+
   /**
    * Awake callback.
    * @memberof Input#
@@ -124,6 +825,10 @@ class Input extends System {
   awake() {
     keyboard.on('keydown', this.keydown, this);
     keyboard.on('keyup', this.keyup, this);
+    this.gamepad.on('buttondown', this.keydown, this);
+    this.gamepad.on('buttonup', this.keyup, this);
+    this.pointer.on('buttondown', this.keydown, this);
+    this.pointer.on('buttonup', this.keyup, this);
 
     this.resetFlags();
   }
@@ -133,9 +838,26 @@ class Input extends System {
    * @method fixedUpdate
    * @private
    */
-  fixedUpdate() {
+  fixedUpdate(dt) {
+    // States used in this step are complete now
+    if (this.recording) {
+      this.recordStep();
+    }
+
     // Mark press/release action as false
     this.resetFlags();
+
+    this.time += dt;
+
+    // States of next step come from the replay
+    if (this.playing) {
+      this.applyPlayback();
+      return;
+    }
+
+    // Pressed/released pad buttons will be available in next step
+    this.gamepad.poll();
+    this.pointer.poll();
   }
   /**
    * Freeze callback.
@@ -146,42 +868,346 @@ class Input extends System {
   freeze() {
     keyboard.off('keydown', this.keydown, this);
     keyboard.off('keyup', this.keyup, this);
+    this.gamepad.off('buttondown', this.keydown, this);
+    this.gamepad.off('buttonup', this.keyup, this);
+    this.pointer.off('buttondown', this.keydown, this);
+    this.pointer.off('buttonup', this.keyup, this);
+
+    // Keys may be released while frozen
+    this.keysDown = {};
+    for (let k in this.chordStates) {
+      this.chordStates[k] = false;
+    }
+    this.resetCombos();
 
     this.resetFlags();
   }
 
   /**
-   * Key down listener
+   * Key(or pad/pointer button) down listener
    * @memberof Input#
    * @method keydown
    * @param {String} k Name of the key
    * @private
    */
   keydown(k) {
+    if (this.playing) {
+      return;
+    }
+
+    this.keysDown[k] = true;
+
+    if (this.listening) {
+      this.listenKeydown(k);
+      return;
+    }
+
     if (this.keyList.indexOf(k) !== -1) {
-      let i, list = this.bindings[k];
-      for (i = 0; i < list.length; i++) {
-        this.actions[list[i]] = true;
-        this.lastPressed[list[i]] = true;
-      }
+      this.pressActions(this.bindings[k]);
     }
+
+    this.updateChords();
   }
   /**
-   * Key up listener
+   * Key(or pad/pointer button) up listener
    * @memberof Input#
    * @method keyup
    * @param {String} k Name of the key
    * @private
    */
   keyup(k) {
+    if (this.playing) {
+      return;
+    }
+
+    this.keysDown[k] = false;
+
+    // Modifier released alone while listening, bind itself
+    if (this.listening && this.listening.modifier === k) {
+      this.assignListening(k);
+    }
+
+    // Keys held before listening still release their actions
     if (this.keyList.indexOf(k) !== -1) {
-      let i, list = this.bindings[k];
-      for (i = 0; i < list.length; i++) {
+      this.releaseActions(this.bindings[k]);
+    }
+
+    this.updateChords();
+  }
+  /**
+   * Key down listener while listening for a new binding.
+   * @memberof Input#
+   * @method listenKeydown
+   * @param {String} k Name of the key
+   * @private
+   */
+  listenKeydown(k) {
+    if (Pointer.gestures.indexOf(k) >= 0) {
+      return;
+    }
+
+    if (MODIFIERS.indexOf(k) >= 0) {
+      this.listening.modifier = k;
+      return;
+    }
+
+    // Combine with held modifiers
+    let i, key = k;
+    for (i = MODIFIERS.length - 1; i >= 0; i--) {
+      if (this.keysDown[MODIFIERS[i]]) {
+        key = `${MODIFIERS[i]}+${key}`;
+      }
+    }
+
+    this.assignListening(key);
+  }
+  /**
+   * Bind a key to the action waiting for it, and stop listening.
+   * @memberof Input#
+   * @method assignListening
+   * @param {String} key Key(or chord) to bind
+   * @private
+   */
+  assignListening(key) {
+    const req = this.listening;
+    this.listening = null;
+
+    if (req.replace) {
+      let i, keys = this.keysOf(req.action);
+      for (i = 0; i < keys.length; i++) {
+        this.unbind(keys[i], req.action);
+      }
+    }
+
+    const conflicts = this.conflictsOf(req.action, key);
+    if (!this.bindings[key] || this.bindings[key].indexOf(req.action) < 0) {
+      this.bind(key, req.action);
+    }
+
+    // Chords that are already held should not fire right after binding
+    this.updateChordStates();
+
+    if (req.callback) {
+      req.callback(key, conflicts);
+    }
+  }
+  /**
+   * Sync chord states to keys without pressing or releasing actions.
+   * @memberof Input#
+   * @method updateChordStates
+   * @private
+   */
+  updateChordStates() {
+    for (let key in this.chords) {
+      this.chordStates[key] = this.isChordDown(key);
+    }
+  }
+  /**
+   * Press or release chords based on current key states.
+   * @memberof Input#
+   * @method updateChords
+   * @private
+   */
+  updateChords() {
+    let key, down;
+    for (key in this.chords) {
+      down = this.isChordDown(key);
+
+      if (down !== this.chordStates[key]) {
+        this.chordStates[key] = down;
+        if (down) {
+          this.pressActions(this.bindings[key]);
+        }
+        else {
+          this.releaseActions(this.bindings[key]);
+        }
+      }
+    }
+  }
+  /**
+   * Whether all the keys of a chord are held down.
+   * @memberof Input#
+   * @method isChordDown
+   * @param {String} key Chord
+   * @return {Boolean} Down or not
+   * @private
+   */
+  isChordDown(key) {
+    const keys = this.chords[key];
+    for (let i = 0; i < keys.length; i++) {
+      if (!this.keysDown[keys[i]]) {
+        return false;
+      }
+    }
+    return true;
+  }
+  /**
+   * Mark a list of actions as pressed.
+   * @memberof Input#
+   * @method pressActions
+   * @param {Array<String>} list Actions
+   * @private
+   */
+  pressActions(list) {
+    let i;
+    for (i = 0; i < list.length; i++) {
+      this.actions[list[i]] = true;
+      this.lastPressed[list[i]] = true;
+      this.pressTimes[list[i]] = this.time;
+    }
+    for (i = 0; i < list.length; i++) {
+      this.updateCombos(list[i]);
+    }
+  }
+  /**
+   * Mark a list of actions as released, actions not pressed are skipped.
+   * @memberof Input#
+   * @method releaseActions
+   * @param {Array<String>} list Actions
+   * @private
+   */
+  releaseActions(list) {
+    for (let i = 0; i < list.length; i++) {
+      if (this.actions[list[i]]) {
         this.actions[list[i]] = false;
         this.lastReleased[list[i]] = true;
       }
     }
   }
+  /**
+   * Move combos forward with a just pressed action.
+   * @memberof Input#
+   * @method updateCombos
+   * @param {String} action Action just pressed
+   * @private
+   */
+  updateCombos(action) {
+    let k, combo;
+    for (k in this.combos) {
+      combo = this.combos[k];
+      if (combo.actions.indexOf(action) < 0) {
+        continue;
+      }
+
+      // Too slow
+      if (combo.progress > 0 && (this.time - combo.lastTime > combo.window || (combo.duration > 0 && this.time - combo.startTime > combo.duration))) {
+        combo.progress = 0;
+      }
+
+      if (!this.matchComboStep(combo.steps[combo.progress], action)) {
+        // Wrong action breaks the combo, but may start it again
+        if (combo.progress > 0 && combo.steps[combo.progress].indexOf(action) < 0) {
+          combo.progress = 0;
+          if (!this.matchComboStep(combo.steps[0], action)) {
+            continue;
+          }
+        }
+        else {
+          continue;
+        }
+      }
+
+      if (combo.progress === 0) {
+        combo.startTime = this.time;
+      }
+      combo.lastTime = this.time;
+      combo.progress += 1;
+
+      // Done
+      if (combo.progress === combo.steps.length) {
+        combo.progress = 0;
+        this.lastPressed[k] = true;
+        this.pressTimes[k] = this.time;
+      }
+    }
+  }
+  /**
+   * Whether a combo step is matched by a just pressed action.
+   * @memberof Input#
+   * @method matchComboStep
+   * @param {Array<String>} step  Actions of the step
+   * @param {String} action       Action just pressed
+   * @return {Boolean} Matched or not
+   * @private
+   */
+  matchComboStep(step, action) {
+    if (step.indexOf(action) < 0) {
+      return false;
+    }
+    for (let i = 0; i < step.length; i++) {
+      if (!this.actions[step[i]]) {
+        return false;
+      }
+    }
+    return true;
+  }
+  /**
+   * Reset progress of all the combos.
+   * @memberof Input#
+   * @method resetCombos
+   * @private
+   */
+  resetCombos() {
+    for (let k in this.combos) {
+      this.combos[k].progress = 0;
+    }
+  }
+  /**
+   * Save states of current step into the recording replay.
+   * @memberof Input#
+   * @method recordStep
+   * @private
+   */
+  recordStep() {
+    let k, down = [], pressed = [], released = [], axes = {};
+    for (k in this.actions) {
+      if (this.actions[k]) {
+        down.push(k);
+      }
+    }
+    for (k in this.lastPressed) {
+      if (this.lastPressed[k]) {
+        pressed.push(k);
+      }
+    }
+    for (k in this.lastReleased) {
+      if (this.lastReleased[k]) {
+        released.push(k);
+      }
+    }
+    for (k in this.axisBindings) {
+      axes[k] = this.axis(k);
+    }
+
+    this.recording.record(down, pressed, released, axes);
+  }
+  /**
+   * Apply states of next step from the playing replay.
+   * @memberof Input#
+   * @method applyPlayback
+   * @private
+   */
+  applyPlayback() {
+    if (!this.playing.next(this.playback)) {
+      this.stopPlaying();
+      return;
+    }
+
+    let i, k;
+    for (k in this.actions) {
+      this.actions[k] = false;
+    }
+    for (i = 0; i < this.playback.down.length; i++) {
+      this.actions[this.playback.down[i]] = true;
+    }
+    for (i = 0; i < this.playback.pressed.length; i++) {
+      this.lastPressed[this.playback.pressed[i]] = true;
+      this.pressTimes[this.playback.pressed[i]] = this.time;
+    }
+    for (i = 0; i < this.playback.released.length; i++) {
+      this.lastReleased[this.playback.released[i]] = true;
+    }
+  }
   /**
    * Reset press and release flags.
    * @memberof Input#
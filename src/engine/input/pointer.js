@@ -0,0 +1,480 @@
+import core from 'engine/core';
+import EventEmitter from 'engine/EventEmitter';
+import Vector from 'engine/Vector';
+
+/**
+ * Browsers fire emulated mouse events after touches, mouse events
+ * within this time(ms) after a touch are ignored.
+ * @type {Number}
+ * @private
+ */
+const MOUSE_AFTER_TOUCH_DELAY = 800;
+
+/**
+ * Current time in millisecond.
+ * @private
+ * @return {Number} Timestamp
+ */
+function now() {
+  return performance.now();
+}
+
+/**
+ * Mouse and touch support. Buttons and gestures are emitted as
+ * named "buttons" just like `Keyboard` keys and `Gamepad` buttons:
+ *
+ * - `MOUSE_LEFT`, `MOUSE_MIDDLE`, `MOUSE_RIGHT`: mouse buttons
+ * - `TOUCH`: the primary touch point
+ * - `TAP`: quick press and release without moving
+ * - `LONG_PRESS`: held without moving for `longPressTime`
+ * - `SWIPE_LEFT`, `SWIPE_RIGHT`, `SWIPE_UP`, `SWIPE_DOWN`: quick drag
+ *
+ * `TAP` and `SWIPE_*` are pressed and released at the same time, so
+ * use `Input#pressed` to check them.
+ *
+ * @class Pointer
+ * @extends {EventEmitter}
+ *
+ * @emits buttondown
+ * @emits buttonup
+ * @emits move
+ */
+export class Pointer extends EventEmitter {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Position of the pointer in game coordinates(resize scaling
+     * applied, camera not included).
+     * @type {Vector}
+     */
+    this.position = Vector.create();
+    /**
+     * Whether the pointer(any mouse button or touch) is down.
+     * @type {Boolean}
+     */
+    this.isDown = false;
+
+    /**
+     * Max duration(ms) of a tap.
+     * @type {Number}
+     * @default 250
+     */
+    this.tapTime = 250;
+    /**
+     * Max movement(px) of a tap or long press.
+     * @type {Number}
+     * @default 10
+     */
+    this.tapDistance = 10;
+    /**
+     * How long(ms) to hold before it becomes a long press.
+     * @type {Number}
+     * @default 500
+     */
+    this.longPressTime = 500;
+    /**
+     * Min movement(px) of a swipe.
+     * @type {Number}
+     * @default 40
+     */
+    this.swipeDistance = 40;
+    /**
+     * Max duration(ms) of a swipe.
+     * @type {Number}
+     * @default 400
+     */
+    this.swipeTime = 400;
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this._down = {};
+    /**
+     * @type {Vector}
+     * @private
+     */
+    this._downPos = Vector.create();
+    /**
+     * @type {Number}
+     * @private
+     */
+    this._downTime = 0;
+    /**
+     * Whether current press can still become a tap or swipe.
+     * @type {Boolean}
+     * @private
+     */
+    this._gesture = false;
+    /**
+     * Whether current press can still become a long press.
+     * @type {Boolean}
+     * @private
+     */
+    this._longPress = false;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this._touchId = null;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this._lastTouchTime = -MOUSE_AFTER_TOUCH_DELAY;
+
+    window.addEventListener('mousedown', this._mousedown.bind(this));
+    window.addEventListener('mousemove', this._mousemove.bind(this));
+    window.addEventListener('mouseup', this._mouseup.bind(this));
+    window.addEventListener('contextmenu', this._contextmenu.bind(this));
+    window.addEventListener('touchstart', this._touchstart.bind(this));
+    window.addEventListener('touchmove', this._touchmove.bind(this));
+    window.addEventListener('touchend', this._touchend.bind(this));
+    window.addEventListener('touchcancel', this._touchend.bind(this));
+    window.addEventListener('blur', this._resetButtons.bind(this));
+  }
+
+  /**
+   * Check if a pointer button is pressed down.
+   * @method down
+   * @memberof Pointer#
+   * @param {String} button Name of the button
+   * @return {Boolean} Whether this button is pressed down
+   */
+  down(button) {
+    return !!this._down[button];
+  }
+
+  /**
+   * Check time based gestures(long press), `Input` calls this each fixed step.
+   * @method poll
+   * @memberof Pointer#
+   */
+  poll() {
+    if (this._longPress && this.isDown && now() - this._downTime >= this.longPressTime) {
+      this._longPress = false;
+      this._gesture = false;
+      this._setButton('LONG_PRESS', true);
+    }
+  }
+
+  /**
+   * Convert client(page) coordinates into game coordinates.
+   * @method toGame
+   * @memberof Pointer#
+   * @param {Number} clientX  X coordinate from DOM event
+   * @param {Number} clientY  Y coordinate from DOM event
+   * @param {Vector} out      Vector to save the result to
+   * @return {Vector} Position in game coordinates
+   */
+  toGame(clientX, clientY, out) {
+    if (!core.view) {
+      return out;
+    }
+
+    // Client -> view, CSS scaling of letter-box mode removed
+    const rect = core.view.getBoundingClientRect();
+    const x = (clientX - rect.left) * core.viewSize.x / rect.width;
+    const y = (clientY - rect.top) * core.viewSize.y / rect.height;
+
+    // View -> game, content scaling of scale-inner/outer modes removed
+    const t = core.contentTransform;
+    return out.set((x - t.left) / t.scale, (y - t.top) / t.scale);
+  }
+
+  /**
+   * @method _press
+   * @memberof Pointer#
+   * @param {String} button Name of the button
+   * @param {Number} x      Client x
+   * @param {Number} y      Client y
+   * @private
+   */
+  _press(button, x, y) {
+    this.toGame(x, y, this.position);
+
+    // Only the first button starts a gesture
+    if (!this.isDown) {
+      this.isDown = true;
+      this._gesture = true;
+      this._longPress = true;
+      this._downTime = now();
+      this._downPos.copy(this.position);
+    }
+
+    this._setButton(button, true);
+  }
+  /**
+   * @method _move
+   * @memberof Pointer#
+   * @param {Number} x Client x
+   * @param {Number} y Client y
+   * @private
+   */
+  _move(x, y) {
+    this.toGame(x, y, this.position);
+
+    // Moved too far to be a long press
+    if (this._longPress && this.position.distance(this._downPos) > this.tapDistance) {
+      this._longPress = false;
+    }
+
+    this.emit('move', this.position);
+  }
+  /**
+   * @method _release
+   * @memberof Pointer#
+   * @param {String} button Name of the button
+   * @param {Number} x      Client x
+   * @param {Number} y      Client y
+   * @private
+   */
+  _release(button, x, y) {
+    if (!this._down[button]) {
+      return;
+    }
+
+    this.toGame(x, y, this.position);
+    this._setButton(button, false);
+
+    for (let k in this._down) {
+      if (this._down[k] && k !== 'LONG_PRESS') {
+        return;
+      }
+    }
+
+    // All the buttons are released
+    this.isDown = false;
+    this._longPress = false;
+    this._setButton('LONG_PRESS', false);
+
+    if (this._gesture) {
+      this._gesture = false;
+      this._detectGesture();
+    }
+  }
+
+  /**
+   * @method _detectGesture
+   * @memberof Pointer#
+   * @private
+   */
+  _detectGesture() {
+    const duration = now() - this._downTime;
+    const dx = this.position.x - this._downPos.x;
+    const dy = this.position.y - this._downPos.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    let gesture = null;
+    if (dist <= this.tapDistance && duration <= this.tapTime) {
+      gesture = 'TAP';
+    }
+    else if (dist >= this.swipeDistance && duration <= this.swipeTime) {
+      if (Math.abs(dx) > Math.abs(dy)) {
+        gesture = (dx > 0) ? 'SWIPE_RIGHT' : 'SWIPE_LEFT';
+      }
+      else {
+        gesture = (dy > 0) ? 'SWIPE_DOWN' : 'SWIPE_UP';
+      }
+    }
+
+    if (gesture) {
+      this._setButton(gesture, true);
+      this._setButton(gesture, false);
+    }
+  }
+  /**
+   * @method _setButton
+   * @memberof Pointer#
+   * @param {String} button   Name of the button
+   * @param {Boolean} pressed Whether it is pressed now
+   * @private
+   */
+  _setButton(button, pressed) {
+    if (!!this._down[button] === pressed) {
+      return;
+    }
+
+    this._down[button] = pressed;
+    this.emit(pressed ? 'buttondown' : 'buttonup', button);
+  }
+  /**
+   * @method _resetButtons
+   * @memberof Pointer#
+   * @private
+   */
+  _resetButtons() {
+    for (let k in this._down) {
+      this._setButton(k, false);
+    }
+    this.isDown = false;
+    this._gesture = false;
+    this._longPress = false;
+    this._touchId = null;
+  }
+
+  /**
+   * @method _mousedown
+   * @memberof Pointer#
+   * @param {MouseEvent} event Mouse event
+   * @private
+   */
+  _mousedown(event) {
+    if (event.target !== core.view || now() - this._lastTouchTime < MOUSE_AFTER_TOUCH_DELAY) {
+      return;
+    }
+    if (Pointer.mouseButtons[event.button]) {
+      this._press(Pointer.mouseButtons[event.button], event.clientX, event.clientY);
+    }
+  }
+  /**
+   * @method _mousemove
+   * @memberof Pointer#
+   * @param {MouseEvent} event Mouse event
+   * @private
+   */
+  _mousemove(event) {
+    if (now() - this._lastTouchTime < MOUSE_AFTER_TOUCH_DELAY) {
+      return;
+    }
+    this._move(event.clientX, event.clientY);
+  }
+  /**
+   * @method _mouseup
+   * @memberof Pointer#
+   * @param {MouseEvent} event Mouse event
+   * @private
+   */
+  _mouseup(event) {
+    if (Pointer.mouseButtons[event.button]) {
+      this._release(Pointer.mouseButtons[event.button], event.clientX, event.clientY);
+    }
+  }
+  /**
+   * @method _contextmenu
+   * @memberof Pointer#
+   * @param {MouseEvent} event Mouse event
+   * @private
+   */
+  _contextmenu(event) {
+    // Right button is used by the game
+    if (event.target === core.view) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * @method _touchstart
+   * @memberof Pointer#
+   * @param {TouchEvent} event Touch event
+   * @private
+   */
+  _touchstart(event) {
+    this._lastTouchTime = now();
+
+    if (event.target !== core.view || this._touchId !== null) {
+      return;
+    }
+
+    const touch = event.changedTouches[0];
+    this._touchId = touch.identifier;
+    this._press('TOUCH', touch.clientX, touch.clientY);
+  }
+  /**
+   * @method _touchmove
+   * @memberof Pointer#
+   * @param {TouchEvent} event Touch event
+   * @private
+   */
+  _touchmove(event) {
+    this._lastTouchTime = now();
+
+    const touch = this._findTouch(event.changedTouches);
+    if (touch) {
+      this._move(touch.clientX, touch.clientY);
+    }
+  }
+  /**
+   * @method _touchend
+   * @memberof Pointer#
+   * @param {TouchEvent} event Touch event
+   * @private
+   */
+  _touchend(event) {
+    this._lastTouchTime = now();
+
+    const touch = this._findTouch(event.changedTouches);
+    if (touch) {
+      this._touchId = null;
+      this._release('TOUCH', touch.clientX, touch.clientY);
+    }
+  }
+  /**
+   * @method _findTouch
+   * @memberof Pointer#
+   * @param {TouchList} touches Touch list
+   * @return {Touch} The primary touch or null
+   * @private
+   */
+  _findTouch(touches) {
+    if (this._touchId === null) {
+      return null;
+    }
+    for (let i = 0; i < touches.length; i++) {
+      if (touches[i].identifier === this._touchId) {
+        return touches[i];
+      }
+    }
+    return null;
+  }
+}
+
+Object.assign(Pointer, {
+  /**
+   * Names of mouse buttons.
+   * @memberof Pointer#
+   * @type {object}
+   */
+  mouseButtons: {
+    0: 'MOUSE_LEFT',
+    1: 'MOUSE_MIDDLE',
+    2: 'MOUSE_RIGHT',
+  },
+  /**
+   * Names of gestures.
+   * @memberof Pointer#
+   * @type {array}
+   */
+  gestures: [
+    'TAP',
+    'LONG_PRESS',
+    'SWIPE_LEFT',
+    'SWIPE_RIGHT',
+    'SWIPE_UP',
+    'SWIPE_DOWN',
+  ],
+});
+
+/**
+ * Mouse/touch events and states support.
+ * An instance of `Pointer` is exported as the default value of
+ * `engine/input/pointer` module.
+ *
+ * @see Pointer
+ *
+ * @exports engine/input/pointer
+ * @requires module:engine/core
+ * @requires module:engine/EventEmitter
+ * @requires module:engine/Vector
+ *
+ * @example
+ * const pointer = require('engine/input/pointer');
+ * pointer.on('buttondown', (button) => {
+ *   console.log(`"${button}" at ${pointer.position.x}, ${pointer.position.y}`);
+ * });
+ */
+export default new Pointer();
@@ -0,0 +1,34 @@
+import Resource from '../../Resource';
+import { define } from 'engine/prefab';
+
+/**
+ * Loader middleware that defines prefabs of JSON files with a
+ * `prefabs` field. Names of the defined prefabs are saved as
+ * `resource.prefabs`. Added to the loader by `engine/gfx`.
+ *
+ * @example
+ * import loader from 'engine/loader';
+ *
+ * loader.add('monsters.json');
+ *
+ * // After loaded
+ * game.spawnPrefab('orc', 100, 40);
+ *
+ * @return {Function} Middleware
+ */
+export function prefabMiddlewareFactory() {
+  return function prefabMiddleware(resource, next) {
+    const data = resource.data;
+    if (resource.type !== Resource.TYPE.JSON || !data || !data.prefabs || typeof(data.prefabs) !== 'object' || Array.isArray(data.prefabs)) {
+      next();
+      return;
+    }
+
+    resource.prefabs = Object.keys(data.prefabs);
+    for (let name in data.prefabs) {
+      define(name, data.prefabs[name]);
+    }
+
+    next();
+  };
+}
@@ -30,6 +30,12 @@ export default class AABBSolver {
         return this;
       },
     });
+    /**
+     * Normal of the last hit response, from first collider to the
+     * second one.
+     * @type {Vector}
+     */
+    this.normal = new Vector();
   }
 
   /**
@@ -98,6 +104,15 @@ export default class AABBSolver {
    * @param {boolean}  b2a  Whether second collider receives hit response
    */
   hitResponse(a, b, a2b, b2a) {
+    // Zero when the center of a circle is inside a box
+    this.normal.set(0);
+
+    // Sensors only report contacts, normal is still found
+    if (a.isSensor || b.isSensor) {
+      a2b = false;
+      b2a = false;
+    }
+
     let pushA = false, pushB = false, pushBox = false, pushCircle = false;
     let resA = this.resVecs[0].set(0), resB = this.resVecs[1].set(0);
     let angle, dist, overlapX, overlapY;
@@ -105,6 +120,7 @@ export default class AABBSolver {
     if (a.shape.type === BOX && b.shape.type === BOX) {
       // a.bottom <-> b.top
       if (a.lastBottom <= b.lastTop) {
+        this.normal.set(0, 1);
         pushA = (a2b && a.collide(b, BOTTOM));
         pushB = (b2a && b.collide(a, TOP));
 
@@ -121,6 +137,7 @@ export default class AABBSolver {
       }
       // a.top <-> b.bottom
       else if (a.lastTop >= b.lastBottom) {
+        this.normal.set(0, -1);
         pushA = (a2b && a.collide(b, TOP));
         pushB = (b2a && b.collide(a, BOTTOM));
 
@@ -136,6 +153,7 @@ export default class AABBSolver {
         }
       }
       else if (a.lastRight <= b.lastLeft) {
+        this.normal.set(1, 0);
         pushA = (a2b && a.collide(b, RIGHT));
         pushB = (b2a && b.collide(a, LEFT));
 
@@ -151,6 +169,7 @@ export default class AABBSolver {
         }
       }
       else if (a.lastLeft >= b.lastRight) {
+        this.normal.set(-1, 0);
         pushA = (a2b && a.collide(b, LEFT));
         pushB = (b2a && b.collide(a, RIGHT));
 
@@ -172,6 +191,7 @@ export default class AABBSolver {
         overlapY = (a.position.y < b.position.y) ? (a.bottom - b.top) : (a.top - b.bottom);
 
         if (Math.abs(overlapX) > Math.abs(overlapY)) {
+          this.normal.set(0, overlapY > 0 ? 1 : -1);
           pushA = (a2b && a.collide(b, overlapY > 0 ? BOTTOM : TOP));
           pushB = (b2a && b.collide(a, overlapY > 0 ? TOP : BOTTOM));
 
@@ -189,6 +209,7 @@ export default class AABBSolver {
           }
         }
         else {
+          this.normal.set(overlapX > 0 ? 1 : -1, 0);
           pushA = (a2b && a.collide(b, overlapX > 0 ? RIGHT : LEFT));
           pushB = (b2a && b.collide(a, overlapX > 0 ? LEFT : RIGHT));
 
@@ -210,6 +231,7 @@ export default class AABBSolver {
     else if (a.shape.type === CIRC && b.shape.type === CIRC) {
       angle = b.position.angle(a.position);
       dist = a.shape.radius + b.shape.radius;
+      this.normal.set(-Math.cos(angle), -Math.sin(angle));
 
       pushA = (a2b && a.collide(b, this.res.set(+angle)));
       pushB = (b2a && b.collide(a, this.res.set(-angle)));
@@ -272,6 +294,7 @@ export default class AABBSolver {
         overlapY = Math.max(0, overlapY);
 
         angle = Math.atan2(b.velocity.y - a.velocity.y, b.velocity.x - a.velocity.x);
+        this.normal.set(-Math.cos(angle), -Math.sin(angle));
 
         pushA = (a2b && a.collide(b, this.res.set(-angle)));
         pushB = (b2a && b.collide(a, this.res.set(+angle)));
@@ -294,6 +317,7 @@ export default class AABBSolver {
       else {
         if (closeX === box.left) {
           overlapX = (circle.position.x + circle.shape.radius) - box.left;
+          this.normal.set(box === a ? -1 : 1, 0);
 
           pushBox = (box2circle && box.collide(circle, LEFT));
           pushCircle = (circle2box && circle.collide(box, RIGHT));
@@ -311,6 +335,7 @@ export default class AABBSolver {
         }
         else if (closeX === box.right) {
           overlapX = box.right - (circle.position.x - circle.shape.radius);
+          this.normal.set(box === a ? 1 : -1, 0);
 
           pushBox = (box2circle && box.collide(circle, RIGHT));
           pushCircle = (circle2box && circle.collide(box, LEFT));
@@ -328,6 +353,7 @@ export default class AABBSolver {
         }
         else if (closeY === box.top) {
           overlapY = (circle.position.y + circle.shape.radius) - box.top;
+          this.normal.set(0, box === a ? -1 : 1);
 
           pushBox = (box2circle && box.collide(circle, TOP));
           pushCircle = (circle2box && circle.collide(box, BOTTOM));
@@ -345,6 +371,7 @@ export default class AABBSolver {
         }
         else if (closeY === box.bottom) {
           overlapY = box.bottom - (circle.position.y - circle.shape.radius);
+          this.normal.set(0, box === a ? 1 : -1);
 
           pushBox = (box2circle && box.collide(circle, BOTTOM));
           pushCircle = (circle2box && circle.collide(box, TOP));
@@ -0,0 +1,463 @@
+import { removeItems } from 'engine/utils/array';
+
+/**
+ * Stack used to walk through the tree.
+ * @type {Array}
+ * @private
+ */
+const STACK = [];
+
+/**
+ * Node of the tree, leaves hold colliders.
+ * @class TreeNode
+ * @private
+ */
+class TreeNode {
+  constructor() {
+    this.parent = null;
+    this.left = null;
+    this.right = null;
+    this.height = 0;
+    this.coll = null;
+
+    this.minX = 0;
+    this.minY = 0;
+    this.maxX = 0;
+    this.maxY = 0;
+  }
+
+  get isLeaf() {
+    return !this.left;
+  }
+
+  /**
+   * Fit the bounds to children and update height.
+   */
+  refit() {
+    this.minX = Math.min(this.left.minX, this.right.minX);
+    this.minY = Math.min(this.left.minY, this.right.minY);
+    this.maxX = Math.max(this.left.maxX, this.right.maxX);
+    this.maxY = Math.max(this.left.maxY, this.right.maxY);
+    this.height = 1 + Math.max(this.left.height, this.right.height);
+  }
+}
+
+/**
+ * Perimeter of the bounds, used as the cost of a node.
+ * @param  {TreeNode} a     Node
+ * @param  {TreeNode} [b]   Another node to merge with
+ * @return {Number}         Perimeter
+ * @private
+ */
+function perimeter(a, b) {
+  if (!b) {
+    return 2 * ((a.maxX - a.minX) + (a.maxY - a.minY));
+  }
+
+  return 2 * (
+    (Math.max(a.maxX, b.maxX) - Math.min(a.minX, b.minX)) +
+    (Math.max(a.maxY, b.maxY) - Math.min(a.minY, b.minY))
+  );
+}
+
+/**
+ * Dynamic AABB tree broadphase. Colliders are stored in a balanced
+ * tree of bounding boxes, bounds of leaves are a little larger than
+ * the colliders so small movement does not change the tree.
+ * Works well with colliders of very different sizes and large worlds.
+ *
+ * @class AABBTree
+ */
+export default class AABBTree {
+  /**
+   * @constructor
+   * @param {Number} [margin=4] How much the bounds of leaves are enlarged(in pixel)
+   */
+  constructor(margin = 4) {
+    /**
+     * How much the bounds of leaves are enlarged(in pixel).
+     * @type {Number}
+     */
+    this.margin = margin;
+    /**
+     * Root node of the tree.
+     * @type {TreeNode}
+     * @private
+     */
+    this.root = null;
+    /**
+     * Leaves of the tree.
+     * @type {Array<TreeNode>}
+     * @private
+     */
+    this.leaves = [];
+    /**
+     * Leaf of each collider by its ID.
+     * @type {Object}
+     * @private
+     */
+    this.proxies = {};
+    /**
+     * Nodes for reuse.
+     * @type {Array<TreeNode>}
+     * @private
+     */
+    this.pool = [];
+  }
+
+  /**
+   * Insert a collider or update it after it moved.
+   * @memberof AABBTree#
+   * @method update
+   * @param {Collider} coll Collider to update
+   */
+  update(coll) {
+    let leaf = this.proxies[coll.id];
+    if (leaf) {
+      // Still inside the enlarged bounds
+      if (coll.left >= leaf.minX && coll.top >= leaf.minY && coll.right <= leaf.maxX && coll.bottom <= leaf.maxY) {
+        return;
+      }
+
+      this.removeLeaf(leaf);
+    }
+    else {
+      leaf = this.proxies[coll.id] = this.createNode();
+      leaf.coll = coll;
+      this.leaves.push(leaf);
+    }
+
+    leaf.minX = coll.left - this.margin;
+    leaf.minY = coll.top - this.margin;
+    leaf.maxX = coll.right + this.margin;
+    leaf.maxY = coll.bottom + this.margin;
+
+    this.insertLeaf(leaf);
+  }
+
+  /**
+   * Remove a collider.
+   * @memberof AABBTree#
+   * @method remove
+   * @param {Collider} coll Collider to remove
+   */
+  remove(coll) {
+    const leaf = this.proxies[coll.id];
+    if (leaf) {
+      this.removeLeaf(leaf);
+      removeItems(this.leaves, this.leaves.indexOf(leaf), 1);
+      delete this.proxies[coll.id];
+      this.freeNode(leaf);
+    }
+  }
+
+  /**
+   * Remove all the colliders.
+   * @memberof AABBTree#
+   * @method clear
+   */
+  clear() {
+    this.root = null;
+    this.leaves.length = 0;
+    this.proxies = {};
+  }
+
+  /**
+   * Find pairs of colliders whose bounds overlap, each pair is pushed
+   * into the list as 2 items.
+   * @memberof AABBTree#
+   * @method findPairs
+   * @param {Array} out List to push pairs into
+   */
+  findPairs(out) {
+    if (!this.root) {
+      return;
+    }
+
+    let i, a, b, node;
+    for (i = 0; i < this.leaves.length; i++) {
+      a = this.leaves[i].coll;
+
+      STACK.push(this.root);
+      while (STACK.length > 0) {
+        node = STACK.pop();
+
+        if (a.bottom < node.minY || a.top > node.maxY || a.left > node.maxX || a.right < node.minX) {
+          continue;
+        }
+
+        if (node.isLeaf) {
+          b = node.coll;
+
+          // Each pair is found twice, only keep one of them
+          if (a.id < b.id && !(a.bottom < b.top || a.top > b.bottom || a.left > b.right || a.right < b.left)) {
+            out.push(a, b);
+          }
+        }
+        else {
+          STACK.push(node.left, node.right);
+        }
+      }
+    }
+  }
+
+  /**
+   * Find colliders whose bounds overlap(or touch) a rectangle, each
+   * collider is pushed into the list once.
+   * @memberof AABBTree#
+   * @method query
+   * @param {Number} minX Left of the rectangle
+   * @param {Number} minY Top of the rectangle
+   * @param {Number} maxX Right of the rectangle
+   * @param {Number} maxY Bottom of the rectangle
+   * @param {Array<Collider>} out List to push colliders into
+   */
+  query(minX, minY, maxX, maxY, out) {
+    if (!this.root) {
+      return;
+    }
+
+    let node, coll;
+    STACK.push(this.root);
+    while (STACK.length > 0) {
+      node = STACK.pop();
+
+      if (maxY < node.minY || minY > node.maxY || minX > node.maxX || maxX < node.minX) {
+        continue;
+      }
+
+      if (node.isLeaf) {
+        coll = node.coll;
+        if (!(maxY < coll.top || minY > coll.bottom || minX > coll.right || maxX < coll.left)) {
+          out.push(coll);
+        }
+      }
+      else {
+        STACK.push(node.left, node.right);
+      }
+    }
+  }
+
+  /**
+   * Insert a leaf into the tree.
+   * @memberof AABBTree#
+   * @method insertLeaf
+   * @param {TreeNode} leaf Leaf to insert
+   * @private
+   */
+  insertLeaf(leaf) {
+    if (!this.root) {
+      this.root = leaf;
+      leaf.parent = null;
+      return;
+    }
+
+    // Find the best sibling
+    let node = this.root;
+    let area, combined, cost, inheritance, costLeft, costRight;
+    while (!node.isLeaf) {
+      area = perimeter(node);
+      combined = perimeter(node, leaf);
+
+      // Cost of creating a new parent for this node and the leaf
+      cost = 2 * combined;
+      // Minimum cost of pushing the leaf further down
+      inheritance = 2 * (combined - area);
+
+      costLeft = perimeter(node.left, leaf) + inheritance;
+      if (!node.left.isLeaf) {
+        costLeft -= perimeter(node.left);
+      }
+      costRight = perimeter(node.right, leaf) + inheritance;
+      if (!node.right.isLeaf) {
+        costRight -= perimeter(node.right);
+      }
+
+      if (cost < costLeft && cost < costRight) {
+        break;
+      }
+
+      node = (costLeft < costRight) ? node.left : node.right;
+    }
+
+    // Create a new parent
+    const sibling = node;
+    const oldParent = sibling.parent;
+    const newParent = this.createNode();
+    newParent.parent = oldParent;
+
+    if (oldParent) {
+      if (oldParent.left === sibling) {
+        oldParent.left = newParent;
+      }
+      else {
+        oldParent.right = newParent;
+      }
+    }
+    else {
+      this.root = newParent;
+    }
+
+    newParent.left = sibling;
+    newParent.right = leaf;
+    sibling.parent = newParent;
+    leaf.parent = newParent;
+
+    // Fix bounds and heights of the ancestors
+    this.fixUpwards(newParent);
+  }
+
+  /**
+   * Remove a leaf from the tree.
+   * @memberof AABBTree#
+   * @method removeLeaf
+   * @param {TreeNode} leaf Leaf to remove
+   * @private
+   */
+  removeLeaf(leaf) {
+    if (leaf === this.root) {
+      this.root = null;
+      return;
+    }
+
+    const parent = leaf.parent;
+    const grandParent = parent.parent;
+    const sibling = (parent.left === leaf) ? parent.right : parent.left;
+
+    if (grandParent) {
+      // Replace parent with the sibling
+      if (grandParent.left === parent) {
+        grandParent.left = sibling;
+      }
+      else {
+        grandParent.right = sibling;
+      }
+      sibling.parent = grandParent;
+
+      this.fixUpwards(grandParent);
+    }
+    else {
+      this.root = sibling;
+      sibling.parent = null;
+    }
+
+    leaf.parent = null;
+    this.freeNode(parent);
+  }
+
+  /**
+   * Balance and refit a node and all its ancestors.
+   * @memberof AABBTree#
+   * @method fixUpwards
+   * @param {TreeNode} node Node to start from
+   * @private
+   */
+  fixUpwards(node) {
+    while (node) {
+      node = this.balance(node);
+      node.refit();
+      node = node.parent;
+    }
+  }
+
+  /**
+   * Rotate a node if it is imbalanced.
+   * @memberof AABBTree#
+   * @method balance
+   * @param {TreeNode} a  Node to balance
+   * @return {TreeNode}   New root of this sub-tree
+   * @private
+   */
+  balance(a) {
+    if (a.isLeaf || a.height < 2) {
+      return a;
+    }
+
+    const b = a.left;
+    const c = a.right;
+    const diff = c.height - b.height;
+
+    let up, down;
+    if (diff > 1) {
+      // Rotate right child up
+      up = c;
+    }
+    else if (diff < -1) {
+      // Rotate left child up
+      up = b;
+    }
+    else {
+      return a;
+    }
+
+    const f = up.left;
+    const g = up.right;
+
+    up.left = a;
+    up.parent = a.parent;
+    a.parent = up;
+
+    if (up.parent) {
+      if (up.parent.left === a) {
+        up.parent.left = up;
+      }
+      else {
+        up.parent.right = up;
+      }
+    }
+    else {
+      this.root = up;
+    }
+
+    // Keep the higher grandchild with the rotated node
+    if (f.height > g.height) {
+      up.right = f;
+      down = g;
+    }
+    else {
+      up.right = g;
+      down = f;
+    }
+
+    if (up === c) {
+      a.right = down;
+    }
+    else {
+      a.left = down;
+    }
+    down.parent = a;
+
+    a.refit();
+    up.refit();
+
+    return up;
+  }
+
+  /**
+   * Get a node from the pool or create one.
+   * @memberof AABBTree#
+   * @method createNode
+   * @return {TreeNode} Node
+   * @private
+   */
+  createNode() {
+    const node = this.pool.pop() || new TreeNode();
+    node.parent = node.left = node.right = null;
+    node.coll = null;
+    node.height = 0;
+    return node;
+  }
+
+  /**
+   * Put a node back to the pool.
+   * @memberof AABBTree#
+   * @method freeNode
+   * @param {TreeNode} node Node to free
+   * @private
+   */
+  freeNode(node) {
+    node.parent = node.left = node.right = null;
+    node.coll = null;
+    this.pool.push(node);
+  }
+}
@@ -1,6 +1,48 @@
 import Vector from 'engine/Vector';
+import { POLY } from './const';
 import { Box, Circle, Polygon } from './shapes';
 
+/**
+ * Temp bounds of a shape.
+ * @type {Object}
+ * @private
+ */
+const BOUNDS = { left: 0, top: 0, right: 0, bottom: 0 };
+
+/**
+ * Create a shape from settings.
+ * @param  {Object|Box|Circle|Polygon} settings Shape instance, or settings with `shape`('Box', 'Circle' or 'Polygon'), size and `offset`
+ * @return {Box|Circle|Polygon}                 The shape
+ * @private
+ */
+function createShape(settings) {
+  if (typeof(settings.shape) !== 'string') {
+    return settings.shape || settings;
+  }
+
+  let shape = null;
+  if (settings.shape === 'Box') {
+    shape = new Box(settings.width || 8, settings.height || 8);
+  }
+  else if (settings.shape === 'Circle') {
+    shape = new Circle(settings.radius || 4);
+  }
+  else if (settings.shape === 'Polygon') {
+    shape = new Polygon(settings.points);
+  }
+
+  if (shape && settings.offset) {
+    if (shape.type === POLY) {
+      shape.setOffset(new Vector(settings.offset.x || 0, settings.offset.y || 0));
+    }
+    else {
+      shape.offset.set(settings.offset.x || 0, settings.offset.y || 0);
+    }
+  }
+
+  return shape;
+}
+
 /**
  * Collider is the core element of physics module.
  *
@@ -48,6 +90,56 @@ import { Box, Circle, Polygon } from './shapes';
  *   },
  * });
  *
+ * @example <caption>Collision layers</caption>
+ * // Define layers and who collides with whom once
+ * physics.defineLayers(['solid', 'player', 'enemy', 'bullet'], {
+ *   player: ['solid', 'enemy'],
+ *   enemy:  ['solid'],
+ *   bullet: ['solid', 'enemy'],
+ * });
+ *
+ * // Groups are set from the layer when added to the world
+ * let hero = Collider({
+ *   layer: 'player',
+ * });
+ *
+ * // Names also work for the groups themselves
+ * let spike = Collider({
+ *   collisionGroup: 'solid',
+ *   collideAgainst: ['player', 'enemy'],
+ * });
+ *
+ * @example <caption>Sensor(trigger) collider</caption>
+ * let coin = Collider({
+ *   collisionGroup: GROUPS.TRIGGER,
+ *   collideAgainst: GROUPS.PLAYER,
+ *   // Sensors detect overlapping but never push or get pushed
+ *   isSensor: true,
+ *   collisionEnter: function(other) {
+ *     // Called once when player starts to overlap with the coin
+ *   },
+ * });
+ *
+ * // Contact events are also emitted by the entity
+ * entity.events.on('collisionExit', (other) => {});
+ *
+ * @example <caption>Compound collider</caption>
+ * let enemy = Collider({
+ *   shapes: [
+ *     // Body
+ *     { shape: 'Box', width: 16, height: 24 },
+ *     // Head, above the body
+ *     { shape: 'Circle', radius: 6, offset: { x: 0, y: -18 } },
+ *   ],
+ *   collide: function(other) {
+ *     // `shape` is the touched one during hit callbacks
+ *     if (this.shape === this.shapes[1]) {
+ *       // Headshot!
+ *     }
+ *     return true;
+ *   },
+ * });
+ *
  * For more complex samples, take a look at the [physics sample code](https://github.com/pixelpicosean/lesser-panda-samples/blob/master/src/game/samples/physics.js).
  *
  * @class Collider
@@ -77,6 +169,28 @@ class Collider {
      * @default false
      */
     this.isStatic = false;
+    /**
+     * Sensor collider only reports contacts(`collisionEnter`,
+     * `collisionStay` and `collisionExit`) and never receives or
+     * causes hit response, `collide` is not called either.
+     * @type {Boolean}
+     * @default false
+     */
+    this.isSensor = false;
+    /**
+     * Bullet collider sweeps its shape along the movement of each step,
+     * so it never passes through thin colliders when moving fast.
+     * It costs more, only use for small and fast colliders.
+     * @type {Boolean}
+     * @default false
+     */
+    this.isBullet = false;
+    /**
+     * Collider this bullet hit by sweeping in current step.
+     * @type {Collider}
+     * @private
+     */
+    this.sweptHit = null;
     /**
      * Whether this collider will hit CollisionMap.
      * @type {Boolean}
@@ -88,10 +202,17 @@ class Collider {
      */
     this.world = null;
     /**
-     * Collider's shape.
-     * @type {Box|Circle}
+     * Collider's shape. For compound colliders this is the first
+     * shape, and the touched one during hit callbacks.
+     * @type {Box|Circle|Polygon}
      */
     this.shape = null;
+    /**
+     * Shapes of a compound collider, each one is placed at its
+     * `offset`. Empty for colliders with only one `shape`.
+     * @type {Array<Box|Circle|Polygon>}
+     */
+    this.shapes = [];
     /**
      * Position of collider.
      * @type {Vector}
@@ -107,6 +228,40 @@ class Collider {
      * @type {Vector}
      */
     this.last = Vector.create();
+    /**
+     * Whether this collider is a rigid body, which bounces, slides and
+     * spins when hitting others. Only supported by `SATSolver`.
+     * @type {Boolean}
+     * @default false
+     */
+    this.isRigidBody = false;
+    /**
+     * Bounciness of this rigid body, 0 for no bounce and 1 to keep all
+     * the speed. The larger one of 2 hitting bodies is used.
+     * @type {number}
+     * @default 0
+     */
+    this.restitution = 0;
+    /**
+     * Friction of this rigid body, 0 is frictionless.
+     * @type {number}
+     * @default 0
+     */
+    this.friction = 0;
+    /**
+     * Rotation speed of this collider, in radian per second.
+     * @type {number}
+     * @default 0
+     */
+    this.angularVelocity = 0;
+    /**
+     * Moment of inertia of this rigid body(how hard to spin it),
+     * calculated from `mass` and shape when 0. Set to `Infinity` to
+     * prevent rotating.
+     * @type {number}
+     * @default 0
+     */
+    this.inertia = 0;
     /**
      * Collider's velocity.
      * @type {Vector}
@@ -125,16 +280,25 @@ class Collider {
      */
     this.mass = 0;
     /**
-     * Collider's collision group.
-     * @type {number}
+     * Name of the collision layer(defined by `Physics.defineLayers`),
+     * `collisionGroup` and `collideAgainst` are set from the layer and
+     * the collision matrix of the world.
+     * @type {string}
+     * @default null
+     */
+    this.layer = null;
+    /**
+     * Collider's collision group. Layer names are also accepted, they
+     * are turned into the group mask when added to the world.
+     * @type {number|string|Array<string>}
      * @default null
      */
     this.collisionGroup = null;
     /**
-     * Collision groups that this collider collides against.
-     * Note: this will be a Number when broadPhase is "SpatialHash",
-     * but will be an Array while using "Simple".
-     * @type {array|number}
+     * Collision groups that this collider collides against. Layer names
+     * are also accepted, they are turned into the group mask when added
+     * to the world.
+     * @type {number|string|Array<string>}
      */
     this.collideAgainst = 0;
     /**
@@ -189,11 +353,67 @@ class Collider {
     return this.shape ? this.shape.height : 0;
   }
 
+  /**
+   * Whether this collider is made of several shapes.
+   * @type {boolean}
+   * @readonly
+   */
+  get isCompound() {
+    return this.shapes.length > 0;
+  }
+
   get rotation() {
     return this.shape.rotation;
   }
   set rotation(v) {
-    this.shape.rotation = v;
+    if (this.shapes.length > 0) {
+      for (let i = 0; i < this.shapes.length; i++) {
+        this.shapes[i].rotation = v;
+      }
+    }
+    else {
+      this.shape.rotation = v;
+    }
+  }
+
+  /**
+   * Update bounds of this collider(from `position`) and bounds of last
+   * step(from `last`), covering all the shapes.
+   * @memberof Collider#
+   * @method updateBounds
+   */
+  updateBounds() {
+    if (!this.shape) {return;}
+
+    let left, top, right, bottom;
+    if (this.shapes.length > 0) {
+      left = top = Infinity;
+      right = bottom = -Infinity;
+      for (let i = 0; i < this.shapes.length; i++) {
+        this.shapes[i].getBounds(BOUNDS);
+        left = Math.min(left, BOUNDS.left);
+        top = Math.min(top, BOUNDS.top);
+        right = Math.max(right, BOUNDS.right);
+        bottom = Math.max(bottom, BOUNDS.bottom);
+      }
+    }
+    else {
+      this.shape.getBounds(BOUNDS);
+      left = BOUNDS.left;
+      top = BOUNDS.top;
+      right = BOUNDS.right;
+      bottom = BOUNDS.bottom;
+    }
+
+    this.lastLeft = this.last.x + left;
+    this.lastRight = this.last.x + right;
+    this.lastTop = this.last.y + top;
+    this.lastBottom = this.last.y + bottom;
+
+    this.left = this.position.x + left;
+    this.right = this.position.x + right;
+    this.top = this.position.y + top;
+    this.bottom = this.position.y + bottom;
   }
 
   /**
@@ -246,6 +466,33 @@ class Collider {
    */
   afterCollide() {}
 
+  /**
+   * This is called when this collider starts to overlap another one.
+   * The entity of this collider also emits a `collisionEnter` event.
+   * @memberof Collider#
+   * @method collisionEnter
+   * @param {Collider} other  Collider that starts to overlap.
+   */
+  collisionEnter(other) {}
+  /**
+   * This is called on each step while this collider keeps overlapping
+   * another one, after the step it started.
+   * The entity of this collider also emits a `collisionStay` event.
+   * @memberof Collider#
+   * @method collisionStay
+   * @param {Collider} other  Collider that is overlapping.
+   */
+  collisionStay(other) {}
+  /**
+   * This is called when this collider stops overlapping another one,
+   * or one of them is removed.
+   * The entity of this collider also emits a `collisionExit` event.
+   * @memberof Collider#
+   * @method collisionExit
+   * @param {Collider} other  Collider that stopped overlapping.
+   */
+  collisionExit(other) {}
+
   /**
    * Handle collision map tracing result.
    * @param {Object} res  Tracing result to handle.
@@ -265,16 +512,34 @@ class Collider {
         // Set value
         case 'mass':
         case 'damping':
-        case 'collisionGroup':
-        case 'collideAgainst':
         case 'isStatic':
+        case 'isSensor':
+        case 'isBullet':
+        case 'isRigidBody':
+        case 'restitution':
+        case 'friction':
+        case 'angularVelocity':
+        case 'inertia':
         case 'beforeCollide':
         case 'collide':
         case 'afterCollide':
+        case 'collisionEnter':
+        case 'collisionStay':
+        case 'collisionExit':
         case 'handleMovementTrace':
           this[k] = settings[k];
           break;
 
+        // Set collision groups, layer names are resolved by the world
+        case 'layer':
+        case 'collisionGroup':
+        case 'collideAgainst':
+          this[k] = settings[k];
+          if (this.world) {
+            this.world.applyLayers(this);
+          }
+          break;
+
         // Set vector
         case 'position':
         case 'velocity':
@@ -286,20 +551,15 @@ class Collider {
 
         // Set shape
         case 'shape':
-          if (typeof(settings.shape) === 'string') {
-            if (settings.shape === 'Box') {
-              this.shape = new Box(settings.width || 8, settings.height || 8);
-            }
-            else if (settings.shape === 'Circle') {
-              this.shape = new Circle(settings.radius || 4);
-            }
-            else if (settings.shape === 'Polygon') {
-              this.shape = new Polygon(settings.points);
-            }
-          }
-          else {
-            this.shape = settings.shape;
-          }
+          this.shape = createShape(settings);
+          this.shapes.length = 0;
+          break;
+
+        // Set shapes of compound collider
+        case 'shapes':
+          this.shapes = settings.shapes.map(createShape);
+          this.shape = this.shapes[0] || null;
+          break;
       }
     }
 
@@ -318,7 +578,7 @@ class Collider {
 
     // Subscribe to entity rotation changes
     this._rotationChangeHandler = entity.onRotationChange.add((v) => {
-      this.shape.rotation = v;
+      this.rotation = v;
     });
 
     this.entity = entity;
@@ -1,16 +1,71 @@
+import Vector from 'engine/Vector';
+import { rayPolygon, pointInPolygon, rectPolygon, circlePolygon } from './query';
+
+/**
+ * Tolerance of float errors.
+ * @type {Number}
+ * @private
+ */
+const EPSILON = 0.0001;
+
+/**
+ * Temp objects for tile edges.
+ * @type {Object}
+ * @private
+ */
+const SPAN = { top: 0, bottom: 0 };
+const BEHIND = { top: 0, bottom: 0 };
+
+/**
+ * Temp bounds of the collider while tracing.
+ * @type {Object}
+ * @private
+ */
+const BOX = { left: 0, right: 0, top: 0, bottom: 0 };
+const SHIFTED = { left: 0, right: 0, top: 0, bottom: 0 };
+
+/**
+ * Temp results of a single step.
+ * @type {Object}
+ * @private
+ */
+const STEP = { x: 0, y: 0, hitX: false, hitY: false, tileX: 0, tileY: 0, normal: Vector.create() };
+const CORNER = { x: 0, y: 0, hitX: false, hitY: false, tileX: 0, tileY: 0, normal: Vector.create() };
+
+/**
+ * Temp shape of a tile for raycasts and queries.
+ * @type {Array<Vector>}
+ * @private
+ */
+const TILE_POINTS = [Vector.create(), Vector.create(), Vector.create(), Vector.create()];
+const TILE_NORMAL = Vector.create();
+
+/**
+ * Normal of the face each kind of one-way tiles blocks from.
+ * @type {Object}
+ * @private
+ */
+const ONE_WAY_NORMALS = {
+  top: Vector.create(0, -1),
+  bottom: Vector.create(0, 1),
+  left: Vector.create(-1, 0),
+  right: Vector.create(1, 0),
+};
+
 /**
  * Collision map is a 2D tilemap specifically designed for collision.
  * All the `Entity` instances will trace against this map during update.
  *
  * @class
  */
-class CollisionMap {
+export class CollisionMap {
   /**
    * @constructor
    * @param  {Number} tilesize Tile size in pixel
    * @param  {Array} data      A 2D array representing the map.
+   * @param  {Object} [tileDef] Tile definitions to add or override defaults.
    */
-  constructor(tilesize, data) {
+  constructor(tilesize, data, tileDef) {
     if (!Number.isFinite(tilesize) || tilesize <= 0) {
       console.log('Invalid tilesize!');
       return;
@@ -30,6 +85,18 @@ class CollisionMap {
      * @type {Array}
      */
     this.data = data;
+    /**
+     * How each tile collides, see `CollisionMap.defaultTileDef`.
+     * Tiles without a definition are empty.
+     * @type {Object}
+     */
+    this.tileDef = Object.assign({}, CollisionMap.defaultTileDef, tileDef);
+    /**
+     * Increased each time a tile is set by `setTile` or `setTileAt`,
+     * so views of the map know when to redraw.
+     * @type {Number}
+     */
+    this.version = 0;
 
     this._width = data[0].length;
     this._height = data.length;
@@ -81,6 +148,7 @@ class CollisionMap {
   setTile(r, q, tile) {
     if (q >= 0 && q < this._width && r >= 0 && r < this._height) {
       this.data[r][q] = tile;
+      this.version++;
     }
   }
   /**
@@ -94,47 +162,181 @@ class CollisionMap {
     const r = Math.floor(y / this.tilesize);
     if (q >= 0 && q < this._width && r >= 0 && r < this._height) {
       this.data[r][q] = tile;
+      this.version++;
     }
   }
 
   /**
-   * Trace a collider against this map.
+   * Trace a collider against this map. Tiles are checked against the
+   * definitions in `tileDef`, and `res` is filled with the result:
+   *
+   * - `x`, `y`: movement that can be made
+   * - `hitX`, `hitY`: whether something is hit on each axis
+   * - `tileX`, `tileY`: tile hit on each axis, 0 if nothing is hit
+   * - `normal`: normal of the surface hit, y-axis one is used when
+   *   both axes hit something(slopes only affect the y-axis)
+   *
+   * Slopes are walkable, a collider stands on the highest point
+   * of a slope under its bottom edge.
+   *
+   * Movement larger than a tile(or the collider itself) is split into
+   * smaller steps, so fast colliders won't pass through walls or corners.
+   *
    * @param  {Collider} coll  Collider object.
    * @param  {Number} sx      Movement on x-axis.
    * @param  {Number} sy      Movement on y-axis.
    * @param  {Object} res     Resolved movement result.
    */
   trace(coll, sx, sy, res) {
-    // TODO: fast movement
-    if (sx === 0 && sy === 0) {
-      return;
-    }
-
     // Set result as full movement
     res.x = sx;
     res.y = sy;
     res.hitX = res.hitY = false;
+    res.tileX = res.tileY = 0;
+    if (!res.normal) {
+      res.normal = Vector.create();
+    }
+    res.normal.set(0, 0);
+
+    if (sx === 0 && sy === 0) {
+      return;
+    }
+
+    // Steps should not be larger than a tile or the collider
+    let size = this.tilesize;
+    if (coll.right - coll.left > 0) {
+      size = Math.min(size, coll.right - coll.left);
+    }
+    if (coll.bottom - coll.top > 0) {
+      size = Math.min(size, coll.bottom - coll.top);
+    }
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(sx), Math.abs(sy)) / size));
+
+    let stepX = sx / steps, stepY = sy / steps;
+
+    BOX.left = coll.left;
+    BOX.right = coll.right;
+    BOX.top = coll.top;
+    BOX.bottom = coll.bottom;
 
-    let posi, leading, dir, start, end, tilespace, tilespaceEnd, done;
-    let edgeVector, edge, tile;
-    let i, j;
-
-    // Check x-axis
-    posi = sx > 0;
-    leading = posi ? coll.right : coll.left;
-    dir = posi ? 1 : -1;
-    start = Math.floor(coll.top / this.tilesize);
-    end = Math.ceil(coll.bottom / this.tilesize);
-    tilespace = Math.floor(leading / this.tilesize);
-    tilespaceEnd = Math.floor((leading + sx) / this.tilesize) + dir;
-    done = false;
-
-    for (i = tilespace; !done && i !== tilespaceEnd; i += dir) {
+    res.x = res.y = 0;
+
+    for (let i = 0; i < steps && (stepX !== 0 || stepY !== 0); i++) {
+      this.traceStep(coll, BOX, stepX, stepY, STEP);
+
+      res.x += STEP.x;
+      res.y += STEP.y;
+      BOX.left += STEP.x;
+      BOX.right += STEP.x;
+      BOX.top += STEP.y;
+      BOX.bottom += STEP.y;
+
+      if (STEP.hitX) {
+        res.hitX = true;
+        res.tileX = STEP.tileX;
+        stepX = 0;
+      }
+      if (STEP.hitY) {
+        res.hitY = true;
+        res.tileY = STEP.tileY;
+        res.normal.copy(STEP.normal);
+        // Keep moving along slopes
+        if (STEP.normal.x === 0) {
+          stepY = 0;
+        }
+      }
+    }
+
+    if (!res.hitY && res.hitX) {
+      res.normal.set(-Math.sign(sx), 0);
+    }
+  }
+
+  /**
+   * Trace a single step. Movement on x-axis is checked first, and when
+   * nothing is hit the step is traced again with y-axis first, in case the
+   * diagonal movement hits a corner that the first one missed.
+   * @param  {Collider} coll  Collider object
+   * @param  {Object} box     Bounds of the collider at the beginning of this step
+   * @param  {Number} sx      Movement on x-axis
+   * @param  {Number} sy      Movement on y-axis
+   * @param  {Object} out     Result of this step
+   * @private
+   */
+  traceStep(coll, box, sx, sy, out) {
+    out.x = sx;
+    out.y = sy;
+    out.hitX = out.hitY = false;
+
+    this.traceX(coll, box, sx, out);
+    this.traceY(coll, box, sy, out.x, out);
+
+    if (sx === 0 || sy === 0 || out.hitX || out.hitY) {
+      return;
+    }
+
+    CORNER.x = sx;
+    CORNER.y = sy;
+    CORNER.hitX = CORNER.hitY = false;
+
+    this.traceY(coll, box, sy, 0, CORNER);
+
+    SHIFTED.left = box.left;
+    SHIFTED.right = box.right;
+    SHIFTED.top = box.top + CORNER.y;
+    SHIFTED.bottom = box.bottom + CORNER.y;
+    this.traceX(coll, SHIFTED, sx, CORNER);
+
+    if (CORNER.hitX || CORNER.hitY) {
+      out.x = CORNER.x;
+      out.y = CORNER.y;
+      out.hitX = CORNER.hitX;
+      out.hitY = CORNER.hitY;
+      out.tileX = CORNER.tileX;
+      out.tileY = CORNER.tileY;
+      out.normal.copy(CORNER.normal);
+    }
+  }
+  /**
+   * Trace movement on x-axis.
+   * @param  {Collider} coll  Collider object
+   * @param  {Object} box     Bounds of the collider
+   * @param  {Number} sx      Movement on x-axis
+   * @param  {Object} out     Result
+   * @private
+   */
+  traceX(coll, box, sx, out) {
+    if (sx === 0) {
+      return;
+    }
+
+    const ts = this.tilesize;
+
+    const posi = sx > 0;
+    const leading = posi ? box.right : box.left;
+    const dir = posi ? 1 : -1;
+    const start = Math.floor(box.top / ts);
+    const end = Math.ceil(box.bottom / ts);
+    const tilespace = Math.floor(leading / ts);
+    const tilespaceEnd = Math.floor((leading + sx) / ts) + dir;
+    // How far the collider can be lifted(or pushed down) by slopes
+    const tol = Math.abs(sx) + EPSILON;
+
+    let i, j, edge, edgeVector, tile, def;
+    for (i = tilespace; i !== tilespaceEnd; i += dir) {
       // Out of map area
       if (i < 0 || i >= this._width) {
         continue;
       }
 
+      edge = ((dir > 0) ? i : (i + 1)) * ts;
+      edgeVector = edge - leading;
+
+      // Already inside these tiles
+      if (edgeVector * dir < 0) {
+        continue;
+      }
+
       for (j = start; j !== end; ++j) {
         // Out of map area
         if (j < 0 || j >= this._height) {
@@ -142,41 +344,64 @@ class CollisionMap {
         }
 
         tile = this.data[j][i];
-
-        // Out of map area
-        if (tile === undefined) {
+        def = this.tileDef[tile];
+        if (!def || !this.sideSpan(def, j, dir > 0 ? 0 : 1, true, SPAN)) {
           continue;
         }
 
-        edge = ((dir > 0) ? i : (i + 1)) * this.tilesize;
-        edgeVector = edge - leading;
+        // Walk from a slope onto this tile
+        if (this.canStepOn(box, j, i - dir, dir > 0 ? 1 : 0, tol)) {
+          continue;
+        }
 
-        // if (oncollision(axis, tile, coords, dir, edgeVector)) {
-        if (tile === 1) {
-          res.x = edgeVector;
-          res.hitX = true;
-          done = true;
-          break;
+        if (def.oncollision && !def.oncollision(coll, 'x', tile, j, i, dir, edgeVector)) {
+          continue;
         }
+
+        out.x = edgeVector;
+        out.hitX = true;
+        out.tileX = tile;
+        return;
       }
     }
+  }
+  /**
+   * Trace movement on y-axis.
+   * @param  {Collider} coll  Collider object
+   * @param  {Object} box     Bounds of the collider
+   * @param  {Number} sy      Movement on y-axis
+   * @param  {Number} ox      Movement already made on x-axis
+   * @param  {Object} out     Result
+   * @private
+   */
+  traceY(coll, box, sy, ox, out) {
+    if (sy === 0) {
+      return;
+    }
 
-    // Check y-axis
-    posi = sy > 0;
-    leading = posi ? coll.bottom : coll.top;
-    dir = posi ? 1 : -1;
-    start = Math.floor(coll.left / this.tilesize);
-    end = Math.ceil(coll.right / this.tilesize);
-    tilespace = Math.floor(leading / this.tilesize);
-    tilespaceEnd = Math.floor((leading + sy) / this.tilesize) + dir;
-    done = false;
+    const ts = this.tilesize;
 
-    for (i = tilespace; !done && i !== tilespaceEnd; i += dir) {
+    const posi = sy > 0;
+    const leading = posi ? box.bottom : box.top;
+    const dir = posi ? 1 : -1;
+    const left = box.left + ox;
+    const right = box.right + ox;
+    const start = Math.floor(left / ts);
+    const end = Math.ceil(right / ts);
+    const tol = Math.abs(ox) + EPSILON;
+    // Slopes may be a little behind the leading edge after moving on x-axis
+    const tilespace = Math.floor((leading - tol * dir) / ts);
+    const tilespaceEnd = Math.floor((leading + sy) / ts) + dir;
+
+    let i, j, edge, edgeVector, tile, def, best, bestTile;
+    for (i = tilespace; i !== tilespaceEnd; i += dir) {
       // Out of map area
       if (i < 0 || i >= this._height) {
         continue;
       }
 
+      best = NaN;
+      bestTile = 0;
       for (j = start; j !== end; ++j) {
         // Out of map area
         if (j < 0 || j >= this._width) {
@@ -184,33 +409,394 @@ class CollisionMap {
         }
 
         tile = this.data[i][j];
-
-        // Out of map area
-        if (tile === undefined) {
+        def = this.tileDef[tile];
+        if (!def) {
           continue;
         }
 
-        edge = ((dir > 0) ? i : (i + 1)) * this.tilesize;
+        edge = this.surface(def, i, j, dir, left, right);
         edgeVector = edge - leading;
 
-        // if (oncollision(axis, tile, coords, dir, edgeVector)) {
-        if (tile === 1) {
-          res.y = edgeVector;
-          res.hitY = true;
-          done = true;
-          break;
+        // No surface on this side, already inside or can not reach
+        if (isNaN(edge) || edgeVector * dir < -tol || edgeVector * dir > sy * dir) {
+          continue;
+        }
+
+        // Pick the closest one
+        if (!isNaN(best) && edgeVector * dir >= best * dir) {
+          continue;
+        }
+
+        if (def.oncollision && !def.oncollision(coll, 'y', tile, i, j, dir, edgeVector)) {
+          continue;
+        }
+
+        best = edgeVector;
+        bestTile = tile;
+        this.surfaceNormal(def, dir, out.normal);
+      }
+
+      if (!isNaN(best)) {
+        out.y = best;
+        out.hitY = true;
+        out.tileY = bestTile;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Cast a ray against the tiles. One-way tiles are only hit from
+   * the side they block.
+   * @param  {Number} sx    X of start point
+   * @param  {Number} sy    Y of start point
+   * @param  {Number} ex    X of end point
+   * @param  {Number} ey    Y of end point
+   * @param  {Object} out   Hit result, `fraction`(0 to 1 along the ray), `normal`, `tile`, `r` and `q` are set
+   * @return {Boolean} Whether a tile is hit
+   */
+  raycast(sx, sy, ex, ey, out) {
+    const ts = this.tilesize;
+    const dx = ex - sx;
+    const dy = ey - sy;
+
+    // Walk through the tiles along the ray
+    let q = Math.floor(sx / ts);
+    let r = Math.floor(sy / ts);
+    const stepQ = Math.sign(dx);
+    const stepR = Math.sign(dy);
+    const deltaX = (dx !== 0) ? ts / Math.abs(dx) : Infinity;
+    const deltaY = (dy !== 0) ? ts / Math.abs(dy) : Infinity;
+
+    let maxX = (dx > 0) ? ((q + 1) * ts - sx) / dx : ((dx < 0) ? (q * ts - sx) / dx : Infinity);
+    let maxY = (dy > 0) ? ((r + 1) * ts - sy) / dy : ((dy < 0) ? (r * ts - sy) / dy : Infinity);
+
+    let n = Math.abs(Math.floor(ex / ts) - q) + Math.abs(Math.floor(ey / ts) - r) + 1;
+
+    let tile, def, t;
+    for (; n > 0; n--) {
+      tile = this.getTile(r, q);
+      def = this.tileDef[tile];
+
+      if (def && this.tilePoints(def, r, q, TILE_POINTS)) {
+        t = rayPolygon(TILE_POINTS, 4, sx, sy, dx, dy, TILE_NORMAL);
+
+        // One-way tiles can only be entered from one side
+        if (t >= 0 && def.oneWay && !def.slope && (t === 0 || !TILE_NORMAL.equals(ONE_WAY_NORMALS[def.oneWay]))) {
+          t = -1;
+        }
+
+        if (t >= 0) {
+          out.fraction = t;
+          out.normal.copy(TILE_NORMAL);
+          out.tile = tile;
+          out.r = r;
+          out.q = q;
+          return true;
+        }
+      }
+
+      if (maxX < maxY) {
+        maxX += deltaX;
+        q += stepQ;
+      }
+      else {
+        maxY += deltaY;
+        r += stepR;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Find tiles overlapping a rectangle.
+   * @param  {Number} left    Left of the rectangle
+   * @param  {Number} top     Top of the rectangle
+   * @param  {Number} right   Right of the rectangle
+   * @param  {Number} bottom  Bottom of the rectangle
+   * @param  {Array} out      List to push hits(`{ collider: null, shape: null, tile, r, q }`) into
+   * @return {Array} The list
+   */
+  queryRect(left, top, right, bottom, out) {
+    const ts = this.tilesize;
+
+    let r, q, tile, def;
+    for (r = Math.floor(top / ts); r <= Math.floor(bottom / ts); r++) {
+      for (q = Math.floor(left / ts); q <= Math.floor(right / ts); q++) {
+        tile = this.getTile(r, q);
+        def = this.tileDef[tile];
+
+        if (def && this.tilePoints(def, r, q, TILE_POINTS) && rectPolygon(TILE_POINTS, 4, left, top, right, bottom)) {
+          out.push({ collider: null, shape: null, tile: tile, r: r, q: q });
+        }
+      }
+    }
+
+    return out;
+  }
+  /**
+   * Find tiles overlapping a circle.
+   * @param  {Number} x       X of the center
+   * @param  {Number} y       Y of the center
+   * @param  {Number} radius  Radius of the circle
+   * @param  {Array} out      List to push hits(`{ collider: null, shape: null, tile, r, q }`) into
+   * @return {Array} The list
+   */
+  queryCircle(x, y, radius, out) {
+    const ts = this.tilesize;
+
+    let r, q, tile, def;
+    for (r = Math.floor((y - radius) / ts); r <= Math.floor((y + radius) / ts); r++) {
+      for (q = Math.floor((x - radius) / ts); q <= Math.floor((x + radius) / ts); q++) {
+        tile = this.getTile(r, q);
+        def = this.tileDef[tile];
+
+        if (def && this.tilePoints(def, r, q, TILE_POINTS) && circlePolygon(TILE_POINTS, 4, x, y, radius)) {
+          out.push({ collider: null, shape: null, tile: tile, r: r, q: q });
         }
       }
     }
+
+    return out;
+  }
+  /**
+   * Find the tile at a point.
+   * @param  {Number} x   X of the point
+   * @param  {Number} y   Y of the point
+   * @param  {Array} out  List to push hit(`{ collider: null, shape: null, tile, r, q }`) into
+   * @return {Array} The list
+   */
+  queryPoint(x, y, out) {
+    const ts = this.tilesize;
+    const q = Math.floor(x / ts);
+    const r = Math.floor(y / ts);
+    const tile = this.getTile(r, q);
+    const def = this.tileDef[tile];
+
+    if (def && this.tilePoints(def, r, q, TILE_POINTS) && pointInPolygon(TILE_POINTS, 4, x, y)) {
+      out.push({ collider: null, shape: null, tile: tile, r: r, q: q });
+    }
+
+    return out;
+  }
+
+  /**
+   * Get shape of a tile as 4 points(top-left, top-right, bottom-right
+   * and bottom-left).
+   * @param  {Object} def         Tile definition
+   * @param  {Number} r           Row of the tile
+   * @param  {Number} q           Column of the tile
+   * @param  {Array<Vector>} out  List of 4 vectors to save the points to
+   * @return {Boolean} Whether this tile has a shape
+   * @private
+   */
+  tilePoints(def, r, q, out) {
+    if (!def.slope && !def.solid && !def.oneWay && !def.oncollision) {
+      return false;
+    }
+
+    const ts = this.tilesize;
+    const x0 = q * ts, x1 = x0 + ts;
+    const y0 = r * ts, y1 = y0 + ts;
+
+    out[0].set(x0, y0);
+    out[1].set(x1, y0);
+    out[2].set(x1, y1);
+    out[3].set(x0, y1);
+
+    if (def.slope) {
+      if (def.ceiling) {
+        out[2].y = y0 + def.slope[1] * ts;
+        out[3].y = y0 + def.slope[0] * ts;
+      }
+      else {
+        out[0].y = y1 - def.slope[0] * ts;
+        out[1].y = y1 - def.slope[1] * ts;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the solid part along a vertical edge of a tile.
+   * @param  {Object} def         Tile definition
+   * @param  {Number} r           Row of the tile
+   * @param  {Number} side        Which edge, 0 for left and 1 for right
+   * @param  {Boolean} oneWay     Whether one-way tiles are included
+   * @param  {Object} out         Object to save `top` and `bottom` of the solid part to
+   * @return {Boolean} Whether there is a solid part
+   * @private
+   */
+  sideSpan(def, r, side, oneWay, out) {
+    const ts = this.tilesize;
+
+    out.top = r * ts;
+    out.bottom = (r + 1) * ts;
+
+    if (def.slope) {
+      if (def.ceiling) {
+        out.bottom = out.top + def.slope[side] * ts;
+      }
+      else {
+        out.top = out.bottom - def.slope[side] * ts;
+      }
+    }
+    else if (def.oneWay) {
+      if (!oneWay || def.oneWay !== ((side === 0) ? 'left' : 'right')) {
+        return false;
+      }
+    }
+    else if (!def.solid && !def.oncollision) {
+      return false;
+    }
+
+    return out.bottom - out.top > EPSILON;
+  }
+  /**
+   * Whether a collider moving on x-axis can step on the next tile(which
+   * is blocking) from a slope it is standing on(or hanging under).
+   * @param  {Object} box     Bounds of the collider
+   * @param  {Number} r       Row of the tile
+   * @param  {Number} q       Column of the tile behind the next one
+   * @param  {Number} side    Edge of the tile behind that touches next one
+   * @param  {Number} tol     Max distance to step
+   * @return {Boolean} Whether can step on
+   * @private
+   */
+  canStepOn(box, r, q, side, tol) {
+    const next = SPAN;
+    const behind = this.tileDef[this.getTile(r, q)];
+
+    // Bottom edge is just a little lower than top of next tile
+    if (box.bottom - next.top <= tol && box.bottom > next.top) {
+      return !!behind && !behind.ceiling && this.sideSpan(behind, r, side, false, BEHIND) && BEHIND.top <= next.top + EPSILON;
+    }
+    // Top edge is just a little higher than bottom of next tile
+    if (next.bottom - box.top <= tol && box.top < next.bottom) {
+      return !!behind && (behind.ceiling || !behind.slope) && this.sideSpan(behind, r, side, false, BEHIND) && BEHIND.bottom >= next.bottom - EPSILON;
+    }
+
+    return false;
+  }
+  /**
+   * Get the surface position of a tile that a collider moving on y-axis
+   * will hit.
+   * @param  {Object} def   Tile definition
+   * @param  {Number} r     Row of the tile
+   * @param  {Number} q     Column of the tile
+   * @param  {Number} dir   Moving direction, 1 for down and -1 for up
+   * @param  {Number} left  Left of the collider
+   * @param  {Number} right Right of the collider
+   * @return {Number} Y position of the surface, NaN if nothing to hit
+   * @private
+   */
+  surface(def, r, q, dir, left, right) {
+    const ts = this.tilesize;
+
+    // Solid edge
+    const edge = ((dir > 0) ? r : (r + 1)) * ts;
+
+    if (def.slope) {
+      // Back side of a slope is flat
+      if (!def.ceiling !== (dir > 0)) {
+        return edge;
+      }
+
+      // Highest point(or lowest for ceilings) of the slope under the collider
+      const l = Math.max(0, (left - q * ts) / ts);
+      const r2 = Math.min(1, (right - q * ts) / ts);
+      const a = def.slope[0] + (def.slope[1] - def.slope[0]) * l;
+      const b = def.slope[0] + (def.slope[1] - def.slope[0]) * r2;
+      const h = Math.max(a, b) * ts;
+
+      return def.ceiling ? (r * ts + h) : ((r + 1) * ts - h);
+    }
+
+    if (def.oneWay) {
+      return (def.oneWay === ((dir > 0) ? 'top' : 'bottom')) ? edge : NaN;
+    }
+
+    return (def.solid || def.oncollision) ? edge : NaN;
+  }
+  /**
+   * Get normal of the surface hit by a collider moving on y-axis.
+   * @param  {Object} def   Tile definition
+   * @param  {Number} dir   Moving direction, 1 for down and -1 for up
+   * @param  {Vector} out   Vector to save the normal to
+   * @private
+   */
+  surfaceNormal(def, dir, out) {
+    if (def.slope && !def.ceiling === (dir > 0)) {
+      const dy = def.slope[0] - def.slope[1];
+      if (def.ceiling) {
+        out.set(dy, 1);
+      }
+      else {
+        out.set(dy, -1);
+      }
+      out.normalize();
+    }
+    else {
+      out.set(0, -dir);
+    }
   }
 }
 
 /**
- * CollisionMap factory
- * @param  {Number} tilesize Tile size in pixel.
- * @param  {Array}  data     Map data as a 2D array.
- * @return {CollisionMap}    CollisionMap instance.
+ * Default tile definitions:
+ *
+ * - `1`: solid
+ * - `2`: one-way platform, only blocks from the top
+ * - `3`, `4`: 45° slopes, up to the right and down to the right
+ * - `5`, `6`: 22.5° slopes(lower and upper half) up to the right
+ * - `7`, `8`: 22.5° slopes(upper and lower half) down to the right
+ * - `9`, `10`: 45° ceiling slopes, depth goes up to the right and down to the right
+ *
+ * Tiles `2` to `10` were empty before v1.5, set them to `null` in
+ * `tileDef` to keep them empty.
+ *
+ * A definition is an object with one of these:
+ *
+ * - `solid: true`: blocks from all directions
+ * - `oneWay: 'top'|'bottom'|'left'|'right'`: only blocks from one side
+ * - `slope: [left, right]`: height(from the bottom, in tile) of both edges,
+ *   with `ceiling: true` it is the depth(from the top) instead
+ *
+ * And `oncollision(coll, axis, tile, r, q, dir, edgeVector)` can be
+ * added to decide whether the tile blocks a collider, return `true` to
+ * block. Definitions with only `oncollision` are treated as solid.
+ *
+ * @example
+ * // Platforms players can drop through
+ * map.tileDef[2] = {
+ *   oneWay: 'top',
+ *   oncollision: (coll) => !coll.entity.dropping,
+ * };
+ *
+ * @type {Object}
  */
-export default function(tilesize = 16, data = [[]]) {
-  return new CollisionMap(tilesize, data);
+CollisionMap.defaultTileDef = {
+  1: { solid: true },
+  2: { oneWay: 'top' },
+  3: { slope: [0, 1] },
+  4: { slope: [1, 0] },
+  5: { slope: [0, 0.5] },
+  6: { slope: [0.5, 1] },
+  7: { slope: [1, 0.5] },
+  8: { slope: [0.5, 0] },
+  9: { slope: [0, 1], ceiling: true },
+  10: { slope: [1, 0], ceiling: true },
 };
+
+/**
+ * CollisionMap factory
+ * @param  {Number} tilesize  Tile size in pixel.
+ * @param  {Array}  data      Map data as a 2D array.
+ * @param  {Object} [tileDef] Tile definitions to add or override defaults.
+ * @return {CollisionMap}     CollisionMap instance.
+ */
+export default function(tilesize = 16, data = [[]], tileDef) {
+  return new CollisionMap(tilesize, data, tileDef);
+}
@@ -0,0 +1,463 @@
+import System from 'engine/System';
+import Vector from 'engine/Vector';
+import Graphics from 'engine/gfx/Graphics';
+import Text from 'engine/gfx/Text';
+import SpatialHash from './SpatialHash';
+import { CIRC } from './const';
+import { shapeCenter, shapePoints } from './query';
+
+/**
+ * Colors of collision groups, by index of the lowest group bit.
+ * @type {Array<Number>}
+ * @private
+ */
+const GROUP_COLORS = [
+  0x29adff, 0xff004d, 0x00e436, 0xffa300,
+  0xff77a8, 0xffec27, 0x83769c, 0xab5236,
+];
+
+/**
+ * Temp points of shapes and tiles.
+ * @type {Array<Vector>}
+ * @private
+ */
+const POINTS = [];
+const TILE_POINTS = [Vector.create(), Vector.create(), Vector.create(), Vector.create()];
+const CENTER = Vector.create();
+
+/**
+ * Get debug color of a collision group.
+ * @param  {Number} group Collision group mask
+ * @return {Number}       Color
+ * @private
+ */
+function groupColor(group) {
+  if (!group) {
+    return 0xffffff;
+  }
+  return GROUP_COLORS[(31 - Math.clz32(group & -group)) % GROUP_COLORS.length];
+}
+
+/**
+ * Debug overlay of the physics system. Draws shapes of colliders
+ * (color-coded by collision group), bounds, velocities, contacts, tiles
+ * of the collision map and cells of the spatial hash, with stats of
+ * current step on screen.
+ *
+ * Add it after `Physics` and `Gfx`, it redraws after each physics step.
+ *
+ * @example
+ * import DebugDraw from 'engine/physics/DebugDraw';
+ *
+ * game
+ *   .addSystem(new Physics())
+ *   .addSystem(new Gfx())
+ *   .addSystem(new DebugDraw({
+ *     drawCells: true,
+ *     // Draw in world space of the camera
+ *     parent: game.sysGfx.layers.entity,
+ *   }));
+ *
+ * // Toggle with a key
+ * game.sysPhysicsDebug.toggle();
+ *
+ * @class DebugDraw
+ */
+export default class DebugDraw extends System {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to be merged in.
+   */
+  constructor(settings) {
+    super();
+
+    this.name = 'PhysicsDebug';
+
+    /**
+     * Container to draw colliders into, root of `Gfx` by default.
+     * @type {Node}
+     */
+    this.parent = null;
+    /**
+     * Container to show stats in, root of `Gfx` by default.
+     * @type {Node}
+     */
+    this.statsParent = null;
+
+    /**
+     * Whether to draw shapes of colliders.
+     * @type {Boolean}
+     * @default true
+     */
+    this.drawShapes = true;
+    /**
+     * Whether to draw bounds of colliders.
+     * @type {Boolean}
+     * @default false
+     */
+    this.drawBounds = false;
+    /**
+     * Whether to draw velocities of colliders.
+     * @type {Boolean}
+     * @default true
+     */
+    this.drawVelocity = true;
+    /**
+     * Whether to draw contact points and normals.
+     * @type {Boolean}
+     * @default true
+     */
+    this.drawContacts = true;
+    /**
+     * Whether to draw tiles of the collision map.
+     * @type {Boolean}
+     * @default true
+     */
+    this.drawMap = true;
+    /**
+     * Whether to draw occupied cells of the spatial hash.
+     * @type {Boolean}
+     * @default false
+     */
+    this.drawCells = false;
+    /**
+     * Whether to show stats of the physics system.
+     * @type {Boolean}
+     * @default true
+     */
+    this.showStats = true;
+    /**
+     * Length of velocity lines, in second of movement.
+     * @type {Number}
+     * @default 0.1
+     */
+    this.velocityScale = 0.1;
+
+    /**
+     * Graphics of colliders, contacts and cells.
+     * @type {Graphics}
+     * @private
+     */
+    this.graphics = null;
+    /**
+     * Graphics of the collision map, only redrawn when the map changes.
+     * @type {Graphics}
+     * @private
+     */
+    this.mapGraphics = null;
+    /**
+     * Text of stats.
+     * @type {Text}
+     * @private
+     */
+    this.statsText = null;
+    /**
+     * Collision map that is drawn.
+     * @type {CollisionMap}
+     * @private
+     */
+    this.drawnMap = null;
+    /**
+     * Version of the collision map that is drawn.
+     * @type {Number}
+     * @private
+     */
+    this.drawnVersion = -1;
+
+    /**
+     * Whether the overlay is visible.
+     * @type {Boolean}
+     * @private
+     */
+    this._visible = true;
+
+    this.setup(settings);
+  }
+
+  /**
+   * Whether the overlay is visible.
+   * @type {Boolean}
+   */
+  get visible() {
+    return this._visible;
+  }
+  set visible(v) {
+    this._visible = v;
+
+    if (this.graphics) {
+      this.graphics.visible = this.mapGraphics.visible = v;
+      this.statsText.visible = v && this.showStats;
+
+      if (v) {
+        this.redraw();
+      }
+    }
+  }
+
+  /**
+   * Setup this system with setting object.
+   * @memberof DebugDraw#
+   * @method setup
+   * @param {Object} settings Setting object.
+   */
+  setup(settings) {
+    for (let k in settings) {
+      switch (k) {
+        // Value
+        case 'parent':
+        case 'statsParent':
+        case 'drawShapes':
+        case 'drawBounds':
+        case 'drawVelocity':
+        case 'drawContacts':
+        case 'drawMap':
+        case 'drawCells':
+        case 'showStats':
+        case 'velocityScale':
+          this[k] = settings[k];
+          break;
+
+        case 'visible':
+          this.visible = settings.visible;
+          break;
+      }
+    }
+  }
+
+  /**
+   * Show or hide the overlay.
+   * @memberof DebugDraw#
+   * @method toggle
+   * @return {DebugDraw} Self for chaining
+   */
+  toggle() {
+    this.visible = !this.visible;
+    return this;
+  }
+
+  /**
+   * Awake callback, creates the overlay.
+   * @memberof DebugDraw#
+   * @method awake
+   */
+  awake() {
+    if (this.graphics) {
+      return;
+    }
+
+    const gfx = this.game.systems.Gfx;
+    if (!gfx) {
+      console.log('[WARNING]: Physics debug draw requires the "Gfx" system!');
+      return;
+    }
+
+    const parent = this.parent || gfx.root;
+    this.mapGraphics = Graphics({}).addTo(parent);
+    this.mapGraphics.clear();
+    this.graphics = Graphics({}).addTo(parent);
+    this.graphics.clear();
+    this.statsText = Text({
+      text: ' ',
+      font: '10px monospace',
+      fill: '#ffffff',
+      position: { x: 2, y: 2 },
+    }).addTo(this.statsParent || gfx.root);
+
+    this.visible = this._visible;
+  }
+
+  /**
+   * Fixed update callback, redraws after the physics step.
+   * @memberof DebugDraw#
+   * @method fixedUpdate
+   */
+  fixedUpdate() {
+    if (this._visible) {
+      this.redraw();
+    }
+  }
+
+  /**
+   * Redraw the overlay.
+   * @memberof DebugDraw#
+   * @method redraw
+   */
+  redraw() {
+    const physics = this.game && this.game.systems.Physics;
+    if (!this.graphics || !physics) {
+      return;
+    }
+
+    const g = this.graphics;
+    g.clear();
+
+    // Collision map is cached
+    if (!this.drawMap) {
+      this.mapGraphics.clear();
+      this.drawnMap = null;
+    }
+    else if (this.drawnMap !== physics.collisionMap || (this.drawnMap && this.drawnVersion !== this.drawnMap.version)) {
+      this.redrawMap();
+    }
+
+    if (this.drawCells && physics.broadphase instanceof SpatialHash) {
+      this.drawHashCells(physics.broadphase);
+    }
+
+    let i, coll;
+    for (i = 0; i < physics.colliders.length; i++) {
+      coll = physics.colliders[i];
+      if (coll.isRemoved || !coll.shape) {
+        continue;
+      }
+
+      if (this.drawBounds) {
+        g.lineStyle(1, 0xffffff, 0.3);
+        g.drawRect(coll.left, coll.top, coll.right - coll.left, coll.bottom - coll.top);
+      }
+
+      if (this.drawShapes) {
+        this.drawCollider(coll);
+      }
+
+      if (this.drawVelocity && (coll.velocity.x !== 0 || coll.velocity.y !== 0)) {
+        g.lineStyle(1, 0xffffff, 0.8);
+        g.moveTo(coll.position.x, coll.position.y);
+        g.lineTo(
+          coll.position.x + coll.velocity.x * this.velocityScale,
+          coll.position.y + coll.velocity.y * this.velocityScale
+        );
+      }
+    }
+
+    let key, contact, contactCount = 0, x, y;
+    for (key in physics.contacts) {
+      contact = physics.contacts[key];
+      if (contact.step !== physics.stepCount) {
+        continue;
+      }
+      contactCount++;
+
+      if (!this.drawContacts) {
+        continue;
+      }
+
+      // Center of the overlapping bounds
+      x = (Math.max(contact.a.left, contact.b.left) + Math.min(contact.a.right, contact.b.right)) * 0.5;
+      y = (Math.max(contact.a.top, contact.b.top) + Math.min(contact.a.bottom, contact.b.bottom)) * 0.5;
+
+      g.lineStyle(1, 0xff004d, 1);
+      g.drawCircle(x, y, 1.5);
+      g.moveTo(x, y);
+      g.lineTo(x + contact.normal.x * 8, y + contact.normal.y * 8);
+    }
+
+    this.statsText.visible = this.showStats;
+    if (this.showStats) {
+      this.statsText.text = `colliders: ${physics.colliders.length}\nchecks: ${physics.collisionChecks}\ncontacts: ${contactCount}\njoints: ${physics.joints.length}`;
+    }
+  }
+
+  /**
+   * Redraw tiles of the collision map. Tiles set with `setTile` or
+   * `setTileAt` are redrawn automatically, call this after changing
+   * `data` of the map directly.
+   * @memberof DebugDraw#
+   * @method redrawMap
+   */
+  redrawMap() {
+    const physics = this.game && this.game.systems.Physics;
+    if (!this.mapGraphics || !physics) {
+      return;
+    }
+
+    const g = this.mapGraphics;
+    const map = physics.collisionMap;
+
+    g.clear();
+    this.drawnMap = map;
+    this.drawnVersion = map ? map.version : -1;
+    if (!map) {
+      return;
+    }
+
+    let r, q, def;
+    for (r = 0; r < map.height; r++) {
+      for (q = 0; q < map.width; q++) {
+        def = map.tileDef[map.getTile(r, q)];
+        if (!def || !map.tilePoints(def, r, q, TILE_POINTS)) {
+          continue;
+        }
+
+        // One-way and trigger tiles are lighter
+        g.lineStyle(1, 0xc2c3c7, 0.6);
+        g.beginFill(0xc2c3c7, (def.solid || def.slope) ? 0.3 : 0.1);
+        g.drawPolygon(TILE_POINTS);
+        g.endFill();
+      }
+    }
+  }
+
+  /**
+   * Draw shapes of a collider.
+   * @memberof DebugDraw#
+   * @method drawCollider
+   * @param {Collider} coll Collider to draw
+   * @private
+   */
+  drawCollider(coll) {
+    const g = this.graphics;
+    const color = groupColor(coll.collisionGroup);
+
+    // Sensors are not filled
+    g.lineStyle(1, color, 1);
+    if (!coll.isSensor) {
+      g.beginFill(color, coll.isStatic ? 0.1 : 0.25);
+    }
+
+    let i, shape, count;
+    for (i = 0; i < (coll.shapes.length || 1); i++) {
+      shape = (coll.shapes.length > 0) ? coll.shapes[i] : coll.shape;
+
+      if (shape.type === CIRC) {
+        shapeCenter(shape, coll.position, CENTER);
+        g.drawCircle(CENTER.x, CENTER.y, shape.radius);
+
+        // Show rotation of circles
+        g.moveTo(CENTER.x, CENTER.y);
+        g.lineTo(
+          CENTER.x + Math.cos(shape.rotation) * shape.radius,
+          CENTER.y + Math.sin(shape.rotation) * shape.radius
+        );
+      }
+      else {
+        count = shapePoints(shape, coll.position, POINTS);
+        g.drawPolygon(POINTS.slice(0, count));
+      }
+    }
+
+    if (!coll.isSensor) {
+      g.endFill();
+    }
+  }
+
+  /**
+   * Draw cells of a spatial hash that have colliders inside.
+   * @memberof DebugDraw#
+   * @method drawHashCells
+   * @param {SpatialHash} hash Spatial hash to draw
+   * @private
+   */
+  drawHashCells(hash) {
+    const g = this.graphics;
+    const size = 1 << hash.shift;
+
+    g.lineStyle(1, 0x1d2b53, 0.8);
+
+    let i, cell;
+    for (i = 0; i < hash.cellList.length; i++) {
+      cell = hash.cellList[i];
+      g.drawRect(cell.x * size, cell.y * size, size, size);
+    }
+  }
+}
@@ -0,0 +1,335 @@
+import Vector from 'engine/Vector';
+
+/**
+ * Temp world positions of the anchors.
+ * @type {Vector}
+ * @private
+ */
+const ANCHOR_A = Vector.create();
+const ANCHOR_B = Vector.create();
+
+/**
+ * Joint constrains 2 colliders, or a collider and a point in the world.
+ * Joints are solved by `Physics` in each step after colliders moved.
+ *
+ * Types of joints:
+ * - `Distance`: keeps anchors at `length` away
+ * - `Spring`: pulls anchors back to `length` with `stiffness` and `damping`
+ * - `Rope`: keeps anchors no more than `length` away
+ * - `Pin`: keeps anchors at the same point
+ *
+ * @example <caption>Swinging grapple</caption>
+ * import Joint from 'engine/physics/Joint';
+ *
+ * Joint({
+ *   type: 'Rope',
+ *   a: player.coll,
+ *   // Hook at a point in the world
+ *   anchorB: { x: 200, y: 40 },
+ * }).addTo(physics);
+ *
+ * @example <caption>Chain of colliders</caption>
+ * for (let i = 1; i < links.length; i++) {
+ *   Joint({
+ *     type: 'Distance',
+ *     a: links[i - 1],
+ *     b: links[i],
+ *     length: 12,
+ *   }).addTo(physics);
+ * }
+ *
+ * @class Joint
+ */
+export class Joint {
+  /**
+   * @constructor
+   * @param {object} [properties] Settings to merge.
+   */
+  constructor(properties) {
+    /**
+     * Type of this joint, `Distance`, `Spring`, `Rope` or `Pin`.
+     * @type {string}
+     * @default 'Distance'
+     */
+    this.type = 'Distance';
+    /**
+     * First collider.
+     * @type {Collider}
+     */
+    this.a = null;
+    /**
+     * Second collider, the joint is attached to `anchorB` in world
+     * space when this is `null`.
+     * @type {Collider}
+     */
+    this.b = null;
+    /**
+     * Anchor point on the first collider, relative to its position,
+     * rotates with the collider.
+     * @type {Vector}
+     */
+    this.anchorA = Vector.create();
+    /**
+     * Anchor point on the second collider(relative to its position,
+     * rotates with the collider), or in world space when `b` is not set.
+     * @type {Vector}
+     */
+    this.anchorB = Vector.create();
+    /**
+     * Rest length, set to current distance of the anchors when it's
+     * negative while adding to the world.
+     * @type {number}
+     * @default -1
+     */
+    this.length = -1;
+    /**
+     * Stiffness of `Spring` joint, larger is stronger.
+     * @type {number}
+     * @default 100
+     */
+    this.stiffness = 100;
+    /**
+     * Damping of `Spring` joint, how fast it stops oscillating.
+     * @type {number}
+     * @default 1
+     */
+    this.damping = 1;
+    /**
+     * Joint's parent world.
+     * @type {SystemPhysics}
+     */
+    this.world = null;
+    /**
+     * Whether this joint is removed from the world.
+     * @type {boolean}
+     */
+    this.isRemoved = false;
+
+    this.setup(properties);
+  }
+
+  /**
+   * Add this joint to the world.
+   * @memberof Joint#
+   * @method addTo
+   * @param {SystemPhysics} world   Physics system instance to add to
+   * @return {Joint}                Self for chaining
+   */
+  addTo(world) {
+    world.addJoint(this);
+    return this;
+  }
+
+  /**
+   * Remove joint from it's world.
+   * @memberof Joint#
+   * @method remove
+   */
+  remove() {
+    if (this.world) {
+      this.world.removeJoint(this);
+    }
+  }
+
+  /**
+   * Setup this joint with settings.
+   * @memberof Joint#
+   * @method setup
+   * @param {Object} settings Setting object.
+   * @return {Joint}          Self for chaining
+   */
+  setup(settings) {
+    for (let k in settings) {
+      switch (k) {
+        // Set value
+        case 'type':
+        case 'a':
+        case 'b':
+        case 'length':
+        case 'stiffness':
+        case 'damping':
+          this[k] = settings[k];
+          break;
+
+        // Set vector
+        case 'anchorA':
+        case 'anchorB':
+          this[k].x = settings[k].x || 0;
+          this[k].y = settings[k].y || 0;
+          break;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Calculate the current distance between the anchors.
+   * @memberof Joint#
+   * @method getDistance
+   * @return {number} Distance
+   */
+  getDistance() {
+    this.updateAnchors();
+    return ANCHOR_A.distance(ANCHOR_B);
+  }
+
+  /**
+   * Apply spring force, called once each step.
+   * @memberof Joint#
+   * @method applyForce
+   * @param {number} delta Delta time in second
+   */
+  applyForce(delta) {
+    if (this.type !== 'Spring') {return;}
+
+    const invMassA = inverseMass(this.a);
+    const invMassB = inverseMass(this.b);
+    if (invMassA + invMassB === 0) {return;}
+
+    this.updateAnchors();
+
+    let nx = ANCHOR_B.x - ANCHOR_A.x;
+    let ny = ANCHOR_B.y - ANCHOR_A.y;
+    const dist = Math.sqrt(nx * nx + ny * ny);
+    if (dist === 0) {return;}
+    nx /= dist;
+    ny /= dist;
+
+    // Hooke's law with damping along the spring
+    const vn = relativeVelocity(this.a, this.b, nx, ny);
+    const force = this.stiffness * (dist - this.length) + this.damping * vn;
+
+    if (invMassA > 0) {
+      this.a.velocity.x += nx * force * invMassA * delta;
+      this.a.velocity.y += ny * force * invMassA * delta;
+    }
+    if (invMassB > 0) {
+      this.b.velocity.x -= nx * force * invMassB * delta;
+      this.b.velocity.y -= ny * force * invMassB * delta;
+    }
+  }
+
+  /**
+   * Move the colliders to satisfy this joint, and remove the
+   * velocity breaking it. Called several times each step.
+   * @memberof Joint#
+   * @method solve
+   */
+  solve() {
+    if (this.type === 'Spring') {return;}
+
+    const invMassA = inverseMass(this.a);
+    const invMassB = inverseMass(this.b);
+    if (invMassA + invMassB === 0) {return;}
+
+    this.updateAnchors();
+
+    let nx = ANCHOR_B.x - ANCHOR_A.x;
+    let ny = ANCHOR_B.y - ANCHOR_A.y;
+    const dist = Math.sqrt(nx * nx + ny * ny);
+    const length = (this.type === 'Pin') ? 0 : this.length;
+
+    // Rope is slack
+    if (this.type === 'Rope' && dist <= length) {return;}
+    if (dist === 0) {return;}
+    nx /= dist;
+    ny /= dist;
+
+    // Move by inverse mass ratio
+    const error = dist - length;
+    const shareA = invMassA / (invMassA + invMassB);
+    const shareB = 1 - shareA;
+
+    if (invMassA > 0) {
+      this.a.position.x += nx * error * shareA;
+      this.a.position.y += ny * error * shareA;
+    }
+    if (invMassB > 0) {
+      this.b.position.x -= nx * error * shareB;
+      this.b.position.y -= ny * error * shareB;
+    }
+
+    // Remove velocity along the joint, rope only stops stretching
+    const vn = relativeVelocity(this.a, this.b, nx, ny);
+    if (this.type === 'Rope' && vn <= 0) {return;}
+
+    if (invMassA > 0) {
+      this.a.velocity.x += nx * vn * shareA;
+      this.a.velocity.y += ny * vn * shareA;
+    }
+    if (invMassB > 0) {
+      this.b.velocity.x -= nx * vn * shareB;
+      this.b.velocity.y -= ny * vn * shareB;
+    }
+  }
+
+  /**
+   * Calculate world positions of the anchors.
+   * @memberof Joint#
+   * @method updateAnchors
+   * @private
+   */
+  updateAnchors() {
+    anchorToWorld(this.a, this.anchorA, ANCHOR_A);
+    if (this.b) {
+      anchorToWorld(this.b, this.anchorB, ANCHOR_B);
+    }
+    else {
+      ANCHOR_B.copy(this.anchorB);
+    }
+  }
+}
+
+/**
+ * Get inverse mass of a collider for joints. Colliders without mass
+ * are treated as 1, static colliders or world points never move.
+ * @param  {Collider} coll  Collider
+ * @return {number}         Inverse mass
+ * @private
+ */
+function inverseMass(coll) {
+  if (!coll || coll.isStatic) {
+    return 0;
+  }
+  return (coll.mass > 0) ? 1 / coll.mass : 1;
+}
+
+/**
+ * Get velocity of b relative to a along an axis.
+ * @param  {Collider} a   First collider
+ * @param  {Collider} [b] Second collider
+ * @param  {number} nx    X of the axis
+ * @param  {number} ny    Y of the axis
+ * @return {number}       Relative velocity
+ * @private
+ */
+function relativeVelocity(a, b, nx, ny) {
+  let vx = -a.velocity.x, vy = -a.velocity.y;
+  if (b) {
+    vx += b.velocity.x;
+    vy += b.velocity.y;
+  }
+  return vx * nx + vy * ny;
+}
+
+/**
+ * Transform an anchor of a collider to world space.
+ * @param  {Collider} coll  Collider
+ * @param  {Vector} anchor  Anchor relative to the collider
+ * @param  {Vector} out     Vector to save result to
+ * @return {Vector}         The result
+ * @private
+ */
+function anchorToWorld(coll, anchor, out) {
+  const rotation = coll.shape ? coll.shape.rotation : 0;
+  out.copy(anchor);
+  if (rotation) {
+    out.rotate(rotation);
+  }
+  return out.add(coll.position.x, coll.position.y);
+}
+
+export default function(settings) {
+  return new Joint(settings);
+}
@@ -79,12 +79,31 @@ class Response {
  *
  * Set `physics.solver` to `'SAT'` to enable.
  *
+ * Colliders with `isRigidBody` set also get impulse based response:
+ * they bounce(`restitution`), slide with `friction`, spin
+ * (`angularVelocity`, `inertia`) and are pushed apart by their `mass`
+ * ratio. Rigid bodies need a `mass` larger than 0 to be moved by
+ * impulses.
+ *
  * @class SATSolver
  * @constructor
  */
 export default class SATSolver {
   constructor() {
     this.res = new Response();
+    /**
+     * Rigid bodies hitting slower than this(pixel per second) will
+     * not bounce, keeps resting bodies from jittering.
+     * @type {Number}
+     * @default 20
+     */
+    this.bounceThreshold = 20;
+    /**
+     * Normal of the last hit response, from first collider to the
+     * second one.
+     * @type {Vector}
+     */
+    this.normal = new Vector();
   }
   /**
    * Hit test a versus b.
@@ -139,6 +158,14 @@ export default class SATSolver {
    * @param  {boolean} BvsA
    */
   hitResponse(a, b, AvsB, BvsA) {
+    this.normal.copy(this.res.overlapN);
+    if (a !== this.res.a) {
+      this.normal.reverse();
+    }
+
+    // Sensors only report contacts
+    if (a.isSensor || b.isSensor) {return;}
+
     // Make sure a and b are not reversed
     var uniqueA = (a === this.res.a ? a : b),
       uniqueB = (b === this.res.b ? b : a);
@@ -155,6 +182,11 @@ export default class SATSolver {
       responseToB = uniqueB.collide(uniqueA, this.res);
     }
 
+    // Change velocities of rigid bodies
+    if ((responseToA && uniqueA.isRigidBody) || (responseToB && uniqueB.isRigidBody)) {
+      this.applyImpulse(uniqueA, uniqueB, responseToA, responseToB);
+    }
+
     // Only apply response to A if it wants to
     if (responseToA && !responseToB) {
       uniqueA.position.subtract(this.res.overlapV);
@@ -167,13 +199,99 @@ export default class SATSolver {
     }
     // Apply response to both A and B
     else if (responseToA && responseToB) {
-      this.res.overlapV.multiply(0.5);
-      uniqueA.position.subtract(this.res.overlapV);
-      uniqueB.position.add(this.res.overlapV);
+      // Rigid bodies are pushed apart by mass ratio
+      var ratio = 0.5;
+      if (uniqueA.isRigidBody && uniqueB.isRigidBody) {
+        var invMassA = inverseMass(uniqueA), invMassB = inverseMass(uniqueB);
+        if (invMassA + invMassB > 0) {
+          ratio = invMassA / (invMassA + invMassB);
+        }
+      }
+
+      var overlapV = T_VECTORS.pop().copy(this.res.overlapV);
+      uniqueA.position.subtract(overlapV.multiply(ratio));
+      uniqueB.position.add(overlapV.copy(this.res.overlapV).multiply(1 - ratio));
+      T_VECTORS.push(overlapV);
+
       uniqueA.afterCollide(uniqueB);
       uniqueB.afterCollide(uniqueA);
     }
   }
+
+  /**
+   * Apply collision impulse to rigid bodies, from the last hit test
+   * result. Colliders not receiving response are treated as
+   * immovable.
+   * @memberof SATSolver#
+   * @param  {Collider} a               First collider
+   * @param  {Collider} b               Second collider
+   * @param  {boolean} responseToA      Whether first collider receives response
+   * @param  {boolean} responseToB      Whether second collider receives response
+   * @private
+   */
+  applyImpulse(a, b, responseToA, responseToB) {
+    var invMassA = (responseToA && a.isRigidBody) ? inverseMass(a) : 0;
+    var invMassB = (responseToB && b.isRigidBody) ? inverseMass(b) : 0;
+    var invInertiaA = (invMassA > 0) ? inverseInertia(a) : 0;
+    var invInertiaB = (invMassB > 0) ? inverseInertia(b) : 0;
+
+    if (invMassA + invMassB === 0) {
+      return;
+    }
+
+    var n = this.res.overlapN;
+    var point = contactPoint(a, b, this.res, T_VECTORS.pop());
+
+    var rAx = point.x - a.position.x, rAy = point.y - a.position.y;
+    var rBx = point.x - b.position.x, rBy = point.y - b.position.y;
+    T_VECTORS.push(point);
+
+    // Relative velocity at the contact point
+    var rvx = (b.velocity.x - b.angularVelocity * rBy) - (a.velocity.x - a.angularVelocity * rAy);
+    var rvy = (b.velocity.y + b.angularVelocity * rBx) - (a.velocity.y + a.angularVelocity * rAx);
+    var vn = rvx * n.x + rvy * n.y;
+
+    // Pass: already moving apart
+    if (vn > 0) {
+      return;
+    }
+
+    // Normal impulse
+    var rAn = rAx * n.y - rAy * n.x;
+    var rBn = rBx * n.y - rBy * n.x;
+    var e = (-vn > this.bounceThreshold) ? Math.max(a.restitution, b.restitution) : 0;
+    var j = -(1 + e) * vn / (invMassA + invMassB + rAn * rAn * invInertiaA + rBn * rBn * invInertiaB);
+
+    applyBodyImpulse(a, -j * n.x, -j * n.y, rAx, rAy, invMassA, invInertiaA);
+    applyBodyImpulse(b, j * n.x, j * n.y, rBx, rBy, invMassB, invInertiaB);
+
+    // Friction impulse, along the tangent of relative velocity
+    var mu = Math.sqrt(a.friction * b.friction);
+    if (mu <= 0) {
+      return;
+    }
+
+    rvx = (b.velocity.x - b.angularVelocity * rBy) - (a.velocity.x - a.angularVelocity * rAy);
+    rvy = (b.velocity.y + b.angularVelocity * rBx) - (a.velocity.y + a.angularVelocity * rAx);
+    vn = rvx * n.x + rvy * n.y;
+
+    var tx = rvx - n.x * vn, ty = rvy - n.y * vn;
+    var tLen = Math.sqrt(tx * tx + ty * ty);
+    if (tLen === 0) {
+      return;
+    }
+    tx /= tLen;
+    ty /= tLen;
+
+    var rAt = rAx * ty - rAy * tx;
+    var rBt = rBx * ty - rBy * tx;
+    var jt = -(rvx * tx + rvy * ty) / (invMassA + invMassB + rAt * rAt * invInertiaA + rBt * rBt * invInertiaB);
+    // Coulomb's law
+    jt = Math.max(-j * mu, Math.min(j * mu, jt));
+
+    applyBodyImpulse(a, -jt * tx, -jt * ty, rAx, rAy, invMassA, invInertiaA);
+    applyBodyImpulse(b, jt * tx, jt * ty, rBx, rBy, invMassB, invInertiaB);
+  }
 }
 
 // Helper Functions ------------------------------------
@@ -565,6 +683,133 @@ function testPolygonPolygon(a, b, response) {
   return true;
 }
 
+/**
+ * Get inverse mass of a collider, 0 for static or massless ones.
+ * @private
+ * @param {Collider} coll Collider
+ * @return {number} Inverse mass
+ */
+function inverseMass(coll) {
+  return (coll.isStatic || coll.mass <= 0) ? 0 : 1 / coll.mass;
+}
+
+/**
+ * Get inverse moment of inertia of a collider. When its `inertia` is 0,
+ * it is calculated from the shape(bounding box for polygons).
+ * @private
+ * @param {Collider} coll Collider
+ * @return {number} Inverse inertia
+ */
+function inverseInertia(coll) {
+  var inertia = coll.inertia;
+  if (inertia === 0) {
+    if (coll.shape.type === CIRC) {
+      inertia = coll.mass * coll.shape.radius * coll.shape.radius * 0.5;
+    }
+    else {
+      inertia = coll.mass * (coll.shape.width * coll.shape.width + coll.shape.height * coll.shape.height) / 12;
+    }
+  }
+  return (inertia > 0) ? 1 / inertia : 0;
+}
+
+/**
+ * Apply an impulse to a collider at a point.
+ * @private
+ * @param {Collider} coll       Collider
+ * @param {number} jx           X of the impulse
+ * @param {number} jy           Y of the impulse
+ * @param {number} rx           X of the point, relative to collider position
+ * @param {number} ry           Y of the point, relative to collider position
+ * @param {number} invMass      Inverse mass of the collider
+ * @param {number} invInertia   Inverse inertia of the collider
+ */
+function applyBodyImpulse(coll, jx, jy, rx, ry, invMass, invInertia) {
+  if (invMass === 0) {
+    return;
+  }
+  coll.velocity.x += jx * invMass;
+  coll.velocity.y += jy * invMass;
+  coll.angularVelocity += (rx * jy - ry * jx) * invInertia;
+}
+
+/**
+ * Find support of a collider along an axis: range of its
+ * deepest points on the perpendicular axis.
+ * @private
+ * @param {Collider} coll   Collider
+ * @param {Vector} n        Axis to find deepest points along
+ * @param {Vector} t        Perpendicular axis
+ * @param {array<number>} result  After calling this function, result[0]
+ *   and result[1] will be the range on `t`, result[2] the depth on `n`
+ * @return {array<number>} The result
+ */
+function findSupport(coll, n, t, result) {
+  var pos = coll.position;
+
+  if (coll.shape.type === CIRC) {
+    var x = pos.x + n.x * coll.shape.radius;
+    var y = pos.y + n.y * coll.shape.radius;
+    result[0] = result[1] = x * t.x + y * t.y;
+    result[2] = x * n.x + y * n.y;
+    return result;
+  }
+
+  var points = coll.shape.calcPoints;
+  var len = points.length;
+  var i, d, max = -Number.MAX_VALUE;
+  for (i = 0; i < len; i++) {
+    d = (points[i].x + pos.x) * n.x + (points[i].y + pos.y) * n.y;
+    if (d > max) { max = d; }
+  }
+
+  // Points close enough to the deepest one make a face
+  result[0] = +Number.MAX_VALUE;
+  result[1] = -Number.MAX_VALUE;
+  result[2] = max;
+  for (i = 0; i < len; i++) {
+    d = (points[i].x + pos.x) * n.x + (points[i].y + pos.y) * n.y;
+    if (d >= max - 0.5) {
+      d = (points[i].x + pos.x) * t.x + (points[i].y + pos.y) * t.y;
+      if (d < result[0]) { result[0] = d; }
+      if (d > result[1]) { result[1] = d; }
+    }
+  }
+  return result;
+}
+
+/**
+ * Approximate the contact point of 2 overlapping colliders: middle of
+ * the overlapping part of their touching faces.
+ * @private
+ * @param {Collider} a          First collider
+ * @param {Collider} b          Second collider
+ * @param {Response} response   Hit test result of a and b
+ * @param {Vector} out          Vector to save the point to
+ * @return {Vector} The point
+ */
+function contactPoint(a, b, response, out) {
+  var n = response.overlapN;
+  var t = T_VECTORS.pop().copy(n).perp();
+  var reversed = T_VECTORS.pop().copy(n).reverse();
+  var supportA = findSupport(a, n, t, T_ARRAYS.pop());
+  var supportB = findSupport(b, reversed, t, T_ARRAYS.pop());
+
+  var start = Math.max(supportA[0], supportB[0]);
+  var end = Math.min(supportA[1], supportB[1]);
+  var along = (start <= end) ? (start + end) * 0.5 : (supportA[0] + supportA[1] + supportB[0] + supportB[1]) * 0.25;
+  var depth = (supportA[2] - supportB[2]) * 0.5;
+
+  out.set(t.x * along + n.x * depth, t.y * along + n.y * depth);
+
+  T_VECTORS.push(t);
+  T_VECTORS.push(reversed);
+  T_ARRAYS.push(supportA);
+  T_ARRAYS.push(supportB);
+
+  return out;
+}
+
 // Object Pools -----------------------------------------
 
 let i = 0;
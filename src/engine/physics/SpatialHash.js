@@ -0,0 +1,309 @@
+import { removeItems } from 'engine/utils/array';
+
+/**
+ * Pool of cell objects.
+ * @type {Array<Object>}
+ * @private
+ */
+const CELL_POOL = [];
+const getCell = (x, y) => {
+  let cell = CELL_POOL.pop();
+  if (!cell) {
+    cell = { x: 0, y: 0, index: -1, colliders: [] };
+  }
+  cell.x = x;
+  cell.y = y;
+  return cell;
+};
+const putCell = (cell) => {
+  cell.colliders.length = 0;
+  cell.index = -1;
+  CELL_POOL.push(cell);
+};
+
+/**
+ * Get integer key of a cell, cells from -32768 to 32767 are supported.
+ * @param  {Number} x Column of the cell
+ * @param  {Number} y Row of the cell
+ * @return {Number}   Key of the cell
+ * @private
+ */
+function cellKey(x, y) {
+  return ((x & 0xFFFF) << 16) | (y & 0xFFFF);
+}
+
+/**
+ * Whether bounds of 2 colliders overlap(or touch).
+ * @param  {Collider} a First collider
+ * @param  {Collider} b Second collider
+ * @return {Boolean}
+ * @private
+ */
+function boundsOverlap(a, b) {
+  return !(a.bottom < b.top || a.top > b.bottom || a.left > b.right || a.right < b.left);
+}
+
+/**
+ * Persistent spatial hash broadphase. Colliders are kept in grid
+ * cells between steps, and only move to other cells when their
+ * bounds change.
+ *
+ * This is the default broadphase of `Physics`.
+ *
+ * @class SpatialHash
+ */
+export default class SpatialHash {
+  /**
+   * @constructor
+   * @param {Number} [shift=5] Cell size shift factor, cells are `1 << shift` pixels
+   */
+  constructor(shift = 5) {
+    /**
+     * Cell size shift factor (larger number = less division)
+     * @type {Number}
+     */
+    this.shift = shift;
+    /**
+     * Cells of the grid(`{ x, y, colliders }`) by cell key.
+     * @type {Object}
+     * @private
+     */
+    this.cells = {};
+    /**
+     * Cells that have colliders inside, in a list for fast iterating.
+     * @type {Array<Object>}
+     * @private
+     */
+    this.cellList = [];
+    /**
+     * Cell range of each collider by its ID.
+     * @type {Object}
+     * @private
+     */
+    this.proxies = {};
+  }
+
+  /**
+   * Insert a collider or update its cells after it moved.
+   * @memberof SpatialHash#
+   * @method update
+   * @param {Collider} coll Collider to update
+   */
+  update(coll) {
+    const sx = coll.left >> this.shift;
+    const sy = coll.top >> this.shift;
+    const ex = coll.right >> this.shift;
+    const ey = coll.bottom >> this.shift;
+
+    let proxy = this.proxies[coll.id];
+    if (proxy) {
+      // Still inside the same cells
+      if (proxy.sx === sx && proxy.sy === sy && proxy.ex === ex && proxy.ey === ey) {
+        return;
+      }
+
+      this.removeFromCells(proxy);
+    }
+    else {
+      proxy = this.proxies[coll.id] = {
+        coll: coll,
+        sx: 0, sy: 0, ex: 0, ey: 0,
+      };
+    }
+
+    proxy.sx = sx;
+    proxy.sy = sy;
+    proxy.ex = ex;
+    proxy.ey = ey;
+
+    let x, y, key, cell;
+    for (y = sy; y <= ey; y++) {
+      for (x = sx; x <= ex; x++) {
+        key = cellKey(x, y);
+        cell = this.cells[key];
+        if (!cell) {
+          cell = this.cells[key] = getCell(x, y);
+          cell.index = this.cellList.length;
+          this.cellList.push(cell);
+        }
+        cell.colliders.push(coll);
+      }
+    }
+  }
+
+  /**
+   * Remove a collider.
+   * @memberof SpatialHash#
+   * @method remove
+   * @param {Collider} coll Collider to remove
+   */
+  remove(coll) {
+    const proxy = this.proxies[coll.id];
+    if (proxy) {
+      this.removeFromCells(proxy);
+      delete this.proxies[coll.id];
+    }
+  }
+
+  /**
+   * Remove all the colliders.
+   * @memberof SpatialHash#
+   * @method clear
+   */
+  clear() {
+    for (let i = 0; i < this.cellList.length; i++) {
+      putCell(this.cellList[i]);
+    }
+    this.cellList.length = 0;
+    this.cells = {};
+    this.proxies = {};
+  }
+
+  /**
+   * Find pairs of colliders whose bounds overlap, each pair is pushed
+   * into the list as 2 items. A pair is only reported by the top-left
+   * one of the cells both colliders are inside, so pairs sharing more
+   * than one cell are not reported twice.
+   * @memberof SpatialHash#
+   * @method findPairs
+   * @param {Array} out List to push pairs into
+   */
+  findPairs(out) {
+    const proxies = this.proxies;
+
+    let c, cell, group, i, j, a, b, pa, pb;
+    for (c = 0; c < this.cellList.length; c++) {
+      cell = this.cellList[c];
+      group = cell.colliders;
+
+      for (i = 0; i < group.length - 1; i++) {
+        a = group[i];
+        for (j = i + 1; j < group.length; j++) {
+          b = group[j];
+
+          if (!boundsOverlap(a, b)) {
+            continue;
+          }
+
+          // Pass: reported by another cell
+          pa = proxies[a.id];
+          pb = proxies[b.id];
+          if (Math.max(pa.sx, pb.sx) !== cell.x || Math.max(pa.sy, pb.sy) !== cell.y) {
+            continue;
+          }
+
+          out.push(a, b);
+        }
+      }
+    }
+  }
+
+  /**
+   * Find colliders whose bounds overlap(or touch) a rectangle, each
+   * collider is pushed into the list once.
+   * @memberof SpatialHash#
+   * @method query
+   * @param {Number} minX Left of the rectangle
+   * @param {Number} minY Top of the rectangle
+   * @param {Number} maxX Right of the rectangle
+   * @param {Number} maxY Bottom of the rectangle
+   * @param {Array<Collider>} out List to push colliders into
+   */
+  query(minX, minY, maxX, maxY, out) {
+    const sx = minX >> this.shift;
+    const sy = minY >> this.shift;
+    const ex = maxX >> this.shift;
+    const ey = maxY >> this.shift;
+
+    // Walk through the cells in use when there are fewer of them
+    if ((ex - sx + 1) * (ey - sy + 1) > this.cellList.length) {
+      for (let c = 0; c < this.cellList.length; c++) {
+        const cell = this.cellList[c];
+        if (cell.x >= sx && cell.x <= ex && cell.y >= sy && cell.y <= ey) {
+          this.queryCell(cell, sx, sy, minX, minY, maxX, maxY, out);
+        }
+      }
+      return;
+    }
+
+    let x, y, cell;
+    for (y = sy; y <= ey; y++) {
+      for (x = sx; x <= ex; x++) {
+        cell = this.cells[cellKey(x, y)];
+        if (cell) {
+          this.queryCell(cell, sx, sy, minX, minY, maxX, maxY, out);
+        }
+      }
+    }
+  }
+
+  /**
+   * Push colliders of a cell that overlap a rectangle. A collider is
+   * only reported by the top-left one of the cells it shares with the
+   * rectangle.
+   * @memberof SpatialHash#
+   * @method queryCell
+   * @param {Object} cell Cell to test
+   * @param {Number} sx   First column of the rectangle
+   * @param {Number} sy   First row of the rectangle
+   * @param {Number} minX Left of the rectangle
+   * @param {Number} minY Top of the rectangle
+   * @param {Number} maxX Right of the rectangle
+   * @param {Number} maxY Bottom of the rectangle
+   * @param {Array<Collider>} out List to push colliders into
+   * @private
+   */
+  queryCell(cell, sx, sy, minX, minY, maxX, maxY, out) {
+    const group = cell.colliders;
+
+    let i, coll, proxy;
+    for (i = 0; i < group.length; i++) {
+      coll = group[i];
+
+      if (coll.bottom < minY || coll.top > maxY || coll.left > maxX || coll.right < minX) {
+        continue;
+      }
+
+      // Pass: reported by another cell
+      proxy = this.proxies[coll.id];
+      if (Math.max(proxy.sx, sx) !== cell.x || Math.max(proxy.sy, sy) !== cell.y) {
+        continue;
+      }
+
+      out.push(coll);
+    }
+  }
+
+  /**
+   * Remove a collider from the cells it's inside.
+   * @memberof SpatialHash#
+   * @method removeFromCells
+   * @param {Object} proxy Cell range of the collider
+   * @private
+   */
+  removeFromCells(proxy) {
+    let x, y, key, cell, idx, last;
+    for (y = proxy.sy; y <= proxy.ey; y++) {
+      for (x = proxy.sx; x <= proxy.ex; x++) {
+        key = cellKey(x, y);
+        cell = this.cells[key];
+        idx = cell ? cell.colliders.indexOf(proxy.coll) : -1;
+        if (idx < 0) {
+          continue;
+        }
+
+        removeItems(cell.colliders, idx, 1);
+        if (cell.colliders.length === 0) {
+          // Move the last cell into its place
+          last = this.cellList.pop();
+          if (last !== cell) {
+            last.index = cell.index;
+            this.cellList[cell.index] = last;
+          }
+          delete this.cells[key];
+          putCell(cell);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,152 @@
+import { removeItems } from 'engine/utils/array';
+
+/**
+ * Sweep and prune broadphase. Colliders are kept sorted by their left
+ * edge, which hardly changes between steps, so sorting is cheap.
+ * Works best when colliders are spread along the x-axis, like side
+ * scrolling games.
+ *
+ * @class SweepAndPrune
+ */
+export default class SweepAndPrune {
+  /**
+   * @constructor
+   */
+  constructor() {
+    /**
+     * Colliders sorted by their left edge.
+     * @type {Array<Collider>}
+     * @private
+     */
+    this.list = [];
+    /**
+     * Whether a collider is in the list, by its ID.
+     * @type {Object}
+     * @private
+     */
+    this.added = {};
+  }
+
+  /**
+   * Insert a collider or update it after it moved.
+   * @memberof SweepAndPrune#
+   * @method update
+   * @param {Collider} coll Collider to update
+   */
+  update(coll) {
+    // Sorted later in `findPairs`
+    if (!this.added[coll.id]) {
+      this.added[coll.id] = true;
+      this.list.push(coll);
+    }
+  }
+
+  /**
+   * Remove a collider.
+   * @memberof SweepAndPrune#
+   * @method remove
+   * @param {Collider} coll Collider to remove
+   */
+  remove(coll) {
+    if (this.added[coll.id]) {
+      delete this.added[coll.id];
+      removeItems(this.list, this.list.indexOf(coll), 1);
+    }
+  }
+
+  /**
+   * Remove all the colliders.
+   * @memberof SweepAndPrune#
+   * @method clear
+   */
+  clear() {
+    this.list.length = 0;
+    this.added = {};
+  }
+
+  /**
+   * Find pairs of colliders whose bounds overlap, each pair is pushed
+   * into the list as 2 items.
+   * @memberof SweepAndPrune#
+   * @method findPairs
+   * @param {Array} out List to push pairs into
+   */
+  findPairs(out) {
+    const list = this.list;
+
+    this.sort();
+
+    // Sweep along x-axis
+    let i, j, a, b;
+    for (i = 0; i < list.length; i++) {
+      a = list[i];
+      for (j = i + 1; j < list.length; j++) {
+        b = list[j];
+
+        // Pass: rest ones are all on the right
+        if (b.left > a.right) {
+          break;
+        }
+
+        if (a.bottom < b.top || a.top > b.bottom) {
+          continue;
+        }
+
+        out.push(a, b);
+      }
+    }
+  }
+
+  /**
+   * Find colliders whose bounds overlap(or touch) a rectangle, each
+   * collider is pushed into the list once.
+   * @memberof SweepAndPrune#
+   * @method query
+   * @param {Number} minX Left of the rectangle
+   * @param {Number} minY Top of the rectangle
+   * @param {Number} maxX Right of the rectangle
+   * @param {Number} maxY Bottom of the rectangle
+   * @param {Array<Collider>} out List to push colliders into
+   */
+  query(minX, minY, maxX, maxY, out) {
+    const list = this.list;
+
+    this.sort();
+
+    let i, coll;
+    for (i = 0; i < list.length; i++) {
+      coll = list[i];
+
+      // Pass: rest ones are all on the right
+      if (coll.left > maxX) {
+        break;
+      }
+
+      if (coll.right < minX || coll.bottom < minY || coll.top > maxY) {
+        continue;
+      }
+
+      out.push(coll);
+    }
+  }
+
+  /**
+   * Sort the colliders by their left edge.
+   * @memberof SweepAndPrune#
+   * @method sort
+   * @private
+   */
+  sort() {
+    const list = this.list;
+
+    // Insertion sort, fast for almost sorted list
+    let i, j, a;
+    for (i = 1; i < list.length; i++) {
+      a = list[i];
+      for (j = i - 1; j >= 0 && list[j].left > a.left; j--) {
+        list[j + 1] = list[j];
+      }
+      list[j + 1] = a;
+    }
+  }
+}
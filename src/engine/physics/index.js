@@ -2,22 +2,269 @@ import System from 'engine/System';
 import Vector from 'engine/Vector';
 import { removeItems } from 'engine/utils/array';
 import { clamp } from 'engine/utils/math';
+import SpatialHash from './SpatialHash';
+import SweepAndPrune from './SweepAndPrune';
+import AABBTree from './AABBTree';
+import { BOX, CIRC } from './const';
+import { shapeCenter, shapePoints, rayPolygon, rayCircle, rayRoundedPolygon, convexHull, pointInPolygon, rectPolygon, circlePolygon } from './query';
 
-const Arrays = new Array(20);
-for (let i = 0; i < 20; i++) {
-  Arrays[i] = [];
+/**
+ * Broadphase classes by name.
+ * @type {Object}
+ * @private
+ */
+const BROADPHASES = {
+  SpatialHash: SpatialHash,
+  SweepAndPrune: SweepAndPrune,
+  AABBTree: AABBTree,
+};
+
+/**
+ * Pairs of colliders found by the broadphase.
+ * @type {Array<Collider>}
+ * @private
+ */
+const PAIRS = [];
+
+/**
+ * Colliders found by the broadphase for queries.
+ * @type {Array<Collider>}
+ * @private
+ */
+const CANDIDATES = [];
+
+/**
+ * Get integer key of a pair of colliders.
+ * @param  {Collider} a First collider
+ * @param  {Collider} b Second collider
+ * @return {Number}     Key of the pair
+ * @private
+ */
+function contactKey(a, b) {
+  return (a.id < b.id) ? (a.id * 0x4000000 + b.id) : (b.id * 0x4000000 + a.id);
 }
-const getArray = () => {
-  let arr = Arrays.pop();
-  if (!arr) {
-    arr = [];
+
+/**
+ * Number of shapes of a collider.
+ * @param  {Collider} coll  Collider
+ * @return {Number}         Count
+ * @private
+ */
+function shapeCount(coll) {
+  return coll.shapes.length || 1;
+}
+
+/**
+ * Get a shape of a collider.
+ * @param  {Collider} coll  Collider
+ * @param  {Number} idx     Index of the shape
+ * @return {Box|Circle|Polygon} The shape
+ * @private
+ */
+function getShape(coll, idx) {
+  return (coll.shapes.length > 0) ? coll.shapes[idx] : coll.shape;
+}
+
+/**
+ * Distance from position of a collider to the farthest point of its shapes.
+ * @param  {Collider} coll  Collider
+ * @return {Number}         Radius
+ * @private
+ */
+function boundingRadius(coll) {
+  let i, j, shape, r = 0;
+  for (i = 0; i < shapeCount(coll); i++) {
+    shape = getShape(coll, i);
+    if (shape.type === CIRC) {
+      r = Math.max(r, shape.offset.length() + shape.radius);
+    }
+    else if (shape.type === BOX) {
+      r = Math.max(r, shape.offset.length() + Math.sqrt(shape.width * shape.width + shape.height * shape.height) * 0.5);
+    }
+    else {
+      for (j = 0; j < shape.calcPoints.length; j++) {
+        r = Math.max(r, shape.calcPoints[j].length());
+      }
+    }
   }
-  return arr;
-};
-const putArray = (arr) => {
-  arr.length = 0;
-  Arrays.push(arr);
-};
+  return r;
+}
+
+/**
+ * Find when a shape of a bullet moving from its `last` to `position`
+ * hits a shape of another collider(at its current position).
+ * @param  {Collider} bullet                Moving collider
+ * @param  {Box|Circle|Polygon} shape       Shape of the bullet
+ * @param  {Collider} other                 Collider to test against
+ * @param  {Box|Circle|Polygon} otherShape  Shape of the other collider
+ * @param  {Vector} normal                  Vector to save normal at the hit point to
+ * @return {Number} Fraction(0 to 1) of the movement when they hit, -1 if not hit
+ * @private
+ */
+function sweepTest(bullet, shape, other, otherShape, normal) {
+  const dx = bullet.position.x - bullet.last.x, dy = bullet.position.y - bullet.last.y;
+
+  let i, j, count, count2;
+  if (shape.type === CIRC) {
+    shapeCenter(shape, bullet.last, CENTER);
+    const ox = CENTER.x, oy = CENTER.y;
+
+    if (otherShape.type === CIRC) {
+      shapeCenter(otherShape, other.position, CENTER);
+      return rayCircle(CENTER.x, CENTER.y, shape.radius + otherShape.radius, ox, oy, dx, dy, normal);
+    }
+
+    count = shapePoints(otherShape, other.position, POINTS);
+    return rayRoundedPolygon(POINTS, count, shape.radius, ox, oy, dx, dy, normal);
+  }
+
+  // Shape of the bullet mirrored around the other shape
+  shapeCenter(otherShape, other.position, CENTER);
+  count = shapePoints(shape, bullet.position, POINTS);
+  for (i = 0; i < count; i++) {
+    POINTS[i].set(CENTER.x - (POINTS[i].x - bullet.position.x), CENTER.y - (POINTS[i].y - bullet.position.y));
+  }
+
+  if (otherShape.type === CIRC) {
+    return rayRoundedPolygon(POINTS, count, otherShape.radius, bullet.last.x, bullet.last.y, dx, dy, normal);
+  }
+
+  // Minkowski sum of both shapes
+  count2 = shapePoints(otherShape, other.position, POINTS2);
+  for (i = HULL.length; i < count * count2; i++) {
+    HULL.push(Vector.create());
+  }
+  for (i = 0; i < count; i++) {
+    for (j = 0; j < count2; j++) {
+      HULL[i * count2 + j].set(
+        POINTS[i].x + POINTS2[j].x - CENTER.x,
+        POINTS[i].y + POINTS2[j].y - CENTER.y
+      );
+    }
+  }
+  count = convexHull(HULL, count * count2, POINTS);
+
+  return rayPolygon(POINTS, count, bullet.last.x, bullet.last.y, dx, dy, normal);
+}
+
+/**
+ * Saved state of a compound collider, while one of its shapes is tested.
+ * @type {Object}
+ * @private
+ */
+const SWAP_A = { position: null, original: null, index: 0, x: 0, y: 0, bounds: [] };
+const SWAP_B = { position: null, original: null, index: 0, x: 0, y: 0, bounds: [] };
+
+/**
+ * Make a compound collider use one of its shapes, like a collider with
+ * only that shape centered at its position.
+ * @param  {Collider} coll  Compound collider
+ * @param  {Number} idx     Index of the shape
+ * @param  {Object} swap    Object to save state of the collider to
+ * @private
+ */
+function useShape(coll, idx, swap) {
+  const shape = coll.shapes[idx];
+
+  swap.position = coll.position;
+  swap.original = null;
+  swap.index = idx;
+  swap.bounds[0] = coll.left;
+  swap.bounds[1] = coll.right;
+  swap.bounds[2] = coll.top;
+  swap.bounds[3] = coll.bottom;
+  swap.bounds[4] = coll.lastLeft;
+  swap.bounds[5] = coll.lastRight;
+  swap.bounds[6] = coll.lastTop;
+  swap.bounds[7] = coll.lastBottom;
+
+  // Boxes and circles are moved to their offset
+  coll.position = shapeCenter(shape, swap.position, Vector.create());
+  swap.x = coll.position.x;
+  swap.y = coll.position.y;
+  coll.shape = shape;
+
+  shape.getBounds(SHAPE_BOUNDS);
+  coll.left = swap.position.x + SHAPE_BOUNDS.left;
+  coll.right = swap.position.x + SHAPE_BOUNDS.right;
+  coll.top = swap.position.y + SHAPE_BOUNDS.top;
+  coll.bottom = swap.position.y + SHAPE_BOUNDS.bottom;
+  coll.lastLeft = coll.last.x + SHAPE_BOUNDS.left;
+  coll.lastRight = coll.last.x + SHAPE_BOUNDS.right;
+  coll.lastTop = coll.last.y + SHAPE_BOUNDS.top;
+  coll.lastBottom = coll.last.y + SHAPE_BOUNDS.bottom;
+}
+
+/**
+ * Keep the shape a solver converted to(`SATSolver` turns boxes into
+ * polygons).
+ * @param  {Collider} coll  Compound collider
+ * @param  {Object} swap    Saved state of the collider
+ * @private
+ */
+function keepConvertedShape(coll, swap) {
+  if (coll.shapes[swap.index] !== coll.shape) {
+    swap.original = coll.shapes[swap.index];
+    coll.shapes[swap.index] = coll.shape;
+  }
+}
+
+/**
+ * Restore a compound collider after one of its shapes is tested, and
+ * apply the response to its real position.
+ * @param  {Collider} coll  Compound collider
+ * @param  {Object} swap    Saved state of the collider
+ * @private
+ */
+function restoreShape(coll, swap) {
+  swap.position.add(coll.position.x - swap.x, coll.position.y - swap.y);
+  Vector.recycle(coll.position);
+  coll.position = swap.position;
+
+  // Converted polygon has no offset yet
+  if (swap.original) {
+    coll.shape.setOffset(new Vector(swap.original.offset.x, swap.original.offset.y));
+    swap.original = null;
+  }
+  coll.shape = coll.shapes[0];
+
+  coll.left = swap.bounds[0];
+  coll.right = swap.bounds[1];
+  coll.top = swap.bounds[2];
+  coll.bottom = swap.bounds[3];
+  coll.lastLeft = swap.bounds[4];
+  coll.lastRight = swap.bounds[5];
+  coll.lastTop = swap.bounds[6];
+  coll.lastBottom = swap.bounds[7];
+}
+
+/**
+ * Notify a collider and its entity of a contact event.
+ * @param  {Collider} coll  Collider to notify
+ * @param  {String} type    `collisionEnter`, `collisionStay` or `collisionExit`
+ * @param  {Collider} other The other collider
+ * @private
+ */
+function notifyContact(coll, type, other) {
+  coll[type](other);
+  if (coll.entity) {
+    coll.entity.events.emit(type, other);
+  }
+}
+
+/**
+ * Temp points of a collider shape and hit results of queries.
+ * @type {Array<Vector>}
+ * @private
+ */
+const POINTS = [];
+const POINTS2 = [];
+const HULL = [];
+const CENTER = Vector.create();
+const SHAPE_BOUNDS = { left: 0, top: 0, right: 0, bottom: 0 };
+const NORMAL = Vector.create();
+const HIT_NORMAL = Vector.create();
+const MAP_HIT = { tile: 0, r: -1, q: -1, fraction: 0, normal: Vector.create() };
 
 /**
  * Physics system.
@@ -44,6 +291,21 @@ export default class Physics extends System {
      * @type {Number}
      */
     this.spatialShift = 5;
+    /**
+     * Broadphase that finds colliders may overlap, `SpatialHash`
+     * by default. Set with `setup` by name(`'SpatialHash'`,
+     * `'SweepAndPrune'` or `'AABBTree'`) or an instance.
+     * @type {SpatialHash|SweepAndPrune|AABBTree}
+     */
+    this.broadphase = null;
+    /**
+     * Whether bounds of colliders in the broadphase need to be updated
+     * before the next query, set after each step and when colliders
+     * are added. Set it to `true` after moving colliders by hand, so
+     * queries find them at the new position.
+     * @type {Boolean}
+     */
+    this.queryDirty = true;
     /**
      * Collision solver instance.
      * @type {SATSolver|AABBSolver}
@@ -54,18 +316,45 @@ export default class Physics extends System {
      * @type {array}
      */
     this.colliders = [];
+    /**
+     * List of joints in world.
+     * @type {Array<Joint>}
+     */
+    this.joints = [];
+    /**
+     * How many times joints are solved each step, more is stiffer
+     * and slower.
+     * @type {Number}
+     * @default 4
+     */
+    this.jointIterations = 4;
     /**
      * Collision map to trace colliders against.
      * @type {CollisionMap}
      */
     this.collisionMap = null;
-
     /**
-     * Save whether collision of a pair of objects are checked
-     * @type {object}
+     * Names of collision layers, a layer uses the collision group of
+     * its index. Set with `defineLayers`.
+     * @type {Array<String>}
+     */
+    this.layers = [];
+    /**
+     * Collision matrix, groups each layer collides against, by index
+     * of the layer.
+     * @type {Array<Number>}
      * @private
      */
-    this.checks = {};
+    this.layerMatrix = [];
+
+    /**
+     * How far(in pixel) bullets are moved into the collider they hit,
+     * so the solver sees them overlapping.
+     * @type {Number}
+     * @default 0.1
+     */
+    this.bulletSkin = 0.1;
+
     /**
      * How many pair of colliders have been checked in this frame
      * @type {number}
@@ -73,6 +362,19 @@ export default class Physics extends System {
      */
     this.collisionChecks = 0;
 
+    /**
+     * Pairs of colliders overlapping each other, by pair key.
+     * @type {Object}
+     * @private
+     */
+    this.contacts = {};
+    /**
+     * Counter of steps, used to find contacts that ended.
+     * @type {Number}
+     * @private
+     */
+    this.stepCount = 0;
+
     /**
      * Collision map trace result
      * @type {Object}
@@ -83,9 +385,16 @@ export default class Physics extends System {
       y: 0,
       hitX: false,
       hitY: false,
+      tileX: 0,
+      tileY: 0,
+      normal: Vector.create(),
     };
 
     this.setup(settings);
+
+    if (!this.broadphase) {
+      this.broadphase = new SpatialHash(this.spatialShift);
+    }
   }
 
   /**
@@ -99,12 +408,45 @@ export default class Physics extends System {
       switch (k) {
         // Value
         case 'name':
-        case 'spatialShift':
         case 'solver':
         case 'collisionMap':
+        case 'jointIterations':
+        case 'bulletSkin':
           this[k] = settings[k];
           break;
 
+        // Layer names, with the matrix if provided
+        case 'layers':
+          this.defineLayers(settings.layers, settings.layerMatrix);
+          break;
+
+        case 'spatialShift':
+          this.spatialShift = settings.spatialShift;
+          if (this.broadphase instanceof SpatialHash) {
+            this.broadphase.clear();
+            this.broadphase.shift = this.spatialShift;
+          }
+          this.queryDirty = true;
+          break;
+
+        // Name or instance, colliders are added to the new one
+        // in next update
+        case 'broadphase':
+          if (typeof(settings.broadphase) === 'string') {
+            if (!BROADPHASES.hasOwnProperty(settings.broadphase)) {
+              console.log(`[WARNING]: Broadphase "${settings.broadphase}" does not exist!`);
+              break;
+            }
+            this.broadphase = (settings.broadphase === 'SpatialHash') ?
+              new SpatialHash(this.spatialShift) :
+              new BROADPHASES[settings.broadphase]();
+          }
+          else {
+            this.broadphase = settings.broadphase;
+          }
+          this.queryDirty = true;
+          break;
+
         // Vector
         case 'gravity':
           this.gravity.x = settings.gravity.x || 0;
@@ -123,9 +465,11 @@ export default class Physics extends System {
   addCollider(coll) {
     coll.world = this;
     coll.isRemoved = false;
+    this.applyLayers(coll);
     if (this.colliders.indexOf(coll) === -1) {
       this.colliders.push(coll);
     }
+    this.queryDirty = true;
   }
 
   /**
@@ -140,6 +484,173 @@ export default class Physics extends System {
     coll.isRemoved = true;
   }
 
+  /**
+   * Add joint to world.
+   * @memberof Physics#
+   * @method addJoint
+   * @param {Joint} joint Joint to add
+   */
+  addJoint(joint) {
+    joint.world = this;
+    joint.isRemoved = false;
+    if (joint.length < 0) {
+      joint.length = joint.getDistance();
+    }
+    if (this.joints.indexOf(joint) === -1) {
+      this.joints.push(joint);
+    }
+  }
+
+  /**
+   * Remove joint from world.
+   * @memberof Physics#
+   * @method removeJoint
+   * @param {Joint} joint Joint to remove
+   */
+  removeJoint(joint) {
+    if (!joint.world) {return;}
+    joint.world = null;
+    joint.isRemoved = true;
+  }
+
+  /**
+   * Define named collision layers, each one takes a collision group
+   * in order. Colliders with a `layer` use its group and collide
+   * against the layers set in the matrix.
+   * @memberof Physics#
+   * @method defineLayers
+   * @param {Array<String>} names Names of the layers, no more than 31
+   * @param {Object} [matrix]     Names of the layers each layer collides against, by name of the layer
+   * @return {Physics}            Self for chaining
+   */
+  defineLayers(names, matrix) {
+    if (names.length > 31) {
+      console.log(`[WARNING]: Only 31 collision layers are supported, got ${names.length}!`);
+      return this;
+    }
+
+    let i, name;
+    for (i = 0; i < names.length; i++) {
+      if (names.indexOf(names[i]) !== i) {
+        console.log(`[WARNING]: Collision layer "${names[i]}" is defined more than once!`);
+        return this;
+      }
+    }
+
+    this.layers = names.slice();
+    this.layerMatrix.length = 0;
+    for (i = 0; i < names.length; i++) {
+      this.layerMatrix.push(0);
+    }
+
+    if (matrix) {
+      for (name in matrix) {
+        i = this.layers.indexOf(name);
+        if (i < 0) {
+          console.log(`[WARNING]: Collision layer "${name}" is not defined!`);
+          continue;
+        }
+        this.layerMatrix[i] = this.getLayerMask(matrix[name]);
+      }
+    }
+
+    for (i = 0; i < this.colliders.length; i++) {
+      this.applyLayers(this.colliders[i]);
+    }
+
+    return this;
+  }
+
+  /**
+   * Set whether a layer collides against others, colliders of the
+   * layer are updated.
+   * @memberof Physics#
+   * @method setLayerCollision
+   * @param {String} layer                Name of the layer
+   * @param {String|Array<String>} others Name of the layers it collides or not collides against
+   * @param {Boolean} [collide=true]      Whether to collide
+   * @return {Physics}                    Self for chaining
+   */
+  setLayerCollision(layer, others, collide = true) {
+    const idx = this.layers.indexOf(layer);
+    if (idx < 0) {
+      console.log(`[WARNING]: Collision layer "${layer}" is not defined!`);
+      return this;
+    }
+
+    if (collide) {
+      this.layerMatrix[idx] |= this.getLayerMask(others);
+    }
+    else {
+      this.layerMatrix[idx] &= ~this.getLayerMask(others);
+    }
+
+    for (let i = 0; i < this.colliders.length; i++) {
+      if (this.colliders[i].layer === layer) {
+        this.applyLayers(this.colliders[i]);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the group mask of collision layers.
+   * @memberof Physics#
+   * @method getLayerMask
+   * @param  {String|Array<String>|Number} names Name of a layer or a list of them, masks are returned as is
+   * @return {Number}                           Group mask
+   */
+  getLayerMask(names) {
+    if (typeof(names) === 'number') {
+      return names;
+    }
+
+    if (typeof(names) === 'string') {
+      const idx = this.layers.indexOf(names);
+      if (idx < 0) {
+        console.log(`[WARNING]: Collision layer "${names}" is not defined!`);
+        return 0;
+      }
+      return 1 << idx;
+    }
+
+    let mask = 0;
+    for (let i = 0; i < names.length; i++) {
+      mask |= this.getLayerMask(names[i]);
+    }
+    return mask;
+  }
+
+  /**
+   * Set collision groups of a collider from its `layer`, and turn layer
+   * names of `collisionGroup` and `collideAgainst` into masks.
+   * @memberof Physics#
+   * @method applyLayers
+   * @param {Collider} coll Collider to update
+   * @private
+   */
+  applyLayers(coll) {
+    if (coll.layer) {
+      const idx = this.layers.indexOf(coll.layer);
+      if (idx < 0) {
+        console.log(`[WARNING]: Collision layer "${coll.layer}" is not defined!`);
+      }
+      else {
+        coll.collisionGroup = 1 << idx;
+        coll.collideAgainst = this.layerMatrix[idx];
+        return;
+      }
+    }
+
+    if (typeof(coll.collisionGroup) === 'string' || Array.isArray(coll.collisionGroup)) {
+      coll.collisionGroup = this.getLayerMask(coll.collisionGroup);
+    }
+    if (typeof(coll.collideAgainst) === 'string' || Array.isArray(coll.collideAgainst)) {
+      coll.collideAgainst = this.getLayerMask(coll.collideAgainst);
+    }
+  }
+
   /**
    * Update colliders and check collisions.
    * @memberof Physics#
@@ -149,30 +660,16 @@ export default class Physics extends System {
    */
   fixedUpdate(dt, delta) {
     this.collisionChecks = 0;
-    this.checks = {};
+    this.stepCount++;
 
-    let i, j, coll, coll2, group, hash = {};
-    let halfWidth, halfHeight, sx, sy, ex, ey, x, y, a2b, b2a, key;
+    let i, coll, coll2, a2b, b2a, key, contact;
 
     // Process colliders
     for (i = 0; i < this.colliders.length; i++) {
       coll = this.colliders[i];
 
       // Update bounds
-      if (coll.shape) {
-        halfWidth = coll.shape.width * 0.5;
-        halfHeight = coll.shape.height * 0.5;
-
-        coll.lastLeft = coll.last.x - halfWidth;
-        coll.lastRight = coll.last.x + halfWidth;
-        coll.lastTop = coll.last.y - halfHeight;
-        coll.lastBottom = coll.last.y + halfHeight;
-
-        coll.left = coll.position.x - halfWidth;
-        coll.right = coll.position.x + halfWidth;
-        coll.top = coll.position.y - halfHeight;
-        coll.bottom = coll.position.y + halfHeight;
-      }
+      coll.updateBounds();
 
       // Save position of last frame
       coll.last.copy(coll.position);
@@ -180,6 +677,7 @@ export default class Physics extends System {
       // Collider is already removed, just remove it
       if (coll.isRemoved) {
         removeItems(this.colliders, i--, 1);
+        this.broadphase.remove(coll);
         continue;
       }
 
@@ -224,16 +722,18 @@ export default class Physics extends System {
         // Apply trace result
         coll.position.x += this.res.x;
         coll.position.y += this.res.y;
-      }
 
-      // Insert the hash and test collisions
-      sx = coll.left >> this.spatialShift;
-      sy = coll.top >> this.spatialShift;
-      ex = coll.right >> this.spatialShift;
-      ey = coll.bottom >> this.spatialShift;
+        // Rotate, entity keeps the shape rotation in sync
+        if (coll.angularVelocity !== 0 && coll.shape) {
+          if (coll.entity) {
+            coll.entity.rotation += coll.angularVelocity * delta;
+          }
+          else {
+            coll.rotation += coll.angularVelocity * delta;
+          }
+        }
 
-      // Non-static colliders will be notified before collision
-      if (!coll.isStatic) {
+        // Non-static colliders will be notified before collision
         coll.beforeCollide();
 
         // Skip the rest part if it's removed from last callback
@@ -242,81 +742,579 @@ export default class Physics extends System {
         }
       }
 
-      for (y = sy; y <= ey; y++) {
-        for (x = sx; x <= ex; x++) {
-          // Find or create the list
-          if (!hash[x]) {
-            hash[x] = {};
+      // Update the broadphase
+      this.broadphase.update(coll);
+    }
+
+    // Solve joints
+    let joint, iter;
+    for (i = 0; i < this.joints.length; i++) {
+      joint = this.joints[i];
+
+      // Joint or one of its colliders is removed
+      if (joint.isRemoved || joint.a.isRemoved || (joint.b && joint.b.isRemoved)) {
+        removeItems(this.joints, i--, 1);
+        joint.world = null;
+        joint.isRemoved = true;
+        continue;
+      }
+
+      joint.applyForce(delta);
+    }
+    for (iter = 0; iter < this.jointIterations; iter++) {
+      for (i = 0; i < this.joints.length; i++) {
+        this.joints[i].solve();
+      }
+    }
+
+    // Sweep bullets to find what they passed through
+    for (i = 0; i < this.colliders.length; i++) {
+      coll = this.colliders[i];
+      coll.sweptHit = null;
+      if (coll.isBullet && !coll.isStatic && !coll.isRemoved && coll.shape) {
+        this.sweepBullet(coll);
+      }
+    }
+
+    // Test pairs that may collide
+    this.broadphase.findPairs(PAIRS);
+
+    for (i = 0; i < PAIRS.length; i += 2) {
+      coll = PAIRS[i];
+      coll2 = PAIRS[i + 1];
+
+      // Pass: someone is already removed, or already hit by sweeping
+      if (coll.isRemoved || coll2.isRemoved || coll.sweptHit === coll2 || coll2.sweptHit === coll) {
+        continue;
+      }
+
+      a2b = !!(coll.collideAgainst & coll2.collisionGroup);
+      b2a = !!(coll2.collideAgainst & coll.collisionGroup);
+
+      // Pass: never collide with each other
+      if (!a2b && !b2a) {
+        continue;
+      }
+
+      // Static colliders never receive hit response
+      a2b = a2b && !coll.isStatic;
+      b2a = b2a && !coll2.isStatic;
+
+      // Pass: no response, and no sensor to report contact
+      if (!a2b && !b2a && !coll.isSensor && !coll2.isSensor) {
+        continue;
+      }
+
+      this.collisionChecks++;
+
+      this.testPair(coll, coll2, a2b, b2a);
+    }
+
+    PAIRS.length = 0;
+
+    // Colliders moved, update the broadphase before next query
+    this.queryDirty = true;
+
+    // Send contact events
+    for (key in this.contacts) {
+      contact = this.contacts[key];
+
+      if (contact.step !== this.stepCount) {
+        delete this.contacts[key];
+        notifyContact(contact.a, 'collisionExit', contact.b);
+        notifyContact(contact.b, 'collisionExit', contact.a);
+      }
+      else if (contact.isNew) {
+        contact.isNew = false;
+        notifyContact(contact.a, 'collisionEnter', contact.b);
+        notifyContact(contact.b, 'collisionEnter', contact.a);
+      }
+      else {
+        notifyContact(contact.a, 'collisionStay', contact.b);
+        notifyContact(contact.b, 'collisionStay', contact.a);
+      }
+    }
+  }
+
+  /**
+   * Move a bullet back to where it first hits another collider along
+   * its movement of this step, and resolve the collision there.
+   * Colliders are tested one by one, so keep the number of bullets
+   * small.
+   * @memberof Physics#
+   * @method sweepBullet
+   * @param {Collider} bullet Collider to sweep
+   * @private
+   */
+  sweepBullet(bullet) {
+    const dx = bullet.position.x - bullet.last.x;
+    const dy = bullet.position.y - bullet.last.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) {
+      return;
+    }
+
+    const radius = boundingRadius(bullet);
+
+    let i, j, k, other, a2b, b2a, cx, cy, t, r, closest = 2, hit = null, hitA2B = false, hitB2A = false;
+    for (i = 0; i < this.colliders.length; i++) {
+      other = this.colliders[i];
+      if (other === bullet || other.isRemoved || !other.shape || other.isSensor || bullet.isSensor) {
+        continue;
+      }
+
+      // Pass: never collide with each other
+      a2b = !!(bullet.collideAgainst & other.collisionGroup);
+      b2a = !!(other.collideAgainst & bullet.collisionGroup) && !(other.isStatic);
+      if (!a2b && !b2a) {
+        continue;
+      }
+
+      // Pass: too far away from the movement
+      cx = other.position.x - bullet.last.x;
+      cy = other.position.y - bullet.last.y;
+      t = clamp((cx * dx + cy * dy) / (length * length), 0, 1);
+      cx -= dx * t;
+      cy -= dy * t;
+      r = radius + boundingRadius(other);
+      if (cx * cx + cy * cy > r * r) {
+        continue;
+      }
+
+      for (j = 0; j < shapeCount(bullet); j++) {
+        for (k = 0; k < shapeCount(other); k++) {
+          t = sweepTest(bullet, getShape(bullet, j), other, getShape(other, k), NORMAL);
+          if (t >= 0 && t < closest) {
+            closest = t;
+            hit = other;
+            hitA2B = a2b;
+            hitB2A = b2a;
+          }
+        }
+      }
+    }
+
+    if (!hit) {
+      return;
+    }
+
+    // Move to time of impact, a little inside the other one
+    const endX = bullet.position.x, endY = bullet.position.y;
+    const dist = Math.min(length, length * closest + this.bulletSkin);
+    bullet.position.set(bullet.last.x + dx / length * dist, bullet.last.y + dy / length * dist);
+
+    // Bounds at time of impact, bounds of last are where it starts
+    bullet.updateBounds();
+
+    const hitX = bullet.position.x, hitY = bullet.position.y;
+
+    this.collisionChecks++;
+    bullet.sweptHit = hit;
+
+    this.testPair(bullet, hit, hitA2B, hitB2A);
+
+    // Keep moving when it does not want to be blocked
+    if (bullet.position.x === hitX && bullet.position.y === hitY) {
+      bullet.position.set(endX, endY);
+    }
+  }
+
+  /**
+   * Test overlap of 2 colliders and apply hit response. Each pair of
+   * shapes is tested for compound colliders, `shape` of the colliders
+   * are the tested ones during hit callbacks.
+   * @memberof Physics#
+   * @method testPair
+   * @param {Collider} a    First collider
+   * @param {Collider} b    Second collider
+   * @param {Boolean} a2b   Whether first collider receives hit response
+   * @param {Boolean} b2a   Whether second collider receives hit response
+   * @private
+   */
+  testPair(a, b, a2b, b2a) {
+    if (!a.isCompound && !b.isCompound) {
+      if (this.solver.hitTest(a, b)) {
+        this.solver.hitResponse(a, b, a2b, b2a);
+        this.addContact(a, b, this.solver.normal);
+      }
+      return;
+    }
+
+    let i, j, hit;
+    for (i = 0; i < shapeCount(a); i++) {
+      for (j = 0; j < shapeCount(b); j++) {
+        // Pass: removed in a hit callback
+        if (a.isRemoved || b.isRemoved) {
+          return;
+        }
+
+        if (a.isCompound) {
+          useShape(a, i, SWAP_A);
+        }
+        if (b.isCompound) {
+          useShape(b, j, SWAP_B);
+        }
+
+        hit = this.solver.hitTest(a, b);
+
+        if (a.isCompound) {
+          keepConvertedShape(a, SWAP_A);
+        }
+        if (b.isCompound) {
+          keepConvertedShape(b, SWAP_B);
+        }
+
+        if (hit) {
+          this.solver.hitResponse(a, b, a2b, b2a);
+          this.addContact(a, b, this.solver.normal);
+        }
+
+        if (a.isCompound) {
+          restoreShape(a, SWAP_A);
+        }
+        if (b.isCompound) {
+          restoreShape(b, SWAP_B);
+        }
+      }
+    }
+  }
+
+  /**
+   * Record that 2 colliders are overlapping in this step.
+   * @memberof Physics#
+   * @method addContact
+   * @param {Collider} a        First collider
+   * @param {Collider} b        Second collider
+   * @param {Vector} [normal]   Normal of the hit from a to b, found by the solver
+   * @private
+   */
+  addContact(a, b, normal) {
+    const key = contactKey(a, b);
+    let contact = this.contacts[key];
+    if (contact) {
+      contact.step = this.stepCount;
+    }
+    else {
+      contact = this.contacts[key] = { a: a, b: b, step: this.stepCount, isNew: true, normal: Vector.create() };
+    }
+
+    // Normal of the record is always from its `a` to `b`
+    if (normal) {
+      contact.normal.copy(normal);
+      if (contact.a !== a) {
+        contact.normal.reverse();
+      }
+    }
+  }
+
+  /**
+   * Cast a ray and find the closest collider or tile it hits.
+   * @memberof Physics#
+   * @method raycast
+   * @param  {Vector} from              Start point
+   * @param  {Vector} to                End point
+   * @param  {Number|String|Array<String>} [mask] Only test colliders whose `collisionGroup` matches this mask(or layer names), all by default
+   * @param  {Boolean} [hitMap=true]    Whether to test tiles of the collision map
+   * @return {Object} Hit(`{ collider, shape, tile, r, q, point, normal, fraction, distance }`) or `null`, `collider` and `shape` are `null` when a tile is hit
+   */
+  raycast(from, to, mask, hitMap = true) {
+    if (mask !== undefined) {
+      mask = this.getLayerMask(mask);
+    }
+
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    const candidates = this.queryCandidates(
+      Math.min(from.x, to.x), Math.min(from.y, to.y),
+      Math.max(from.x, to.x), Math.max(from.y, to.y)
+    );
+
+    let closest = 2, hitColl = null, hitShape = null, hitTile = false;
+
+    let i, j, coll, shape, t, count, radius, cx, cy;
+    for (i = 0; i < candidates.length; i++) {
+      coll = candidates[i];
+      if (coll.isRemoved || !coll.shape || (mask !== undefined && !(coll.collisionGroup & mask))) {
+        continue;
+      }
+
+      // Pass: too far away from the ray
+      radius = boundingRadius(coll);
+      cx = coll.position.x - from.x;
+      cy = coll.position.y - from.y;
+      t = (length > 0) ? clamp((cx * dx + cy * dy) / (length * length), 0, 1) : 0;
+      cx -= dx * t;
+      cy -= dy * t;
+      if (cx * cx + cy * cy > radius * radius) {
+        continue;
+      }
+
+      for (j = 0; j < shapeCount(coll); j++) {
+        shape = getShape(coll, j);
+
+        if (shape.type === CIRC) {
+          shapeCenter(shape, coll.position, CENTER);
+          t = rayCircle(CENTER.x, CENTER.y, shape.radius, from.x, from.y, dx, dy, NORMAL);
+        }
+        else {
+          count = shapePoints(shape, coll.position, POINTS);
+          t = rayPolygon(POINTS, count, from.x, from.y, dx, dy, NORMAL);
+        }
+
+        if (t >= 0 && t < closest) {
+          closest = t;
+          hitColl = coll;
+          hitShape = shape;
+          HIT_NORMAL.copy(NORMAL);
+        }
+      }
+    }
+
+    if (hitMap && this.collisionMap && this.collisionMap.raycast(from.x, from.y, to.x, to.y, MAP_HIT) && MAP_HIT.fraction <= closest) {
+      closest = MAP_HIT.fraction;
+      hitColl = null;
+      hitShape = null;
+      hitTile = true;
+      HIT_NORMAL.copy(MAP_HIT.normal);
+    }
+
+    if (!hitColl && !hitTile) {
+      return null;
+    }
+
+    return {
+      collider: hitColl,
+      shape: hitShape,
+      tile: hitTile ? MAP_HIT.tile : 0,
+      r: hitTile ? MAP_HIT.r : -1,
+      q: hitTile ? MAP_HIT.q : -1,
+      point: Vector.create(from.x + dx * closest, from.y + dy * closest),
+      normal: Vector.create(HIT_NORMAL.x, HIT_NORMAL.y),
+      fraction: closest,
+      distance: length * closest,
+    };
+  }
+
+  /**
+   * Find colliders and tiles overlapping a rectangle.
+   *
+   * Queries find candidates with the broadphase, which is updated on
+   * the first query after each step, and test their shapes at current
+   * position. Set `queryDirty` after moving colliders by hand.
+   * @memberof Physics#
+   * @method queryRect
+   * @param  {Number} x                 Left of the rectangle
+   * @param  {Number} y                 Top of the rectangle
+   * @param  {Number} width             Width of the rectangle
+   * @param  {Number} height            Height of the rectangle
+   * @param  {Number|String|Array<String>} [mask] Only test colliders whose `collisionGroup` matches this mask(or layer names), all by default
+   * @param  {Boolean} [hitMap=true]    Whether to test tiles of the collision map
+   * @return {Array<Object>} Hits(`{ collider, shape, tile, r, q }`), `collider` is `null` for tiles
+   */
+  queryRect(x, y, width, height, mask, hitMap = true) {
+    if (mask !== undefined) {
+      mask = this.getLayerMask(mask);
+    }
+
+    const right = x + width;
+    const bottom = y + height;
+    const candidates = this.queryCandidates(x, y, right, bottom);
+    const out = [];
+
+    let i, j, coll, shape, cx, cy, count;
+    for (i = 0; i < candidates.length; i++) {
+      coll = candidates[i];
+      if (coll.isRemoved || !coll.shape || (mask !== undefined && !(coll.collisionGroup & mask))) {
+        continue;
+      }
+
+      for (j = 0; j < shapeCount(coll); j++) {
+        shape = getShape(coll, j);
+
+        if (shape.type === CIRC) {
+          shapeCenter(shape, coll.position, CENTER);
+          cx = clamp(CENTER.x, x, right) - CENTER.x;
+          cy = clamp(CENTER.y, y, bottom) - CENTER.y;
+          if (cx * cx + cy * cy > shape.radius * shape.radius) {
+            continue;
           }
-          if (!hash[x][y]) {
-            hash[x][y] = getArray();
+        }
+        else {
+          count = shapePoints(shape, coll.position, POINTS);
+          if (!rectPolygon(POINTS, count, x, y, right, bottom)) {
+            continue;
           }
-          group = hash[x][y];
+        }
 
-          // Insert collider into the group
-          group.push(coll);
+        out.push({ collider: coll, shape: shape, tile: 0, r: -1, q: -1 });
+        break;
+      }
+    }
 
-          // Pass: only one collider
-          if (group.length === 1) {
+    if (hitMap && this.collisionMap) {
+      this.collisionMap.queryRect(x, y, right, bottom, out);
+    }
+
+    return out;
+  }
+
+  /**
+   * Find colliders and tiles overlapping a circle.
+   * @memberof Physics#
+   * @method queryCircle
+   * @param  {Number} x                 X of the center
+   * @param  {Number} y                 Y of the center
+   * @param  {Number} radius            Radius of the circle
+   * @param  {Number|String|Array<String>} [mask] Only test colliders whose `collisionGroup` matches this mask(or layer names), all by default
+   * @param  {Boolean} [hitMap=true]    Whether to test tiles of the collision map
+   * @return {Array<Object>} Hits(`{ collider, shape, tile, r, q }`), `collider` is `null` for tiles
+   */
+  queryCircle(x, y, radius, mask, hitMap = true) {
+    if (mask !== undefined) {
+      mask = this.getLayerMask(mask);
+    }
+
+    const candidates = this.queryCandidates(x - radius, y - radius, x + radius, y + radius);
+    const out = [];
+
+    let i, j, coll, shape, cx, cy, count, r;
+    for (i = 0; i < candidates.length; i++) {
+      coll = candidates[i];
+      if (coll.isRemoved || !coll.shape || (mask !== undefined && !(coll.collisionGroup & mask))) {
+        continue;
+      }
+
+      for (j = 0; j < shapeCount(coll); j++) {
+        shape = getShape(coll, j);
+
+        if (shape.type === CIRC) {
+          shapeCenter(shape, coll.position, CENTER);
+          cx = CENTER.x - x;
+          cy = CENTER.y - y;
+          r = shape.radius + radius;
+          if (cx * cx + cy * cy > r * r) {
+            continue;
+          }
+        }
+        else {
+          count = shapePoints(shape, coll.position, POINTS);
+          if (!circlePolygon(POINTS, count, x, y, radius)) {
             continue;
           }
+        }
 
-          // Test colliders in the same group
-          for (j = 0; j < group.length; j++) {
-            coll2 = group[j];
+        out.push({ collider: coll, shape: shape, tile: 0, r: -1, q: -1 });
+        break;
+      }
+    }
 
-            // Pass: same collider or someone is already removed
-            if (coll2 === coll || coll.isRemoved || coll2.isRemoved) {
-              continue;
-            }
+    if (hitMap && this.collisionMap) {
+      this.collisionMap.queryCircle(x, y, radius, out);
+    }
 
-            a2b = !!(coll.collideAgainst & coll2.collisionGroup) && !(coll.isStatic);
-            b2a = !!(coll2.collideAgainst & coll.collisionGroup) && !(coll2.isStatic);
+    return out;
+  }
 
-            // Pass: never collide with each other
-            if (!a2b && !b2a) {
-              continue;
-            }
+  /**
+   * Find colliders and tile at a point.
+   * @memberof Physics#
+   * @method queryPoint
+   * @param  {Number} x                 X of the point
+   * @param  {Number} y                 Y of the point
+   * @param  {Number|String|Array<String>} [mask] Only test colliders whose `collisionGroup` matches this mask(or layer names), all by default
+   * @param  {Boolean} [hitMap=true]    Whether to test tiles of the collision map
+   * @return {Array<Object>} Hits(`{ collider, shape, tile, r, q }`), `collider` is `null` for tiles
+   */
+  queryPoint(x, y, mask, hitMap = true) {
+    if (mask !== undefined) {
+      mask = this.getLayerMask(mask);
+    }
 
-            key = `${coll.id < coll2.id ? coll.id : coll2.id}:${coll.id > coll2.id ? coll.id : coll2.id}`;
+    const candidates = this.queryCandidates(x, y, x, y);
+    const out = [];
 
-            // Pass: already checked
-            if (this.checks[key]) {
-              continue;
-            }
+    let i, j, coll, shape, cx, cy, count;
+    for (i = 0; i < candidates.length; i++) {
+      coll = candidates[i];
+      if (coll.isRemoved || !coll.shape || (mask !== undefined && !(coll.collisionGroup & mask))) {
+        continue;
+      }
 
-            // Mark this pair is already checked
-            this.checks[key] = true;
-            this.collisionChecks++;
+      for (j = 0; j < shapeCount(coll); j++) {
+        shape = getShape(coll, j);
 
-            // Test overlap
-            if (this.solver.hitTest(coll, coll2)) {
-              // Apply response
-              this.solver.hitResponse(coll, coll2, a2b, b2a);
-            }
+        if (shape.type === CIRC) {
+          shapeCenter(shape, coll.position, CENTER);
+          cx = CENTER.x - x;
+          cy = CENTER.y - y;
+          if (cx * cx + cy * cy > shape.radius * shape.radius) {
+            continue;
+          }
+        }
+        else {
+          count = shapePoints(shape, coll.position, POINTS);
+          if (!pointInPolygon(POINTS, count, x, y)) {
+            continue;
           }
         }
+
+        out.push({ collider: coll, shape: shape, tile: 0, r: -1, q: -1 });
+        break;
       }
     }
 
-    // Recycle arrays in the hash
-    for (i in hash) {
-      group = hash[i];
-      for (j in group) {
-        putArray(group[j]);
-        delete group[j];
+    if (hitMap && this.collisionMap) {
+      this.collisionMap.queryPoint(x, y, out);
+    }
+
+    return out;
+  }
+
+  /**
+   * Find colliders whose bounds overlap a rectangle with the
+   * broadphase, as candidates of the queries. Bounds of the colliders
+   * are updated first if they may have moved since last query.
+   * @memberof Physics#
+   * @method queryCandidates
+   * @param  {Number} minX Left of the rectangle
+   * @param  {Number} minY Top of the rectangle
+   * @param  {Number} maxX Right of the rectangle
+   * @param  {Number} maxY Bottom of the rectangle
+   * @return {Array<Collider>} Candidates, the list is reused by next query
+   * @private
+   */
+  queryCandidates(minX, minY, maxX, maxY) {
+    let i, coll;
+    if (this.queryDirty) {
+      this.queryDirty = false;
+      for (i = 0; i < this.colliders.length; i++) {
+        coll = this.colliders[i];
+        if (coll.isRemoved || !coll.shape) {
+          continue;
+        }
+
+        coll.updateBounds();
+        this.broadphase.update(coll);
       }
-      delete hash[i];
     }
+
+    CANDIDATES.length = 0;
+    this.broadphase.query(minX, minY, maxX, maxY, CANDIDATES);
+
+    return CANDIDATES;
   }
 
   /**
-   * Remove all colliders and collision groups.
+   * Remove all colliders, joints and collision groups.
    * @memberof Physics#
    * @method cleanup
    */
   cleanup() {
     this.colliders.length = 0;
+    this.joints.length = 0;
+    this.broadphase.clear();
+    this.contacts = {};
   }
 
   /**
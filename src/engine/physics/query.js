@@ -0,0 +1,448 @@
+import Vector from 'engine/Vector';
+import { BOX, POLY } from './const';
+
+/**
+ * Geometry helpers used by raycasts and shape queries of the physics
+ * system and `CollisionMap`. Convex polygons are lists of points in
+ * world space, in any winding order.
+ *
+ * @module engine/physics/query
+ * @private
+ */
+
+/**
+ * Temp normal of an edge and center of a polygon.
+ * @type {Vector}
+ * @private
+ */
+const EDGE_NORMAL = Vector.create();
+const CENTER = Vector.create();
+
+/**
+ * Tolerance of ray fractions, so rays starting right on the surface
+ * still hit.
+ * @type {Number}
+ * @private
+ */
+const EPSILON = 1e-9;
+
+/**
+ * Calculate outward normal of an edge of a convex polygon.
+ * @param  {Array<Vector>} points Points of the polygon
+ * @param  {Number} count         Number of points
+ * @param  {Number} i             Index of the edge(from point i to i + 1)
+ * @param  {Number} cx            X of the center
+ * @param  {Number} cy            Y of the center
+ * @param  {Vector} out           Vector to save the normal to
+ * @return {Vector}               The normal
+ * @private
+ */
+function edgeNormal(points, count, i, cx, cy, out) {
+  const p1 = points[i];
+  const p2 = points[(i + 1) % count];
+
+  out.set(p2.y - p1.y, p1.x - p2.x).normalize();
+
+  // Point away from the center
+  if (out.x * (cx - p1.x) + out.y * (cy - p1.y) > 0) {
+    out.set(-out.x, -out.y);
+  }
+
+  return out;
+}
+
+/**
+ * Calculate center of a polygon(average of its points).
+ * @param  {Array<Vector>} points Points of the polygon
+ * @param  {Number} count         Number of points
+ * @param  {Vector} out           Vector to save the center to
+ * @return {Vector}               The center
+ * @private
+ */
+function center(points, count, out) {
+  let i, x = 0, y = 0;
+  for (i = 0; i < count; i++) {
+    x += points[i].x;
+    y += points[i].y;
+  }
+  return out.set(x / count, y / count);
+}
+
+/**
+ * Get center of a shape in world space.
+ * @param  {Box|Circle|Polygon} shape Shape
+ * @param  {Vector} pos               Position of its collider
+ * @param  {Vector} out               Vector to save the center to
+ * @return {Vector} The center, position of the collider for polygons
+ */
+export function shapeCenter(shape, pos, out) {
+  out.set(pos.x, pos.y);
+  if (shape.type !== POLY && (shape.offset.x !== 0 || shape.offset.y !== 0)) {
+    out.add(
+      shape.offset.x * Math.cos(shape.rotation) - shape.offset.y * Math.sin(shape.rotation),
+      shape.offset.x * Math.sin(shape.rotation) + shape.offset.y * Math.cos(shape.rotation)
+    );
+  }
+  return out;
+}
+
+/**
+ * Get points of a shape in world space.
+ * @param  {Box|Circle|Polygon} shape Shape
+ * @param  {Vector} pos               Position of its collider
+ * @param  {Array<Vector>} out        List to save the points to, grows when not long enough
+ * @return {Number} Number of points, 0 for circles
+ */
+export function shapePoints(shape, pos, out) {
+  let i;
+  if (shape.type === BOX) {
+    const hw = shape.width * 0.5;
+    const hh = shape.height * 0.5;
+
+    for (i = out.length; i < 4; i++) {
+      out.push(Vector.create());
+    }
+    out[0].set(shape.offset.x - hw, shape.offset.y - hh);
+    out[1].set(shape.offset.x + hw, shape.offset.y - hh);
+    out[2].set(shape.offset.x + hw, shape.offset.y + hh);
+    out[3].set(shape.offset.x - hw, shape.offset.y + hh);
+
+    for (i = 0; i < 4; i++) {
+      if (shape.rotation) {
+        out[i].rotate(shape.rotation);
+      }
+      out[i].add(pos.x, pos.y);
+    }
+
+    return 4;
+  }
+  else if (shape.type === POLY) {
+    const points = shape.calcPoints;
+
+    for (i = out.length; i < points.length; i++) {
+      out.push(Vector.create());
+    }
+    for (i = 0; i < points.length; i++) {
+      out[i].set(points[i].x + pos.x, points[i].y + pos.y);
+    }
+
+    return points.length;
+  }
+
+  return 0;
+}
+
+/**
+ * Cast a ray against a convex polygon.
+ * @param  {Array<Vector>} points Points of the polygon
+ * @param  {Number} count         Number of points
+ * @param  {Number} ox            X of ray origin
+ * @param  {Number} oy            Y of ray origin
+ * @param  {Number} dx            X of ray direction(ray ends at origin + direction)
+ * @param  {Number} dy            Y of ray direction
+ * @param  {Vector} normal        Vector to save normal of the hit edge to
+ * @return {Number} Fraction(0 to 1) of the ray where it hits, -1 if not hit
+ */
+export function rayPolygon(points, count, ox, oy, dx, dy, normal) {
+  center(points, count, CENTER);
+
+  let i, num, denom, t, tEnter = 0, tExit = 1, entered = false;
+  for (i = 0; i < count; i++) {
+    edgeNormal(points, count, i, CENTER.x, CENTER.y, EDGE_NORMAL);
+
+    num = EDGE_NORMAL.x * (points[i].x - ox) + EDGE_NORMAL.y * (points[i].y - oy);
+    denom = EDGE_NORMAL.x * dx + EDGE_NORMAL.y * dy;
+
+    if (denom === 0) {
+      // Parallel and outside of this edge
+      if (num < 0) {
+        return -1;
+      }
+      continue;
+    }
+
+    t = num / denom;
+    if (denom < 0) {
+      // Entering
+      if (t > tEnter || !entered && t >= tEnter) {
+        tEnter = t;
+        normal.copy(EDGE_NORMAL);
+        entered = true;
+      }
+    }
+    else if (t < tExit) {
+      // Leaving
+      tExit = t;
+    }
+
+    if (tEnter > tExit) {
+      return -1;
+    }
+  }
+
+  // Origin is inside
+  if (!entered) {
+    normal.set(-dx, -dy).normalize();
+    return 0;
+  }
+
+  return tEnter;
+}
+
+/**
+ * Cast a ray against a circle.
+ * @param  {Number} cx      X of circle center
+ * @param  {Number} cy      Y of circle center
+ * @param  {Number} radius  Radius of the circle
+ * @param  {Number} ox      X of ray origin
+ * @param  {Number} oy      Y of ray origin
+ * @param  {Number} dx      X of ray direction(ray ends at origin + direction)
+ * @param  {Number} dy      Y of ray direction
+ * @param  {Vector} normal  Vector to save normal at the hit point to
+ * @return {Number} Fraction(0 to 1) of the ray where it hits, -1 if not hit
+ */
+export function rayCircle(cx, cy, radius, ox, oy, dx, dy, normal) {
+  const fx = ox - cx;
+  const fy = oy - cy;
+  const c = fx * fx + fy * fy - radius * radius;
+
+  // Origin is inside
+  if (c <= 0) {
+    normal.set(-dx, -dy).normalize();
+    return 0;
+  }
+
+  const a = dx * dx + dy * dy;
+  const b = 2 * (fx * dx + fy * dy);
+  const disc = b * b - 4 * a * c;
+  if (a === 0 || disc < 0) {
+    return -1;
+  }
+
+  let t = (-b - Math.sqrt(disc)) / (2 * a);
+  if (t < -EPSILON || t > 1) {
+    return -1;
+  }
+  t = Math.max(0, t);
+
+  normal.set(fx + dx * t, fy + dy * t).normalize();
+  return t;
+}
+
+/**
+ * Whether a point is inside a convex polygon.
+ * @param  {Array<Vector>} points Points of the polygon
+ * @param  {Number} count         Number of points
+ * @param  {Number} x             X of the point
+ * @param  {Number} y             Y of the point
+ * @return {Boolean}
+ */
+export function pointInPolygon(points, count, x, y) {
+  center(points, count, CENTER);
+
+  let i, inside = true;
+  for (i = 0; i < count && inside; i++) {
+    edgeNormal(points, count, i, CENTER.x, CENTER.y, EDGE_NORMAL);
+    inside = EDGE_NORMAL.x * (x - points[i].x) + EDGE_NORMAL.y * (y - points[i].y) <= 0;
+  }
+
+  return inside;
+}
+
+/**
+ * Whether a rectangle overlaps a convex polygon.
+ * @param  {Array<Vector>} points Points of the polygon
+ * @param  {Number} count         Number of points
+ * @param  {Number} left          Left of the rectangle
+ * @param  {Number} top           Top of the rectangle
+ * @param  {Number} right         Right of the rectangle
+ * @param  {Number} bottom        Bottom of the rectangle
+ * @return {Boolean}
+ */
+export function rectPolygon(points, count, left, top, right, bottom) {
+  let i, j, min, max, d, rMin, rMax;
+
+  // Axes of the rectangle
+  min = Infinity;
+  max = -Infinity;
+  for (i = 0; i < count; i++) {
+    min = Math.min(min, points[i].x);
+    max = Math.max(max, points[i].x);
+  }
+  if (min > right || max < left) {
+    return false;
+  }
+  min = Infinity;
+  max = -Infinity;
+  for (i = 0; i < count; i++) {
+    min = Math.min(min, points[i].y);
+    max = Math.max(max, points[i].y);
+  }
+  if (min > bottom || max < top) {
+    return false;
+  }
+
+  // Axes of the polygon
+  center(points, count, CENTER);
+  for (i = 0; i < count; i++) {
+    edgeNormal(points, count, i, CENTER.x, CENTER.y, EDGE_NORMAL);
+
+    min = Infinity;
+    max = -Infinity;
+    for (j = 0; j < count; j++) {
+      d = EDGE_NORMAL.x * points[j].x + EDGE_NORMAL.y * points[j].y;
+      min = Math.min(min, d);
+      max = Math.max(max, d);
+    }
+
+    rMin = Math.min(EDGE_NORMAL.x * left, EDGE_NORMAL.x * right) + Math.min(EDGE_NORMAL.y * top, EDGE_NORMAL.y * bottom);
+    rMax = Math.max(EDGE_NORMAL.x * left, EDGE_NORMAL.x * right) + Math.max(EDGE_NORMAL.y * top, EDGE_NORMAL.y * bottom);
+    if (min > rMax || max < rMin) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Whether a circle overlaps a convex polygon.
+ * @param  {Array<Vector>} points Points of the polygon
+ * @param  {Number} count         Number of points
+ * @param  {Number} x             X of circle center
+ * @param  {Number} y             Y of circle center
+ * @param  {Number} radius        Radius of the circle
+ * @return {Boolean}
+ */
+export function circlePolygon(points, count, x, y, radius) {
+  if (pointInPolygon(points, count, x, y)) {
+    return true;
+  }
+
+  // Distance to the closest edge
+  let i, p1, p2, ex, ey, len, t, px, py;
+  for (i = 0; i < count; i++) {
+    p1 = points[i];
+    p2 = points[(i + 1) % count];
+
+    ex = p2.x - p1.x;
+    ey = p2.y - p1.y;
+    len = ex * ex + ey * ey;
+    t = (len > 0) ? Math.max(0, Math.min(1, ((x - p1.x) * ex + (y - p1.y) * ey) / len)) : 0;
+
+    px = p1.x + ex * t - x;
+    py = p1.y + ey * t - y;
+    if (px * px + py * py <= radius * radius) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Cast a ray against a convex polygon inflated by a radius(rounded
+ * corners), which is the shape a moving circle hits.
+ * @param  {Array<Vector>} points Points of the polygon
+ * @param  {Number} count         Number of points
+ * @param  {Number} radius        Radius to inflate
+ * @param  {Number} ox            X of ray origin
+ * @param  {Number} oy            Y of ray origin
+ * @param  {Number} dx            X of ray direction(ray ends at origin + direction)
+ * @param  {Number} dy            Y of ray direction
+ * @param  {Vector} normal        Vector to save normal at the hit point to
+ * @return {Number} Fraction(0 to 1) of the ray where it hits, -1 if not hit
+ */
+export function rayRoundedPolygon(points, count, radius, ox, oy, dx, dy, normal) {
+  // Origin is inside
+  if (circlePolygon(points, count, ox, oy, radius)) {
+    normal.set(-dx, -dy).normalize();
+    return 0;
+  }
+
+  center(points, count, CENTER);
+
+  let i, p1, p2, nx, ny, denom, t, ex, ey, len, s, tMin = 2;
+  for (i = 0; i < count; i++) {
+    p1 = points[i];
+    p2 = points[(i + 1) % count];
+
+    // Corners
+    t = rayCircle(p1.x, p1.y, radius, ox, oy, dx, dy, EDGE_NORMAL);
+    if (t >= 0 && t < tMin) {
+      tMin = t;
+      normal.copy(EDGE_NORMAL);
+    }
+
+    // Edges moved outward by the radius
+    edgeNormal(points, count, i, CENTER.x, CENTER.y, EDGE_NORMAL);
+    nx = EDGE_NORMAL.x;
+    ny = EDGE_NORMAL.y;
+    denom = nx * dx + ny * dy;
+    if (denom >= 0) {
+      continue;
+    }
+
+    t = (nx * (p1.x + nx * radius - ox) + ny * (p1.y + ny * radius - oy)) / denom;
+    if (t < -EPSILON || t > 1 || t >= tMin) {
+      continue;
+    }
+    t = Math.max(0, t);
+
+    // Hit point should be inside the edge
+    ex = p2.x - p1.x;
+    ey = p2.y - p1.y;
+    len = ex * ex + ey * ey;
+    s = (len > 0) ? ((ox + dx * t - p1.x) * ex + (oy + dy * t - p1.y) * ey) / len : -1;
+    if (s >= 0 && s <= 1) {
+      tMin = t;
+      normal.set(nx, ny);
+    }
+  }
+
+  return (tMin <= 1) ? tMin : -1;
+}
+
+/**
+ * Calculate convex hull of points.
+ * @param  {Array<Vector>} points Points
+ * @param  {Number} count         Number of points
+ * @param  {Array<Vector>} out    List to save points of the hull to, grows when not long enough
+ * @return {Number} Number of points of the hull
+ */
+export function convexHull(points, count, out) {
+  const list = points.slice(0, count).sort((a, b) => (a.x - b.x) || (a.y - b.y));
+
+  let i, k = 0, lower;
+  for (i = out.length; i < count * 2; i++) {
+    out.push(Vector.create());
+  }
+
+  // Monotone chain, lower part then upper part
+  for (i = 0; i < count; i++) {
+    while (k >= 2 && cross(out[k - 2], out[k - 1], list[i]) <= 0) {
+      k--;
+    }
+    out[k++].copy(list[i]);
+  }
+  for (i = count - 2, lower = k + 1; i >= 0; i--) {
+    while (k >= lower && cross(out[k - 2], out[k - 1], list[i]) <= 0) {
+      k--;
+    }
+    out[k++].copy(list[i]);
+  }
+
+  return k - 1;
+}
+
+/**
+ * Cross product of vector o->a and o->b.
+ * @param  {Vector} o Origin
+ * @param  {Vector} a First point
+ * @param  {Vector} b Second point
+ * @return {Number}   Cross product
+ * @private
+ */
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
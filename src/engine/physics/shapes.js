@@ -30,6 +30,12 @@ export class Box {
      * @default 0
      */
     this.rotation = 0;
+    /**
+     * Offset of the center to collider position, rotates with the
+     * shape. Used by compound colliders.
+     * @property {Vector} offset
+     */
+    this.offset = new Vector();
 
     /**
      * Type of this shape, should always be `BOX`.
@@ -39,6 +45,27 @@ export class Box {
     this.type = BOX;
   }
 
+  /**
+   * Get bounds of this box relative to collider position, which
+   * contain the rotated box around its rotated offset.
+   * @memberof Box#
+   * @param {object} out  Object to save `left`, `top`, `right` and `bottom` to
+   * @return {object}     The bounds
+   */
+  getBounds(out) {
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const x = this.offset.x * cos - this.offset.y * sin;
+    const y = this.offset.x * sin + this.offset.y * cos;
+    const halfWidth = (Math.abs(this.width * cos) + Math.abs(this.height * sin)) * 0.5;
+    const halfHeight = (Math.abs(this.width * sin) + Math.abs(this.height * cos)) * 0.5;
+    out.left = x - halfWidth;
+    out.right = x + halfWidth;
+    out.top = y - halfHeight;
+    out.bottom = y + halfHeight;
+    return out;
+  }
+
   toPolygon() {
     const halfWidth = this.width * 0.5;
     const halfHeight = this.height * 0.5;
@@ -72,6 +99,12 @@ export class Circle {
      * @default 0
      */
     this.rotation = 0;
+    /**
+     * Offset of the center to collider position, rotates with the
+     * shape. Used by compound colliders.
+     * @property {Vector} offset
+     */
+    this.offset = new Vector();
 
     /**
      * Type of this shape, should always be `CIRC`.
@@ -98,6 +131,22 @@ export class Circle {
   get height() {
     return this.radius * 2;
   }
+
+  /**
+   * Get bounds of this circle relative to collider position.
+   * @memberof Circle#
+   * @param {object} out  Object to save `left`, `top`, `right` and `bottom` to
+   * @return {object}     The bounds
+   */
+  getBounds(out) {
+    const x = this.offset.x * Math.cos(this.rotation) - this.offset.y * Math.sin(this.rotation);
+    const y = this.offset.x * Math.sin(this.rotation) + this.offset.y * Math.cos(this.rotation);
+    out.left = x - this.radius;
+    out.right = x + this.radius;
+    out.top = y - this.radius;
+    out.bottom = y + this.radius;
+    return out;
+  }
 }
 
 /**
@@ -125,6 +174,12 @@ export class Polygon {
      * @type {number}
      */
     this.height = 1;
+    /**
+     * Bounds of rotated vertices relative to collider position.
+     * @private
+     * @type {object}
+     */
+    this.bounds = { left: 0, top: 0, right: 0, bottom: 0 };
 
     /**
      * Vertices.
@@ -152,7 +207,8 @@ export class Polygon {
     this.normals = [];
 
     /**
-     * Offset of the vertices to the center.
+     * Offset of the vertices to the center(collider position), applied
+     * before rotation.
      * @type {Vector}
      */
     this.offset = new Vector();
@@ -175,6 +231,20 @@ export class Polygon {
     this._recalc();
   }
 
+  /**
+   * Get bounds of the rotated vertices relative to collider position.
+   * @memberof Polygon#
+   * @param {object} out  Object to save `left`, `top`, `right` and `bottom` to
+   * @return {object}     The bounds
+   */
+  getBounds(out) {
+    out.left = this.bounds.left;
+    out.top = this.bounds.top;
+    out.right = this.bounds.right;
+    out.bottom = this.bounds.bottom;
+    return out;
+  }
+
   /**
    * Set the points of the polygon.
    * @memberof Polygon#
@@ -298,6 +368,10 @@ export class Polygon {
     // Calculate size
     this.width = right - left;
     this.height = bottom - top;
+    this.bounds.left = left;
+    this.bounds.top = top;
+    this.bounds.right = right;
+    this.bounds.bottom = bottom;
 
     return this;
   }
@@ -0,0 +1,178 @@
+import Behavior from 'engine/Behavior';
+import Collider from 'engine/physics/Collider';
+
+/**
+ * Prefabs are data-driven entity definitions, usually loaded from JSON
+ * files and spawned with `Game#spawnPrefab`:
+ *
+ * ```json
+ * {
+ *   "prefabs": {
+ *     "monster": {
+ *       "type": "Monster",
+ *       "layer": "actors",
+ *       "tags": ["enemy"],
+ *       "settings": { "speed": 40 },
+ *       "gfx": { "type": "Sprite", "texture": "monster.png", "anchor": { "x": 0.5, "y": 0.5 } },
+ *       "coll": { "shape": "Box", "width": 16, "height": 16, "layer": "enemy" },
+ *       "behaviors": { "Health": { "hp": 10 } }
+ *     },
+ *     "orc": {
+ *       "extends": "monster",
+ *       "gfx": { "texture": "orc.png" },
+ *       "behaviors": { "Health": { "hp": 20 } }
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * Fields of a prefab:
+ *
+ * - `extends`: name of the prefab to inherit from
+ * - `type`: registered `Entity` type, base `Entity` by default
+ * - `layer`: name of the gfx layer to add to
+ * - `tags`: tags of the entity
+ * - `settings`: settings passed to the entity
+ * - `gfx`: data passed to the gfx factory of `type`(see `gfxTypes`)
+ * - `coll`: settings of the `Collider`
+ * - `behaviors`: settings of behaviors by their types
+ *
+ * Objects are deeply merged into the inherited ones, other values
+ * (including lists) replace them. Set a field to `null` to remove it,
+ * like a behavior of the parent.
+ *
+ * JSON files are parsed by the loader middleware added by `engine/gfx`.
+ *
+ * @module engine/prefab
+ */
+
+/**
+ * Definitions of prefabs by name.
+ * @type {Object}
+ * @readonly
+ */
+export const prefabs = {};
+
+/**
+ * Gfx factories prefabs can use by `gfx.type`, filled with the built-in
+ * ones by `engine/gfx`, add your own ones here.
+ * @type {Object}
+ */
+export const gfxTypes = {};
+
+/**
+ * Define a prefab.
+ * @param  {String} name  Name of the prefab
+ * @param  {Object} def   Definition of the prefab
+ */
+export function define(name, def) {
+  if (!prefabs[name]) {
+    prefabs[name] = def;
+  }
+  else {
+    console.log(`[WARNING]: "${name}" prefab is already defined!`);
+  }
+}
+
+/**
+ * Get the definition of a prefab with inherited fields and overrides
+ * merged. The result is a new object that can be safely modified.
+ * @param  {String} name        Name of the prefab
+ * @param  {Object} [overrides] Fields to override, in prefab format
+ * @return {Object}             Merged definition, `null` when not found
+ */
+export function resolve(name, overrides) {
+  let def = {}, chain = [], p = name;
+  while (p) {
+    if (!prefabs[p]) {
+      console.log(`[WARNING]: Prefab "${p}" does not exist!`);
+      return null;
+    }
+    if (chain.indexOf(p) >= 0) {
+      console.log(`[WARNING]: Prefab "${name}" inherits from itself!`);
+      return null;
+    }
+    chain.push(p);
+    p = prefabs[p].extends;
+  }
+
+  for (let i = chain.length - 1; i >= 0; i--) {
+    def = mergeDef(def, prefabs[chain[i]]);
+  }
+  if (overrides) {
+    def = mergeDef(def, overrides);
+  }
+  delete def.extends;
+
+  return def;
+}
+
+/**
+ * Add components and behaviors of a resolved prefab to an entity,
+ * called by `Game#spawnPrefab` before the entity is spawned.
+ * @param  {Entity} ent Entity to add to
+ * @param  {Object} def Resolved definition
+ * @return {Entity}     The entity
+ */
+export function apply(ent, def) {
+  if (def.gfx) {
+    const factory = gfxTypes[def.gfx.type || 'Sprite'];
+    if (factory) {
+      ent.addComponent(factory(def.gfx));
+    }
+    else {
+      console.log(`[WARNING]: Gfx type "${def.gfx.type}" is not supported by prefabs!`);
+    }
+  }
+
+  if (def.coll) {
+    ent.addComponent(Collider(def.coll));
+  }
+
+  for (let type in def.behaviors) {
+    if (!Behavior.types[type]) {
+      console.log(`[WARNING]: Behavior type "${type}" does not exist!`);
+      continue;
+    }
+    ent.behave(type, def.behaviors[type]);
+  }
+
+  return ent;
+}
+
+/**
+ * Whether a value is a plain object(not list or class instances).
+ * @param  {*} obj  Value to check
+ * @return {Boolean}
+ * @private
+ */
+function isPlainObject(obj) {
+  return !!obj && typeof(obj) === 'object' && Object.getPrototypeOf(obj) === Object.prototype;
+}
+
+/**
+ * Merge 2 prefab definitions into a new one.
+ * @param  {Object} base      Definition to merge into
+ * @param  {Object} extended  Definition to merge
+ * @return {Object}           Merged definition
+ * @private
+ */
+function mergeDef(base, extended) {
+  const result = {};
+  let k;
+  for (k in base) {
+    result[k] = isPlainObject(base[k]) ? mergeDef({}, base[k]) : base[k];
+  }
+  for (k in extended) {
+    if (extended[k] === null) {
+      delete result[k];
+    }
+    else if (isPlainObject(extended[k])) {
+      result[k] = mergeDef(isPlainObject(result[k]) ? result[k] : {}, extended[k]);
+    }
+    else if (extended[k] !== undefined) {
+      result[k] = extended[k];
+    }
+  }
+  return result;
+}
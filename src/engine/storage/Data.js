@@ -135,6 +135,24 @@ export default class Data extends EventEmitter {
     return this;
   }
 
+  /**
+   * Add an object property, like a snapshot from `Game#serialize`.
+   * @memberof Data#
+   * @method addObject
+   * @param {string} key          Key of this property
+   * @param {object} defaultVal   Default value of this property
+   * @return {Data}               Self for chaining
+   */
+  addObject(key, defaultVal) {
+    if (this.validKey(key)) {
+      this.keys.push(key);
+      this.data[key] = defaultVal || null;
+      this.defaultVal[key] = this.data[key];
+    }
+
+    return this;
+  }
+
   /**
    * Check whether this data has a property with a key.
    * @memberof Data#
@@ -46,6 +46,12 @@ export default class PersistentData extends Data {
       ) {
         valid = true;
       }
+      else if (
+        (typeof(this.defaultVal[key]) === 'object') && !(this.defaultVal[key] instanceof Array) &&
+        (typeof(value) === 'object') && !(value instanceof Array)
+      ) {
+        valid = true;
+      }
 
       this.set(key, valid ? data[key] : this.defaultVal[key]);
     }
@@ -0,0 +1,309 @@
+import loader from 'engine/loader';
+import Entity from 'engine/Entity';
+import BackgroundMap from 'engine/gfx/BackgroundMap';
+import CollisionMap from 'engine/physics/CollisionMap';
+import tiledParser from './parser';
+
+// Parse Tiled maps while loading
+loader.use(tiledParser());
+
+/**
+ * Bits of a global tile ID used as flip flags.
+ * @type {Number}
+ * @private
+ */
+const FLAG_MASK = 0xF0000000;
+
+/**
+ * Flip flags `BackgroundMap` supports(horizontal, vertical and
+ * diagonal), the hexagonal rotation flag is dropped.
+ * @type {Number}
+ * @private
+ */
+const FLIP_MASK = 0xE0000000;
+
+/**
+ * Find the tileset a global tile ID belongs to.
+ * @private
+ * @param  {Array} tilesets Tilesets of the map
+ * @param  {Number} gid     Global tile ID without flags
+ * @return {Object}         Tileset or null
+ */
+function findTileset(tilesets, gid) {
+  let i, result = null;
+  for (i = 0; i < tilesets.length; i++) {
+    if (tilesets[i].firstgid <= gid && (!result || tilesets[i].firstgid > result.firstgid)) {
+      result = tilesets[i];
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert a tile layer into a 2D array.
+ * @private
+ * @param  {Object} layer       Tile layer
+ * @param  {Function} convert   Function converts a global tile ID(without flags) and its flags into tile index
+ * @return {Array<Array>}       2D array of the tiles
+ */
+function toGrid(layer, convert) {
+  let r, q, value, gid, row, grid = new Array(layer.height);
+  for (r = 0; r < layer.height; r++) {
+    row = grid[r] = new Array(layer.width);
+    for (q = 0; q < layer.width; q++) {
+      value = layer.data[r * layer.width + q] || 0;
+      gid = value & ~FLAG_MASK;
+      row[q] = (gid > 0) ? convert(gid, (value & FLAG_MASK) >>> 0) : 0;
+    }
+  }
+  return grid;
+}
+
+/**
+ * Get gfx layer of a Tiled layer, create it when not exist.
+ * @private
+ * @param  {Gfx} gfx          Gfx system
+ * @param  {String} name      Name of the layer
+ * @param  {String} [parent]  Parent of newly created layer
+ * @return {Node}             Layer container
+ */
+function gfxLayer(gfx, name, parent) {
+  if (!gfx.layers.hasOwnProperty(name)) {
+    gfx.createLayer(name, parent);
+  }
+  return gfx.layers[name];
+}
+
+/**
+ * Create a `BackgroundMap` from a tile layer, with tilesets used by
+ * the layer. Flip flags and tile animations are kept.
+ * @private
+ * @param  {Object} map   Map data
+ * @param  {Object} layer Tile layer
+ * @return {BackgroundMap} Map node, or null if the layer is empty
+ */
+function createBackground(map, layer) {
+  let i, gid, tileset, used = [];
+  for (i = 0; i < layer.data.length; i++) {
+    gid = layer.data[i] & ~FLAG_MASK;
+    if (gid > 0) {
+      tileset = findTileset(map.tilesets, gid);
+      if (tileset && used.indexOf(tileset) < 0) {
+        used.push(tileset);
+      }
+    }
+  }
+
+  const tilesets = [];
+  for (i = 0; i < used.length; i++) {
+    tileset = used[i];
+    if (!tileset.texture) {
+      console.log(`[WARNING]: Texture of tileset "${tileset.name}" is not loaded!`);
+      continue;
+    }
+    if (tileset.margin || tileset.spacing) {
+      console.log(`[WARNING]: Margin and spacing of tileset "${tileset.name}" are not supported!`);
+    }
+
+    tilesets.push({
+      texture: tileset.texture,
+      firstgid: tileset.firstgid,
+    });
+  }
+  if (tilesets.length === 0) {
+    return null;
+  }
+
+  const data = toGrid(layer, (gid, flags) => (gid | (flags & FLIP_MASK)) >>> 0);
+
+  const bg = BackgroundMap(map.tilewidth, data, tilesets);
+  bg.position.set(layer.offsetx, layer.offsety);
+  bg.alpha = layer.opacity;
+  bg.visible = layer.visible;
+
+  // Tile animations
+  let id, frames;
+  for (i = 0; i < used.length; i++) {
+    tileset = used[i];
+    for (id in tileset.tiles) {
+      frames = tileset.tiles[id].animation;
+      if (Array.isArray(frames) && frames.length > 0) {
+        bg.addAnimation(
+          tileset.firstgid + Number(id),
+          frames.map((f) => tileset.firstgid + f.tileid),
+          frames.map((f) => f.duration)
+        );
+      }
+    }
+  }
+
+  return bg;
+}
+
+/**
+ * Create a `CollisionMap` from a tile layer. Tiles are solid(`1`)
+ * by default, set a `collision` property to the tile in Tiled to use
+ * other values.
+ * @private
+ * @param  {Object} map   Map data
+ * @param  {Object} layer Tile layer
+ * @return {CollisionMap} Collision map
+ */
+function createCollision(map, layer) {
+  const data = toGrid(layer, (gid) => {
+    const tileset = findTileset(map.tilesets, gid);
+    const tile = tileset && tileset.tiles[gid - tileset.firstgid];
+    if (tile && tile.properties.hasOwnProperty('collision')) {
+      return tile.properties.collision;
+    }
+    return 1;
+  });
+
+  return CollisionMap(map.tilewidth, data);
+}
+
+/**
+ * Spawn entities from an object layer. Type(or class) of the object
+ * is used as the entity type, and properties are passed as settings.
+ * Entities are placed at the center of their objects.
+ * @private
+ * @param  {Game} game      Game to spawn entities into
+ * @param  {Object} layer   Object layer
+ * @param  {String} name    Name of the gfx layer to add entities to
+ * @param  {Array} out      List to add spawned entities to
+ */
+function spawnObjects(game, layer, name, out) {
+  let i, obj, x, y, settings, ent;
+  for (i = 0; i < layer.objects.length; i++) {
+    obj = layer.objects[i];
+    if (!obj.type) {
+      continue;
+    }
+    if (!Entity.types[obj.type]) {
+      console.log(`[WARNING]: Entity type "${obj.type}" of object "${obj.name || obj.id}" does not exist!`);
+      continue;
+    }
+
+    x = obj.x + layer.offsetx;
+    y = obj.y + layer.offsety;
+    // Tile objects are aligned to bottom-left
+    if (obj.gid) {
+      y -= obj.height;
+    }
+    if (!obj.point) {
+      x += obj.width * 0.5;
+      y += obj.height * 0.5;
+    }
+
+    settings = Object.assign({}, obj.properties);
+    if (obj.name) {
+      settings.name = obj.name;
+    }
+
+    ent = game.spawnEntity(obj.type, x, y, name, settings);
+    if (ent) {
+      out.push(ent);
+    }
+  }
+}
+
+/**
+ * Build a Tiled map into a game:
+ *
+ * - Tile layers become `BackgroundMap`s, added to the gfx layers
+ *   with the same name (created when not exist), tile animations
+ *   and flipped tiles are supported
+ * - The collision layer becomes the `CollisionMap` of physics system
+ * - Objects with a type(`Entity.types`) are spawned as entities
+ *
+ * Orthogonal maps with square tiles are supported.
+ *
+ * @example
+ * import loader from 'engine/loader';
+ * import tiled from 'engine/tiled';
+ *
+ * loader.add('level1', 'level1.json');
+ *
+ * // After loaded
+ * const level = tiled(game, 'level1', { collisionLayer: 'walls' });
+ * level.backgrounds.ground.alpha = 0.5;
+ *
+ * @exports engine/tiled
+ * @requires module:engine/loader
+ * @requires module:engine/Entity
+ * @requires module:engine/gfx/BackgroundMap
+ * @requires module:engine/physics/CollisionMap
+ *
+ * @param  {Game} game                              Game to build the map into
+ * @param  {String|Object} map                      Key of the loaded map, or the parsed map data
+ * @param  {Object} [settings]                      Settings
+ * @param  {String} [settings.collisionLayer='collision'] Name of the collision layer, layers with a `collision` property are also used
+ * @param  {Boolean} [settings.drawCollision=false] Whether to draw the collision layer
+ * @param  {Boolean} [settings.spawnObjects=true]   Whether to spawn entities from objects
+ * @param  {String} [settings.parentLayer]          Parent of created gfx layers, default is the root
+ * @return {Object} Built map: `{ data, backgrounds, collisionMap, entities }`
+ */
+export default function(game, map, settings = {}) {
+  if (typeof(map) === 'string') {
+    const res = loader.resources[map];
+    if (!res || !res.tiledMap) {
+      console.log(`[WARNING]: Tiled map "${map}" is not loaded!`);
+      return null;
+    }
+    map = res.tiledMap;
+  }
+
+  const collisionLayer = settings.collisionLayer || 'collision';
+  const result = {
+    data: map,
+    backgrounds: {},
+    collisionMap: null,
+    entities: [],
+  };
+
+  if (map.orientation && map.orientation !== 'orthogonal') {
+    console.log(`[WARNING]: Only orthogonal Tiled maps are supported, "${map.orientation}" may not be drawn correctly!`);
+  }
+  if (map.tilewidth !== map.tileheight) {
+    console.log('[WARNING]: Tiled map with non-square tiles is not supported!');
+  }
+
+  const gfx = game.sysGfx;
+  const physics = game.sysPhysics;
+
+  let i, layer, isCollision, bg;
+  for (i = 0; i < map.layers.length; i++) {
+    layer = map.layers[i];
+
+    switch (layer.type) {
+      case 'tilelayer':
+        isCollision = (layer.name === collisionLayer || !!layer.properties.collision);
+        if (isCollision) {
+          result.collisionMap = createCollision(map, layer);
+          if (physics) {
+            physics.collisionMap = result.collisionMap;
+          }
+        }
+
+        if (gfx && (!isCollision || settings.drawCollision)) {
+          bg = createBackground(map, layer);
+          if (bg) {
+            gfxLayer(gfx, layer.name, settings.parentLayer).addChild(bg);
+            result.backgrounds[layer.name] = bg;
+          }
+        }
+        break;
+      case 'objectgroup':
+        if (settings.spawnObjects !== false) {
+          // Keep the order of layers
+          if (gfx) {
+            gfxLayer(gfx, layer.name, settings.parentLayer);
+          }
+          spawnObjects(game, layer, layer.name, result.entities);
+        }
+        break;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,601 @@
+import { Resource } from 'engine/loader';
+import dirname from 'engine/gfx/loaders/dirname';
+
+// Newer Tiled versions use these extensions for JSON maps and tilesets
+Resource.setExtensionXhrType('tmj', Resource.XHR_RESPONSE_TYPE.JSON);
+Resource.setExtensionXhrType('tsj', Resource.XHR_RESPONSE_TYPE.JSON);
+
+/**
+ * Convert value of a TMX attribute or property to the given type.
+ * @private
+ * @param  {String} value Value as string
+ * @param  {String} type  Type of the value
+ * @return {*}            Converted value
+ */
+function convertValue(value, type) {
+  switch (type) {
+    case 'int':
+    case 'float':
+    case 'object':
+      return Number(value);
+    case 'bool':
+      return value === 'true';
+    default:
+      return value;
+  }
+}
+
+/**
+ * Read a number attribute of a XML node.
+ * @private
+ * @param  {Element} node     XML node
+ * @param  {String} name      Name of the attribute
+ * @param  {Number} [def=0]   Default value
+ * @return {Number}           Value
+ */
+function numAttr(node, name, def = 0) {
+  const value = node.getAttribute(name);
+  return (value === null || value === '') ? def : Number(value);
+}
+
+/**
+ * Element children of a XML node.
+ * @private
+ * @param  {Element} node   XML node
+ * @param  {String} [name]  Only return children with this tag name
+ * @return {Array<Element>} Children
+ */
+function children(node, name) {
+  let i, child, list = [];
+  for (i = 0; i < node.childNodes.length; i++) {
+    child = node.childNodes[i];
+    if (child.nodeType === 1 && (!name || child.nodeName === name)) {
+      list.push(child);
+    }
+  }
+  return list;
+}
+
+/**
+ * Convert properties of a JSON map(array of `{ name, type, value }` in
+ * newer versions, or a plain object in old ones) to a plain object.
+ * @private
+ * @param  {Array|Object} props Properties
+ * @return {Object}             Properties as key-value pairs
+ */
+function jsonProperties(props) {
+  if (!Array.isArray(props)) {
+    return Object.assign({}, props);
+  }
+
+  let i, result = {};
+  for (i = 0; i < props.length; i++) {
+    result[props[i].name] = props[i].value;
+  }
+  return result;
+}
+/**
+ * Read properties of a TMX node.
+ * @private
+ * @param  {Element} node XML node
+ * @return {Object}       Properties as key-value pairs
+ */
+function xmlProperties(node) {
+  let i, j, list, prop, value, result = {};
+
+  list = children(node, 'properties');
+  for (i = 0; i < list.length; i++) {
+    prop = children(list[i], 'property');
+    for (j = 0; j < prop.length; j++) {
+      // Multi-line strings are saved as text content
+      value = prop[j].hasAttribute('value') ? prop[j].getAttribute('value') : prop[j].textContent;
+      result[prop[j].getAttribute('name')] = convertValue(value, prop[j].getAttribute('type'));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Decode base64 encoded tile data.
+ * @private
+ * @param  {String} str Encoded data
+ * @return {Array<Number>} Global tile IDs
+ */
+function decodeBase64(str) {
+  const bin = atob(str.trim());
+
+  let i, data = new Array(bin.length >> 2);
+  for (i = 0; i < data.length; i++) {
+    // Unsigned 32-bit little-endian, keep flip flags in the highest bits
+    data[i] = (
+      bin.charCodeAt(i * 4) |
+      bin.charCodeAt(i * 4 + 1) << 8 |
+      bin.charCodeAt(i * 4 + 2) << 16 |
+      bin.charCodeAt(i * 4 + 3) << 24
+    ) >>> 0;
+  }
+  return data;
+}
+/**
+ * Decode data of a tile layer.
+ * @private
+ * @param  {String|Array} data    Layer data
+ * @param  {String} encoding      Encoding of the data
+ * @param  {String} compression   Compression of the data
+ * @param  {String} name          Name of the layer
+ * @return {Array<Number>}        Global tile IDs
+ */
+function decodeData(data, encoding, compression, name) {
+  if (compression) {
+    console.log(`[WARNING]: Compressed(${compression}) tile layer "${name}" is not supported!`);
+    return [];
+  }
+
+  switch (encoding) {
+    case 'base64':
+      return decodeBase64(data);
+    case 'csv':
+      return data.trim().split(/\s*,\s*/).map(Number);
+    default:
+      return data;
+  }
+}
+
+/**
+ * Normalize a tileset of a JSON map.
+ * @private
+ * @param  {Object} data Tileset data
+ * @return {Object}      Tileset
+ */
+function jsonTileset(data) {
+  let i, k, tiles = {};
+  if (Array.isArray(data.tiles)) {
+    for (i = 0; i < data.tiles.length; i++) {
+      tiles[data.tiles[i].id] = Object.assign({}, data.tiles[i], {
+        properties: jsonProperties(data.tiles[i].properties),
+      });
+    }
+  }
+  // Old format uses tile IDs as keys
+  else if (data.tiles) {
+    for (k in data.tiles) {
+      tiles[k] = Object.assign({}, data.tiles[k], {
+        properties: jsonProperties(data.tileproperties && data.tileproperties[k]),
+      });
+    }
+  }
+  else if (data.tileproperties) {
+    for (k in data.tileproperties) {
+      tiles[k] = { properties: jsonProperties(data.tileproperties[k]) };
+    }
+  }
+
+  return {
+    firstgid: data.firstgid || 1,
+    source: data.source || null,
+    name: data.name,
+    tilewidth: data.tilewidth,
+    tileheight: data.tileheight,
+    spacing: data.spacing || 0,
+    margin: data.margin || 0,
+    columns: data.columns,
+    tilecount: data.tilecount,
+    image: data.image,
+    imagewidth: data.imagewidth,
+    imageheight: data.imageheight,
+    tiles: tiles,
+    properties: jsonProperties(data.properties),
+    texture: null,
+  };
+}
+/**
+ * Normalize a layer of a JSON map, group layers are flattened.
+ * @private
+ * @param  {Object} data    Layer data
+ * @param  {Object} parent  Parent group(offset, opacity and visibility)
+ * @param  {Array} out      List to add the layers to
+ */
+function jsonLayer(data, parent, out) {
+  const layer = {
+    type: data.type,
+    name: data.name,
+    opacity: (Number.isFinite(data.opacity) ? data.opacity : 1) * parent.opacity,
+    visible: data.visible !== false && parent.visible,
+    offsetx: (data.offsetx || 0) + parent.offsetx,
+    offsety: (data.offsety || 0) + parent.offsety,
+    properties: jsonProperties(data.properties),
+  };
+
+  let i, obj;
+  switch (data.type) {
+    case 'tilelayer':
+      layer.width = data.width;
+      layer.height = data.height;
+      if (data.chunks) {
+        console.log(`[WARNING]: Tile layer "${data.name}" of infinite map is not supported!`);
+        layer.data = [];
+      }
+      else {
+        layer.data = decodeData(data.data, data.encoding, data.compression, data.name);
+      }
+      break;
+    case 'objectgroup':
+      layer.objects = [];
+      for (i = 0; i < data.objects.length; i++) {
+        obj = Object.assign({}, data.objects[i]);
+        // Tiled 1.9 renames `type` to `class`
+        obj.type = obj.type || obj.class || '';
+        obj.properties = jsonProperties(obj.properties);
+        layer.objects.push(obj);
+      }
+      break;
+    case 'group':
+      for (i = 0; i < data.layers.length; i++) {
+        jsonLayer(data.layers[i], layer, out);
+      }
+      return;
+  }
+
+  out.push(layer);
+}
+
+/**
+ * Read a tileset from a TMX(or TSX) node.
+ * @private
+ * @param  {Element} node XML node
+ * @return {Object}       Tileset
+ */
+function xmlTileset(node) {
+  const image = children(node, 'image')[0];
+
+  let i, id, anim, tiles = {}, list = children(node, 'tile');
+  for (i = 0; i < list.length; i++) {
+    id = numAttr(list[i], 'id');
+    tiles[id] = {
+      id: id,
+      type: list[i].getAttribute('type') || list[i].getAttribute('class') || '',
+      properties: xmlProperties(list[i]),
+    };
+
+    anim = children(list[i], 'animation')[0];
+    if (anim) {
+      tiles[id].animation = children(anim, 'frame').map((f) => ({
+        tileid: numAttr(f, 'tileid'),
+        duration: numAttr(f, 'duration'),
+      }));
+    }
+  }
+
+  return {
+    firstgid: numAttr(node, 'firstgid', 1),
+    source: node.getAttribute('source') || null,
+    name: node.getAttribute('name'),
+    tilewidth: numAttr(node, 'tilewidth'),
+    tileheight: numAttr(node, 'tileheight'),
+    spacing: numAttr(node, 'spacing'),
+    margin: numAttr(node, 'margin'),
+    columns: numAttr(node, 'columns'),
+    tilecount: numAttr(node, 'tilecount'),
+    image: image ? image.getAttribute('source') : undefined,
+    imagewidth: image ? numAttr(image, 'width') : 0,
+    imageheight: image ? numAttr(image, 'height') : 0,
+    tiles: tiles,
+    properties: xmlProperties(node),
+    texture: null,
+  };
+}
+/**
+ * Read an object from a TMX node.
+ * @private
+ * @param  {Element} node XML node
+ * @return {Object}       Object data
+ */
+function xmlObject(node) {
+  const obj = {
+    id: numAttr(node, 'id'),
+    name: node.getAttribute('name') || '',
+    type: node.getAttribute('type') || node.getAttribute('class') || '',
+    x: numAttr(node, 'x'),
+    y: numAttr(node, 'y'),
+    width: numAttr(node, 'width'),
+    height: numAttr(node, 'height'),
+    rotation: numAttr(node, 'rotation'),
+    visible: node.getAttribute('visible') !== '0',
+    properties: xmlProperties(node),
+  };
+
+  if (node.hasAttribute('gid')) {
+    obj.gid = numAttr(node, 'gid');
+  }
+  if (children(node, 'point').length > 0) {
+    obj.point = true;
+  }
+  if (children(node, 'ellipse').length > 0) {
+    obj.ellipse = true;
+  }
+
+  let poly = children(node, 'polygon')[0] || children(node, 'polyline')[0];
+  if (poly) {
+    obj[poly.nodeName] = poly.getAttribute('points').trim().split(/\s+/).map((p) => {
+      p = p.split(',');
+      return { x: Number(p[0]), y: Number(p[1]) };
+    });
+  }
+
+  return obj;
+}
+/**
+ * Read a layer from a TMX node, group layers are flattened.
+ * @private
+ * @param  {Element} node   XML node
+ * @param  {Object} parent  Parent group(offset, opacity and visibility)
+ * @param  {Array} out      List to add the layers to
+ */
+function xmlLayer(node, parent, out) {
+  const type = {
+    layer: 'tilelayer',
+    objectgroup: 'objectgroup',
+    imagelayer: 'imagelayer',
+    group: 'group',
+  }[node.nodeName];
+  if (!type) {
+    return;
+  }
+
+  const layer = {
+    type: type,
+    name: node.getAttribute('name') || '',
+    opacity: numAttr(node, 'opacity', 1) * parent.opacity,
+    visible: node.getAttribute('visible') !== '0' && parent.visible,
+    offsetx: numAttr(node, 'offsetx') + parent.offsetx,
+    offsety: numAttr(node, 'offsety') + parent.offsety,
+    properties: xmlProperties(node),
+  };
+
+  let i, list, data;
+  switch (type) {
+    case 'tilelayer':
+      layer.width = numAttr(node, 'width');
+      layer.height = numAttr(node, 'height');
+
+      data = children(node, 'data')[0];
+      if (!data) {
+        layer.data = [];
+      }
+      else if (children(data, 'chunk').length > 0) {
+        console.log(`[WARNING]: Tile layer "${layer.name}" of infinite map is not supported!`);
+        layer.data = [];
+      }
+      else if (data.getAttribute('encoding')) {
+        layer.data = decodeData(data.textContent, data.getAttribute('encoding'), data.getAttribute('compression'), layer.name);
+      }
+      // Not encoded, one node per tile
+      else {
+        layer.data = children(data, 'tile').map((t) => numAttr(t, 'gid'));
+      }
+      break;
+    case 'objectgroup':
+      layer.objects = children(node, 'object').map(xmlObject);
+      break;
+    case 'group':
+      list = children(node);
+      for (i = 0; i < list.length; i++) {
+        xmlLayer(list[i], layer, out);
+      }
+      return;
+  }
+
+  out.push(layer);
+}
+
+/**
+ * Root group of a map.
+ * @private
+ * @type {Object}
+ */
+const ROOT = {
+  opacity: 1,
+  visible: true,
+  offsetx: 0,
+  offsety: 0,
+};
+
+/**
+ * Whether an object is a map exported as JSON by Tiled.
+ * @memberof module:engine/tiled/parser
+ * @param  {Object} data Data to check
+ * @return {Boolean}     Is a map or not
+ */
+export function isTiledJSON(data) {
+  return !!data && Array.isArray(data.layers) && Array.isArray(data.tilesets) && Number.isFinite(data.tilewidth);
+}
+
+/**
+ * Parse a map exported as JSON by Tiled.
+ * @memberof module:engine/tiled/parser
+ * @param  {Object} data JSON data
+ * @return {Object}      Map data
+ */
+export function parseJSON(data) {
+  let i, layers = [];
+  for (i = 0; i < data.layers.length; i++) {
+    jsonLayer(data.layers[i], ROOT, layers);
+  }
+
+  return {
+    orientation: data.orientation,
+    width: data.width,
+    height: data.height,
+    tilewidth: data.tilewidth,
+    tileheight: data.tileheight,
+    infinite: !!data.infinite,
+    tilesets: data.tilesets.map(jsonTileset),
+    layers: layers,
+    properties: jsonProperties(data.properties),
+  };
+}
+/**
+ * Parse a TMX map document.
+ * @memberof module:engine/tiled/parser
+ * @param  {Document} doc XML document
+ * @return {Object}       Map data
+ */
+export function parseTMX(doc) {
+  const node = doc.documentElement;
+
+  let i, list = children(node), tilesets = [], layers = [];
+  for (i = 0; i < list.length; i++) {
+    if (list[i].nodeName === 'tileset') {
+      tilesets.push(xmlTileset(list[i]));
+    }
+    else {
+      xmlLayer(list[i], ROOT, layers);
+    }
+  }
+
+  return {
+    orientation: node.getAttribute('orientation'),
+    width: numAttr(node, 'width'),
+    height: numAttr(node, 'height'),
+    tilewidth: numAttr(node, 'tilewidth'),
+    tileheight: numAttr(node, 'tileheight'),
+    infinite: node.getAttribute('infinite') === '1',
+    tilesets: tilesets,
+    layers: layers,
+    properties: xmlProperties(node),
+  };
+}
+/**
+ * Parse an external tileset(TSX document or JSON).
+ * @memberof module:engine/tiled/parser
+ * @param  {Document|Object} data Tileset data
+ * @return {Object}               Tileset
+ */
+export function parseTileset(data) {
+  if (data && data.documentElement) {
+    return xmlTileset(data.documentElement);
+  }
+  return jsonTileset(data);
+}
+
+/**
+ * Resolve a path relative to a resource, so it can be added to the loader.
+ * @private
+ * @param  {Loader} loader  Loader instance
+ * @param  {String} url     Url of the resource
+ * @param  {String} path    Path relative to the resource
+ * @return {String}         Path relative to the loader
+ */
+function resolve(loader, url, path) {
+  // Absolute path or data URI
+  if (/^(\w+:|\/)/.test(path)) {
+    return path;
+  }
+
+  let dir = dirname(url);
+  if (dir === '.') {
+    dir = '';
+  }
+
+  if (loader.baseUrl && dir) {
+    // if baseurl has a trailing slash then add one to dir so the replace works below
+    if (loader.baseUrl.charAt(loader.baseUrl.length - 1) === '/') {
+      dir += '/';
+    }
+    dir = dir.replace(loader.baseUrl, '');
+  }
+
+  if (dir && dir.charAt(dir.length - 1) !== '/') {
+    dir += '/';
+  }
+
+  return dir + path;
+}
+
+/**
+ * Loader middleware that parses Tiled maps(JSON or TMX). Parsed map
+ * is saved as `resource.tiledMap`, and tilesets(including external ones)
+ * are loaded with their textures saved as `tileset.texture`.
+ *
+ * @exports engine/tiled/parser
+ * @requires module:engine/loader
+ *
+ * @return {Function} Middleware
+ */
+export default function() {
+  return function(resource, next) {
+    let map = null;
+    if (!resource.data) {
+      map = null;
+    }
+    else if (resource.type === Resource.TYPE.XML && resource.data.documentElement && resource.data.documentElement.nodeName === 'map') {
+      map = parseTMX(resource.data);
+    }
+    else if (resource.type === Resource.TYPE.JSON && isTiledJSON(resource.data)) {
+      map = parseJSON(resource.data);
+    }
+
+    if (!map) {
+      next();
+      return;
+    }
+
+    resource.tiledMap = map;
+
+    const loader = this;
+    let pending = 0;
+    const done = () => {
+      pending -= 1;
+      if (pending === 0) {
+        next();
+      }
+    };
+    const options = (type) => ({
+      crossOrigin: resource.crossOrigin,
+      loadType: type,
+      parentResource: resource,
+    });
+    const loadTileset = (idx) => {
+      const source = map.tilesets[idx];
+      loader.add(`${resource.name}_tileset_${idx}`, resolve(loader, resource.url, source.source), options(Resource.LOAD_TYPE.XHR), (res) => {
+        // Keep an empty tileset without texture, so the map still loads
+        if (res.error || !res.data) {
+          console.log(`[WARNING]: Tileset "${source.source}" of Tiled map "${resource.name}" failed to load!`);
+          map.tilesets[idx] = parseTileset({ name: source.source, source: source.source, firstgid: source.firstgid });
+          done();
+          return;
+        }
+
+        const tileset = map.tilesets[idx] = parseTileset(res.data);
+        tileset.firstgid = source.firstgid;
+        loadImage(tileset, idx, res.url);
+      });
+    };
+    const loadImage = (tileset, idx, url) => {
+      if (!tileset.image) {
+        done();
+        return;
+      }
+      loader.add(`${resource.name}_tileset_${idx}_image`, resolve(loader, url, tileset.image), options(Resource.LOAD_TYPE.IMAGE), (res) => {
+        tileset.texture = res.texture;
+        done();
+      });
+    };
+
+    // Count all tilesets first, so `next` won't be called too early
+    pending = map.tilesets.length + 1;
+
+    for (let i = 0; i < map.tilesets.length; i++) {
+      // External tileset, load it before the image
+      if (map.tilesets[i].source) {
+        loadTileset(i);
+      }
+      else {
+        loadImage(map.tilesets[i], i, resource.url);
+      }
+    }
+
+    done();
+  };
+}
@@ -21,6 +21,14 @@ export default class Clock {
    * @param {number} [ms] Time
    */
   constructor(ms) {
+    /**
+     * Name of this timer, named timers are saved and restored by
+     * `Game#serialize` and `Game#deserialize`.
+     * @type {string}
+     * @default null
+     */
+    this.name = null;
+
     /**
      * @type {number}
      * @private
@@ -116,6 +124,37 @@ export default class Clock {
     return this;
   }
 
+  /**
+   * Get state of this timer as plain data, callback is not included.
+   * @method serialize
+   * @memberof Clock#
+   * @return {object} State of this timer
+   */
+  serialize() {
+    return {
+      duration: this.duration,
+      left: this._count,
+      repeat: this.repeat,
+      paused: !!this.paused,
+    };
+  }
+
+  /**
+   * Restore state of this timer from `serialize` result.
+   * @method deserialize
+   * @memberof Clock#
+   * @param {object} data State to restore
+   * @return {Clock} Self for chaining
+   */
+  deserialize(data) {
+    this.duration = data.duration;
+    this._count = data.left;
+    this.repeat = data.repeat;
+    this.paused = data.paused;
+    this.removed = false;
+    return this;
+  }
+
   /**
    * Update method that is called by timer system.
    * @method update
@@ -1,4 +1,5 @@
 import System from 'engine/System';
+import Entity from 'engine/Entity';
 import { removeItems } from 'engine/utils/array';
 import Clock from './Clock';
 
@@ -20,6 +21,9 @@ function createTimer(ms) {
     t = new Clock(ms);
   }
   else {
+    // Clear state left from the last use
+    t.name = null;
+    t.paused = false;
     t.set(ms);
   }
   return t;
@@ -33,6 +37,20 @@ function recycleTimer(timer) {
   pool.push(timer);
 }
 
+/**
+ * Find the restored context entity of a saved timer.
+ * @private
+ * @param  {Object} saved   Saved timer
+ * @param  {Object} spawned Restored entities by their saved `id`
+ * @return {Entity}         The entity, `undefined` if context was not an entity, `null` if not restored
+ */
+function restoredContext(saved, spawned) {
+  if (saved.context === null || saved.context === undefined) {
+    return undefined;
+  }
+  return spawned[saved.context] || null;
+}
+
 /**
  * Clock system.
  */
@@ -52,6 +70,16 @@ export default class Timer extends System {
     };
     this.activeTags = ['0'];
     this.deactiveTags = [];
+
+    /**
+     * Functions to create named timers that are saved but not alive
+     * while restoring, by timer name. Called with the restored context
+     * entity(if it was one) and tag, and should return the new timer.
+     * @example
+     * game.sysTimer.factories.wave = (context, tag) => game.sysTimer.later(1000, spawnWave, context, tag);
+     * @type {Object}
+     */
+    this.factories = {};
   }
 
   /**
@@ -183,6 +211,113 @@ export default class Timer extends System {
     }
   }
 
+  /**
+   * Save named timers(`Clock#name`) and paused tags.
+   * @memberof Timer#
+   * @method serialize
+   * @return {object} State of this system
+   */
+  serialize() {
+    let key, i, t, timers = [];
+    for (key in this.timers) {
+      for (i = 0; i < this.timers[key].length; i++) {
+        t = this.timers[key][i];
+        if (t.name && !t.removed) {
+          timers.push(Object.assign(t.serialize(), {
+            name: t.name,
+            tag: key,
+            context: (t.callbackCtx instanceof Entity && t.callbackCtx.canSerialize) ? t.callbackCtx.id : null,
+          }));
+        }
+      }
+    }
+
+    return {
+      now: this.now,
+      deactiveTags: this.deactiveTags.slice(),
+      timers: timers,
+    };
+  }
+
+  /**
+   * Restore named timers from `serialize` result. Callbacks can not be
+   * saved, so timers are restored to the existing ones with the same
+   * name, or created by `factories` when there is none. Named timers not
+   * in the data are removed. Context entities of the timers are replaced
+   * by the restored ones.
+   * @memberof Timer#
+   * @method deserialize
+   * @param {object} data     State to restore
+   * @param {object} spawned  Restored entities by their saved `id`
+   */
+  deserialize(data, spawned = {}) {
+    this.now = data.now;
+
+    const restored = [];
+    let key, i, j, t, saved, context;
+    for (key in this.timers) {
+      for (i = 0; i < this.timers[key].length; i++) {
+        t = this.timers[key][i];
+        if (!t.name || t.removed) {continue;}
+
+        saved = null;
+        for (j = 0; j < data.timers.length; j++) {
+          if (data.timers[j].name === t.name && data.timers[j].tag === key && restored.indexOf(data.timers[j]) < 0) {
+            saved = data.timers[j];
+            break;
+          }
+        }
+
+        // Remove when the context is not restored
+        context = saved && restoredContext(saved, spawned);
+        if (context === null) {
+          saved = null;
+        }
+
+        if (saved) {
+          t.deserialize(saved);
+          if (context) {
+            t.callbackCtx = context;
+          }
+          restored.push(saved);
+        }
+        else {
+          this.remove(t);
+        }
+      }
+    }
+
+    // Create the ones not alive
+    for (i = 0; i < data.timers.length; i++) {
+      saved = data.timers[i];
+      if (restored.indexOf(saved) >= 0) {continue;}
+
+      if (!this.factories[saved.name]) {
+        console.log(`[WARNING]: Timer "${saved.name}" can not be restored, add a factory to "Timer#factories"!`);
+        continue;
+      }
+
+      context = restoredContext(saved, spawned);
+      if (context === null) {continue;}
+
+      t = this.factories[saved.name](context, saved.tag);
+      if (t) {
+        t.name = saved.name;
+        t.deserialize(saved);
+      }
+    }
+
+    // Paused tags
+    for (key in this.timers) {
+      if (data.deactiveTags.indexOf(key) >= 0 && this.deactiveTags.indexOf(key) < 0) {
+        this.pauseTimersTagged(key);
+      }
+      else if (data.deactiveTags.indexOf(key) < 0 && this.deactiveTags.indexOf(key) >= 0) {
+        this.resumeTimersTagged(key);
+      }
+    }
+  }
+
   /**
    * Pause timers with a specific tag.
    * @memberof Timer#
@@ -0,0 +1,113 @@
+import core from 'engine/core';
+import RenderTexture from 'engine/gfx/core/textures/RenderTexture';
+import Sprite from 'engine/gfx/core/sprites/Sprite';
+import { Transition } from './Transition';
+
+/**
+ * Switch games at once, and fade out a snapshot of the old game over
+ * the new one.
+ *
+ * @example
+ * import core from 'engine/core';
+ * import Crossfade from 'engine/transition/Crossfade';
+ *
+ * core.pushGame(Inventory, false, {}, Crossfade({ duration: 400 }));
+ *
+ * @class Crossfade
+ * @extends Transition
+ */
+export class Crossfade extends Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to merge.
+   */
+  constructor(settings) {
+    super();
+
+    this.hasOutPhase = false;
+
+    /**
+     * Snapshot of the old game.
+     * @type {RenderTexture}
+     * @private
+     */
+    this.texture = null;
+    /**
+     * Sprite showing the snapshot.
+     * @type {Sprite}
+     * @private
+     */
+    this.sprite = null;
+
+    this.setup(settings);
+  }
+
+  /**
+   * Take a snapshot of the old game, and games below it that are
+   * visible.
+   * @memberof Crossfade#
+   * @method start
+   * @param {Game} from Game that is switched from
+   */
+  start(from) {
+    super.start(from);
+
+    const gfx = from && from.systems.Gfx;
+    if (!gfx) {
+      return;
+    }
+
+    this.texture = new RenderTexture(gfx.renderer, core.width, core.height);
+    this.sprite = new Sprite(this.texture);
+
+    const stack = core.stack;
+    const top = stack.indexOf(from);
+    let base = top;
+    while (base > 0 && stack[base].isOverlay) {
+      base--;
+    }
+
+    let i, first = true;
+    for (i = Math.max(base, 0); i <= top; i++) {
+      if (stack[i].systems.Gfx) {
+        this.texture.render(stack[i].systems.Gfx.root, null, first);
+        first = false;
+      }
+    }
+    if (top < 0) {
+      this.texture.render(gfx.root, null, true);
+    }
+  }
+
+  /**
+   * Draw the snapshot.
+   * @memberof Crossfade#
+   * @method draw
+   * @param {Game} game Current game
+   */
+  draw(game) {
+    if (!this.sprite || this.progress <= 0) {
+      return;
+    }
+
+    this.sprite.alpha = this.progress;
+    this.drawOnTop(game, this.sprite);
+  }
+
+  /**
+   * Release the snapshot.
+   * @memberof Crossfade#
+   * @method end
+   */
+  end() {
+    if (this.texture) {
+      this.texture.destroy();
+      this.texture = null;
+      this.sprite = null;
+    }
+  }
+}
+
+export default function(settings) {
+  return new Crossfade(settings);
+}
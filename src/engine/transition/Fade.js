@@ -0,0 +1,89 @@
+import core from 'engine/core';
+import Graphics from 'engine/gfx/Graphics';
+import { Transition } from './Transition';
+
+/**
+ * Fade to a color, switch games and fade back in.
+ *
+ * @example
+ * import core from 'engine/core';
+ * import Fade from 'engine/transition/Fade';
+ *
+ * core.setGame(Level2, true, {}, Fade({
+ *   color: 0xffffff,
+ *   duration: 500,
+ *   easing: 'Sinusoidal.InOut',
+ * }));
+ *
+ * @class Fade
+ * @extends Transition
+ */
+export class Fade extends Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to merge.
+   */
+  constructor(settings) {
+    super();
+
+    /**
+     * Color to fade to.
+     * @type {Number}
+     * @default 0x000000
+     */
+    this.color = 0x000000;
+
+    /**
+     * Rectangle covering the screen.
+     * @type {Graphics}
+     * @private
+     */
+    this.cover = Graphics({});
+
+    this.setup(settings);
+  }
+
+  /**
+   * Setup this transition with settings.
+   * @memberof Fade#
+   * @method setup
+   * @param {Object} settings Setting object.
+   * @return {Fade}           Self for chaining
+   */
+  setup(settings) {
+    super.setup(settings);
+
+    for (let k in settings) {
+      switch (k) {
+        case 'color':
+          this.color = settings.color;
+          break;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Draw the cover.
+   * @memberof Fade#
+   * @method draw
+   * @param {Game} game Current game
+   */
+  draw(game) {
+    if (this.progress <= 0) {
+      return;
+    }
+
+    this.cover.clear();
+    this.cover.beginFill(this.color, this.progress);
+    this.cover.drawRect(0, 0, core.width, core.height);
+    this.cover.endFill();
+
+    this.drawOnTop(game, this.cover);
+  }
+}
+
+export default function(settings) {
+  return new Fade(settings);
+}
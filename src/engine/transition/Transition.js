@@ -0,0 +1,211 @@
+import { Easing } from 'engine/anime/easing';
+
+/**
+ * Base of transitions played by `core` while switching games.
+ *
+ * A transition covers the screen(`out` phase), then `core` switches
+ * the games, and the transition uncovers the new game(`in` phase).
+ * Transitions without the `out` phase(like `Crossfade`) switch at once.
+ *
+ * Sub-classes draw themselves in `draw` based on `progress`, which is
+ * 0 when nothing is covered and 1 when the screen is fully covered.
+ *
+ * @example <caption>Custom transition</caption>
+ * import { Transition } from 'engine/transition/Transition';
+ *
+ * class Blink extends Transition {
+ *   draw(game) {
+ *     blinkSprite.alpha = this.progress;
+ *     this.drawOnTop(game, blinkSprite);
+ *   }
+ * }
+ *
+ * @class Transition
+ */
+export class Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to merge.
+   */
+  constructor(settings) {
+    /**
+     * Duration of each phase in millisecond.
+     * @type {Number}
+     * @default 300
+     */
+    this.duration = 300;
+    /**
+     * Easing of the progress, function or name(like `'Quadratic.InOut'`)
+     * from `engine/anime/easing`.
+     * @type {Function}
+     * @default Easing.Quadratic.InOut
+     */
+    this.easing = Easing.Quadratic.InOut;
+    /**
+     * Whether this transition covers the screen before switching.
+     * @type {Boolean}
+     * @default true
+     */
+    this.hasOutPhase = true;
+    /**
+     * Current phase, `idle`, `out`, `covered`, `in` or `finished`.
+     * @type {String}
+     * @readonly
+     */
+    this.phase = 'idle';
+    /**
+     * How much the screen is covered, from 0 to 1(eased).
+     * @type {Number}
+     * @readonly
+     */
+    this.progress = 0;
+    /**
+     * Time passed in current phase, in millisecond.
+     * @type {Number}
+     * @private
+     */
+    this.time = 0;
+
+    this.setup(settings);
+  }
+
+  /**
+   * Whether the screen is covered and games should be switched.
+   * @type {Boolean}
+   * @readonly
+   */
+  get isCovered() {
+    return this.phase === 'covered';
+  }
+  /**
+   * Whether this transition is finished.
+   * @type {Boolean}
+   * @readonly
+   */
+  get isFinished() {
+    return this.phase === 'finished';
+  }
+
+  /**
+   * Setup this transition with settings.
+   * @memberof Transition#
+   * @method setup
+   * @param {Object} settings Setting object.
+   * @return {Transition}     Self for chaining
+   */
+  setup(settings) {
+    for (let k in settings) {
+      switch (k) {
+        case 'duration':
+          this.duration = settings.duration;
+          break;
+
+        // Function or name
+        case 'easing':
+          if (typeof(settings.easing) === 'string') {
+            const path = settings.easing.split('.');
+            this.easing = Easing[path[0]][path[1]];
+          }
+          else {
+            this.easing = settings.easing;
+          }
+          break;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Start this transition, called by `core`.
+   * @memberof Transition#
+   * @method start
+   * @param {Game} from Game that is switched from, may be `null`
+   */
+  start(from) { /* eslint no-unused-vars:0 */
+    this.time = 0;
+    this.phase = this.hasOutPhase ? 'out' : 'covered';
+    this.progress = this.hasOutPhase ? 0 : 1;
+  }
+
+  /**
+   * Called by `core` after the games are switched.
+   * @memberof Transition#
+   * @method switched
+   * @param {Game} to Game that is switched to
+   */
+  switched(to) { /* eslint no-unused-vars:0 */
+    this.time = 0;
+    this.phase = 'in';
+    this.progress = 1;
+  }
+
+  /**
+   * Update progress, called by `core` each frame.
+   * @memberof Transition#
+   * @method update
+   * @param {Number} delta Delta time in millisecond
+   */
+  update(delta) {
+    if (this.phase !== 'out' && this.phase !== 'in') {
+      return;
+    }
+
+    this.time += delta;
+    const t = (this.duration > 0) ? Math.min(this.time / this.duration, 1) : 1;
+
+    if (this.phase === 'out') {
+      this.progress = this.easing(t);
+      if (t >= 1) {
+        this.phase = 'covered';
+      }
+    }
+    else {
+      this.progress = 1 - this.easing(t);
+      if (t >= 1) {
+        this.phase = 'finished';
+        this.end();
+      }
+    }
+  }
+
+  /**
+   * Draw this transition over the games, called by `core` each frame.
+   * @memberof Transition#
+   * @method draw
+   * @param {Game} game Current game
+   */
+  draw(game) {} /* eslint no-unused-vars:0 */
+
+  /**
+   * Called when this transition is finished, release resources here.
+   * @memberof Transition#
+   * @method end
+   */
+  end() {}
+
+  /**
+   * Render a node over what is already drawn, with the renderer of
+   * the `Gfx` system of a game.
+   * @memberof Transition#
+   * @method drawOnTop
+   * @param {Game} game Game to get the renderer from
+   * @param {Node} node Node to render
+   * @protected
+   */
+  drawOnTop(game, node) {
+    const gfx = game && game.systems.Gfx;
+    if (!gfx) {
+      return;
+    }
+
+    const clear = gfx.renderer.clearBeforeRender;
+    gfx.renderer.clearBeforeRender = false;
+    gfx.renderer.render(node);
+    gfx.renderer.clearBeforeRender = clear;
+  }
+}
+
+export default function(settings) {
+  return new Transition(settings);
+}
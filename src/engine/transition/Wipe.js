@@ -0,0 +1,111 @@
+import core from 'engine/core';
+import Graphics from 'engine/gfx/Graphics';
+import { Transition } from './Transition';
+
+/**
+ * Wipe a color across the screen, switch games and keep wiping to
+ * reveal the new game.
+ *
+ * @example
+ * import core from 'engine/core';
+ * import Wipe from 'engine/transition/Wipe';
+ *
+ * core.replaceGame(Map, false, {}, Wipe({ direction: 'down' }));
+ *
+ * @class Wipe
+ * @extends Transition
+ */
+export class Wipe extends Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to merge.
+   */
+  constructor(settings) {
+    super();
+
+    /**
+     * Color of the wipe.
+     * @type {Number}
+     * @default 0x000000
+     */
+    this.color = 0x000000;
+    /**
+     * Which way the wipe moves, `left`, `right`, `up` or `down`.
+     * @type {String}
+     * @default 'right'
+     */
+    this.direction = 'right';
+
+    /**
+     * Rectangle covering the screen.
+     * @type {Graphics}
+     * @private
+     */
+    this.cover = Graphics({});
+
+    this.setup(settings);
+  }
+
+  /**
+   * Setup this transition with settings.
+   * @memberof Wipe#
+   * @method setup
+   * @param {Object} settings Setting object.
+   * @return {Wipe}           Self for chaining
+   */
+  setup(settings) {
+    super.setup(settings);
+
+    for (let k in settings) {
+      switch (k) {
+        case 'color':
+        case 'direction':
+          this[k] = settings[k];
+          break;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Draw the cover.
+   * @memberof Wipe#
+   * @method draw
+   * @param {Game} game Current game
+   */
+  draw(game) {
+    if (this.progress <= 0) {
+      return;
+    }
+
+    const w = core.width, h = core.height, p = this.progress;
+
+    // Covers from the starting edge, and uncovers from it too
+    const fromStart = (this.phase === 'out' || this.phase === 'covered');
+
+    this.cover.clear();
+    this.cover.beginFill(this.color);
+    switch (this.direction) {
+      case 'left':
+        this.cover.drawRect(fromStart ? w * (1 - p) : 0, 0, w * p, h);
+        break;
+      case 'up':
+        this.cover.drawRect(0, fromStart ? h * (1 - p) : 0, w, h * p);
+        break;
+      case 'down':
+        this.cover.drawRect(0, fromStart ? 0 : h * (1 - p), w, h * p);
+        break;
+      default:
+        this.cover.drawRect(fromStart ? 0 : w * (1 - p), 0, w * p, h);
+        break;
+    }
+    this.cover.endFill();
+
+    this.drawOnTop(game, this.cover);
+  }
+}
+
+export default function(settings) {
+  return new Wipe(settings);
+}
@@ -0,0 +1,155 @@
+/**
+ * Benchmark of the physics broadphases on headless scenes, run with:
+ *
+ * ```
+ * node --import ./test/register.mjs test/bench/broadphase.mjs [steps]
+ * ```
+ *
+ * Each scene moves its colliders every step, updates them in the
+ * broadphase and finds pairs, the same as `Physics#fixedUpdate` does.
+ * Pair counts of all the broadphases are compared to make sure they
+ * report the same result.
+ */
+import { performance } from 'node:perf_hooks';
+
+import SpatialHash from 'engine/physics/SpatialHash';
+import SweepAndPrune from 'engine/physics/SweepAndPrune';
+import AABBTree from 'engine/physics/AABBTree';
+
+const STEPS = parseInt(process.argv[2], 10) || 300;
+
+const broadphases = {
+  SpatialHash: () => new SpatialHash(),
+  SweepAndPrune: () => new SweepAndPrune(),
+  AABBTree: () => new AABBTree(),
+};
+
+/**
+ * Pseudo random generator, so every broadphase gets the same scene.
+ * @param  {Number} seed  Seed
+ * @return {Function}     Returns number in [0, 1)
+ */
+function random(seed) {
+  return function() {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+/**
+ * Create a box collider like object.
+ */
+function box(id, x, y, w, h, vx, vy) {
+  return {
+    id,
+    x, y, w, h, vx, vy,
+    left: x, top: y, right: x + w, bottom: y + h,
+  };
+}
+
+function move(c, width, height) {
+  if (c.vx === 0 && c.vy === 0) {
+    return;
+  }
+  c.x += c.vx;
+  c.y += c.vy;
+  if (c.x < 0 || c.x + c.w > width) {
+    c.vx = -c.vx;
+  }
+  if (c.y < 0 || c.y + c.h > height) {
+    c.vy = -c.vy;
+  }
+  c.left = c.x;
+  c.top = c.y;
+  c.right = c.x + c.w;
+  c.bottom = c.y + c.h;
+}
+
+const scenes = {
+  // Small colliders spread over the whole world, all moving
+  scattered: () => {
+    const rnd = random(1), list = [];
+    for (let i = 0; i < 1000; i++) {
+      list.push(box(i + 1, rnd() * 2000, rnd() * 2000, 12, 12, rnd() * 4 - 2, rnd() * 4 - 2));
+    }
+    return { list, width: 2000, height: 2000 };
+  },
+  // Bullet hell like crowd packed in a small area
+  crowded: () => {
+    const rnd = random(2), list = [];
+    for (let i = 0; i < 600; i++) {
+      list.push(box(i + 1, rnd() * 400, rnd() * 400, 8, 8, rnd() * 6 - 3, rnd() * 6 - 3));
+    }
+    return { list, width: 400, height: 400 };
+  },
+  // Large level of static tiles with a few moving actors
+  'mostly static': () => {
+    const rnd = random(3), list = [];
+    let id = 1;
+    for (let r = 0; r < 40; r++) {
+      for (let q = 0; q < 40; q++) {
+        if (rnd() < 0.5) {
+          list.push(box(id++, q * 32, r * 32, 32, 32, 0, 0));
+        }
+      }
+    }
+    for (let i = 0; i < 50; i++) {
+      list.push(box(id++, rnd() * 1280, rnd() * 1280, 16, 24, rnd() * 4 - 2, rnd() * 4 - 2));
+    }
+    return { list, width: 1280, height: 1280 };
+  },
+  // Colliders of very different sizes
+  'mixed sizes': () => {
+    const rnd = random(4), list = [];
+    for (let i = 0; i < 500; i++) {
+      const s = (rnd() < 0.1) ? 100 + rnd() * 200 : 4 + rnd() * 12;
+      list.push(box(i + 1, rnd() * 1500, rnd() * 1500, s, s, rnd() * 2 - 1, rnd() * 2 - 1));
+    }
+    return { list, width: 1500, height: 1500 };
+  },
+};
+
+function run(createScene, createBroadphase) {
+  const scene = createScene();
+  const bp = createBroadphase();
+  const pairs = [];
+  let i, s, count = 0;
+
+  for (i = 0; i < scene.list.length; i++) {
+    bp.update(scene.list[i]);
+  }
+
+  const start = performance.now();
+  for (s = 0; s < STEPS; s++) {
+    for (i = 0; i < scene.list.length; i++) {
+      move(scene.list[i], scene.width, scene.height);
+      bp.update(scene.list[i]);
+    }
+    pairs.length = 0;
+    bp.findPairs(pairs);
+    count += pairs.length / 2;
+  }
+
+  return { ms: (performance.now() - start) / STEPS, pairs: count };
+}
+
+console.log(`Broadphase benchmark, ${STEPS} steps per scene\n`);
+
+for (let name in scenes) {
+  const rows = [];
+  let expected = -1;
+  for (let type in broadphases) {
+    const res = run(scenes[name], broadphases[type]);
+    if (expected < 0) {
+      expected = res.pairs;
+    }
+    rows.push({
+      broadphase: type,
+      'ms/step': res.ms.toFixed(3),
+      'pairs(total)': res.pairs,
+      same: res.pairs === expected ? 'yes' : 'NO',
+    });
+  }
+  console.log(`${name} (${scenes[name]().list.length} colliders)`);
+  console.table(rows);
+}
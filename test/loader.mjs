@@ -0,0 +1,52 @@
+/**
+ * Module hooks for running engine sources in Node: resolves the
+ * `engine/`, `game/` and `behaviors/` aliases to `src/`, and loads
+ * sources as ES modules.
+ */
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+
+const SRC = fileURLToPath(new URL('../src/', import.meta.url));
+const SRC_URL = pathToFileURL(SRC).href;
+
+function find(p) {
+  const candidates = [p, `${p}.js`, path.join(p, 'index.js')];
+  for (let i = 0; i < candidates.length; i++) {
+    if (fs.existsSync(candidates[i]) && fs.statSync(candidates[i]).isFile()) {
+      return candidates[i];
+    }
+  }
+  return null;
+}
+
+export async function resolve(specifier, context, next) {
+  let base = null;
+  if (/^(engine|game|behaviors)(\/|$)/.test(specifier)) {
+    base = path.join(SRC, specifier);
+  }
+  else if (specifier.startsWith('.') && context.parentURL && context.parentURL.startsWith(SRC_URL)) {
+    base = path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier);
+  }
+
+  if (base) {
+    const file = find(base);
+    if (file) {
+      return { url: pathToFileURL(file).href, format: 'module', shortCircuit: true };
+    }
+  }
+
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith(SRC_URL)) {
+    return {
+      format: 'module',
+      source: fs.readFileSync(fileURLToPath(url), 'utf8'),
+      shortCircuit: true,
+    };
+  }
+
+  return next(url, context);
+}
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CollisionMap from 'engine/physics/CollisionMap';
+
+const TS = 16;
+
+/**
+ * Create an empty map with some tiles set.
+ * @param  {Number} w      Width in tile
+ * @param  {Number} h      Height in tile
+ * @param  {Array} tiles   List of `[r, q, tile]`
+ * @return {CollisionMap}  The map
+ */
+function createMap(w, h, tiles) {
+  const data = [];
+  for (let r = 0; r < h; r++) {
+    data.push(new Array(w).fill(0));
+  }
+  for (let i = 0; i < tiles.length; i++) {
+    data[tiles[i][0]][tiles[i][1]] = tiles[i][2];
+  }
+  return CollisionMap(TS, data);
+}
+
+/**
+ * Bounds of a collider for tracing.
+ * @param  {Number} x Left
+ * @param  {Number} y Top
+ * @param  {Number} w Width
+ * @param  {Number} h Height
+ * @return {Object}   Collider like object
+ */
+function box(x, y, w, h) {
+  return { left: x, top: y, right: x + w, bottom: y + h };
+}
+
+function trace(map, coll, sx, sy) {
+  const res = {};
+  map.trace(coll, sx, sy, res);
+  return res;
+}
+
+describe('CollisionMap.trace tunneling', () => {
+  it('stops a fast collider at a thick wall', () => {
+    const map = createMap(20, 4, [[1, 10, 1], [1, 11, 1], [2, 10, 1], [2, 11, 1]]);
+    const res = trace(map, box(8, 20, 8, 8), 400, 0);
+
+    assert.equal(res.hitX, true);
+    assert.equal(res.tileX, 1);
+    assert.equal(res.x, 10 * TS - 16);
+    assert.deepEqual([res.normal.x, res.normal.y], [-1, 0]);
+  });
+
+  it('does not pass through a one-tile-thin wall', () => {
+    const map = createMap(20, 4, [[0, 5, 1], [1, 5, 1], [2, 5, 1], [3, 5, 1]]);
+
+    // Whole movement ends far behind the wall
+    const right = trace(map, box(10, 20, 4, 4), 200, 0);
+    assert.equal(right.hitX, true);
+    assert.equal(right.x, 5 * TS - 14);
+
+    const left = trace(map, box(200, 20, 4, 4), -180, 0);
+    assert.equal(left.hitX, true);
+    assert.equal(left.x, 6 * TS - 200);
+    assert.deepEqual([left.normal.x, left.normal.y], [1, 0]);
+  });
+
+  it('does not slip through a diagonal corner gap', () => {
+    // Tiles touching only at their corners (48, 48)
+    const map = createMap(8, 8, [[2, 3, 1], [3, 2, 1]]);
+    const coll = box(8, 8, 8, 8);
+    const res = trace(map, coll, 64, 64);
+
+    assert.ok(res.hitX || res.hitY);
+    // Right-bottom corner never gets past the touching point
+    assert.ok(coll.right + res.x <= 48 || coll.bottom + res.y <= 48);
+  });
+
+  it('lands on the floor at high speed', () => {
+    const map = createMap(4, 40, [[38, 0, 1], [38, 1, 1], [38, 2, 1], [38, 3, 1]]);
+    const res = trace(map, box(20, 0, 12, 12), 3, 1000);
+
+    assert.equal(res.hitY, true);
+    assert.equal(res.tileY, 1);
+    assert.equal(12 + res.y, 38 * TS);
+    assert.ok(Math.abs(res.x - 3) < 1e-9);
+    assert.deepEqual([res.normal.x, res.normal.y], [0, -1]);
+  });
+
+  it('lands on a one-way platform from above and passes it from below', () => {
+    const map = createMap(4, 20, [[10, 0, 2], [10, 1, 2], [10, 2, 2], [10, 3, 2]]);
+
+    const fall = trace(map, box(20, 0, 8, 8), 0, 600);
+    assert.equal(fall.hitY, true);
+    assert.equal(fall.tileY, 2);
+    assert.equal(8 + fall.y, 10 * TS);
+    assert.deepEqual([fall.normal.x, fall.normal.y], [0, -1]);
+
+    const jump = trace(map, box(20, 250, 8, 8), 0, -240);
+    assert.equal(jump.hitY, false);
+    assert.equal(jump.y, -240);
+  });
+});
+
+describe('CollisionMap.version', () => {
+  it('increases when tiles are set inside the map', () => {
+    const map = createMap(4, 4, []);
+    assert.equal(map.version, 0);
+
+    map.setTile(1, 2, 1);
+    map.setTileAt(3 * TS, 0, 1);
+    assert.equal(map.version, 2);
+    assert.equal(map.getTile(1, 2), 1);
+    assert.equal(map.getTile(0, 3), 1);
+
+    map.setTile(-1, 0, 1);
+    map.setTileAt(10 * TS, 0, 1);
+    assert.equal(map.version, 2);
+  });
+});
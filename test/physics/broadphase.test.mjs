@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import SpatialHash from 'engine/physics/SpatialHash';
+import SweepAndPrune from 'engine/physics/SweepAndPrune';
+import AABBTree from 'engine/physics/AABBTree';
+
+const broadphases = {
+  SpatialHash: () => new SpatialHash(),
+  SweepAndPrune: () => new SweepAndPrune(),
+  AABBTree: () => new AABBTree(),
+};
+
+/**
+ * Create a box collider like object.
+ */
+function box(id, x, y, w, h) {
+  return { id, left: x, top: y, right: x + w, bottom: y + h };
+}
+
+/**
+ * Move a box collider like object.
+ */
+function moveTo(c, x, y) {
+  const w = c.right - c.left;
+  const h = c.bottom - c.top;
+  c.left = x;
+  c.top = y;
+  c.right = x + w;
+  c.bottom = y + h;
+}
+
+/**
+ * IDs of colliders overlapping a rectangle, tested one by one.
+ */
+function bruteQuery(list, minX, minY, maxX, maxY) {
+  return list
+    .filter((c) => !(c.bottom < minY || c.top > maxY || c.left > maxX || c.right < minX))
+    .map((c) => c.id)
+    .sort((a, b) => a - b);
+}
+
+function query(bp, minX, minY, maxX, maxY) {
+  const out = [];
+  bp.query(minX, minY, maxX, maxY, out);
+  return out.map((c) => c.id).sort((a, b) => a - b);
+}
+
+/**
+ * Colliders of different sizes spread over 400x300.
+ */
+function scene() {
+  const list = [];
+  for (let i = 0; i < 60; i++) {
+    const size = (i % 7 === 0) ? 90 : 6 + (i % 5) * 4;
+    list.push(box(i + 1, (i * 37) % 400, (i * 53) % 300, size, size * 0.5));
+  }
+  return list;
+}
+
+const RECTS = [
+  [0, 0, 400, 300],
+  [10, 10, 60, 40],
+  [100, 100, 100, 100],
+  [-500, -500, 1000, 1000],
+  [250, 150, 250, 150],
+  [500, 500, 600, 600],
+];
+
+for (const name in broadphases) {
+  describe(`${name} query`, () => {
+    it('finds each overlapping collider once', () => {
+      const list = scene();
+      const bp = broadphases[name]();
+      list.forEach((c) => bp.update(c));
+
+      for (const r of RECTS) {
+        assert.deepEqual(query(bp, ...r), bruteQuery(list, ...r), `rect ${r}`);
+      }
+    });
+
+    it('finds a point inside colliders', () => {
+      const list = scene();
+      const bp = broadphases[name]();
+      list.forEach((c) => bp.update(c));
+
+      assert.deepEqual(query(bp, 50, 60, 50, 60), bruteQuery(list, 50, 60, 50, 60));
+      assert.deepEqual(query(bp, 1000, 1000, 1000, 1000), []);
+    });
+
+    it('follows moved and removed colliders', () => {
+      const list = scene();
+      const bp = broadphases[name]();
+      list.forEach((c) => bp.update(c));
+
+      list.forEach((c, i) => moveTo(c, (c.left + i * 11) % 400, (c.top + i * 7) % 300));
+      list.forEach((c) => bp.update(c));
+      const removed = list.splice(0, 10);
+      removed.forEach((c) => bp.remove(c));
+
+      for (const r of RECTS) {
+        assert.deepEqual(query(bp, ...r), bruteQuery(list, ...r), `rect ${r}`);
+      }
+    });
+  });
+}
@@ -0,0 +1,3 @@
+import { register } from 'module';
+
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Timer from 'engine/timer';
+import Entity from 'engine/Entity';
+
+/**
+ * Create a timer system with a named timer.
+ * @param  {String} name  Name of the timer
+ * @param  {Number} ms    Duration
+ * @return {Timer}        The system
+ */
+function createTimer(name, ms) {
+  const sys = new Timer();
+  const t = sys.later(ms, () => {});
+  t.name = name;
+  return sys;
+}
+
+describe('Timer serialize', () => {
+  it('saves named timers only', () => {
+    const sys = createTimer('wave', 1000);
+    sys.later(500, () => {});
+    sys.update(200);
+
+    const data = sys.serialize();
+    assert.equal(data.now, 200);
+    assert.equal(data.timers.length, 1);
+    assert.equal(data.timers[0].name, 'wave');
+    assert.equal(data.timers[0].left, 800);
+    assert.equal(data.timers[0].context, null);
+  });
+
+  it('does not save a recycled timer by its old name', () => {
+    const sys = createTimer('wave', 100);
+    sys.update(150);
+
+    const t = sys.later(1000, () => {});
+    t.pause();
+    sys.update(0);
+
+    const t2 = sys.later(1000, () => {});
+    assert.equal(t2.name, null);
+    assert.equal(!!t2.paused, false);
+    assert.equal(sys.serialize().timers.length, 0);
+  });
+});
+
+describe('Timer deserialize', () => {
+  it('restores the timer with the same name', () => {
+    const sys = createTimer('wave', 1000);
+    sys.update(300);
+    const data = JSON.parse(JSON.stringify(sys.serialize()));
+
+    sys.update(500);
+    sys.deserialize(data);
+
+    const t = sys.timers['0'][0];
+    assert.equal(sys.now, 300);
+    assert.equal(t.left, 700);
+    assert.equal(t.removed, false);
+  });
+
+  it('removes named timers not in the data', () => {
+    const sys = createTimer('wave', 1000);
+    const data = new Timer().serialize();
+
+    sys.deserialize(data);
+    assert.equal(sys.timers['0'][0].removed, true);
+  });
+
+  it('creates missing timers with factories, using restored context', () => {
+    const sys = createTimer('wave', 1000);
+    const ent = new Entity(0, 0, {});
+    ent.canSerialize = true;
+    sys.timers['0'][0].callbackCtx = ent;
+    sys.update(250);
+    const data = JSON.parse(JSON.stringify(sys.serialize()));
+    assert.equal(data.timers[0].context, ent.id);
+
+    const restored = new Entity(0, 0, {});
+    const fresh = new Timer();
+    let fired = null;
+    fresh.factories.wave = (context, tag) => fresh.later(1000, function() {
+      fired = this;
+    }, context, tag);
+    fresh.deserialize(data, { [ent.id]: restored });
+
+    const t = fresh.timers['0'][0];
+    assert.equal(t.name, 'wave');
+    assert.equal(t.left, 750);
+
+    fresh.update(800);
+    assert.equal(fired, restored);
+  });
+
+  it('pauses tags saved as paused', () => {
+    const sys = createTimer('wave', 1000);
+    sys.pauseTimersTagged('0');
+    const data = sys.serialize();
+
+    const other = createTimer('wave', 1000);
+    other.deserialize(data);
+    assert.deepEqual(other.deactiveTags, ['0']);
+  });
+});